@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {run} from '../lib/cli.js';
+
+process.exitCode = await run({args: process.argv.slice(2)});
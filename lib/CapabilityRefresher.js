@@ -0,0 +1,293 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getDelegationProofs} from './util.js';
+
+// maximum delay supported by `setTimeout`
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+export class CapabilityRefresher extends EventTarget {
+  /**
+   * Creates a new CapabilityRefresher that keeps short-lived delegated
+   * Authorization Capabilities (zcaps) alive by re-delegating each one from
+   * its parent before it expires. The given `zcapClient` must be able to
+   * delegate the parent capabilities.
+   *
+   * A `refresh` event is dispatched after each successful re-delegation and
+   * an `error` event after each failed one; each event has a `detail` object
+   * with the new `capability` and `previousCapability` or the `capability`
+   * and `error`, respectively. A failed re-delegation is retried after
+   * `retryDelay` until the capability expires; once a re-delegation of an
+   * expired capability fails, the capability is no longer managed.
+   *
+   * A capability cannot be re-delegated past the expiration date of its
+   * parent. Once a re-delegation would expire within `margin`, an `error`
+   * event with a `ConstraintError` is dispatched and the capability is no
+   * longer re-delegated; it stops being managed when it expires.
+   *
+   * A `ZcapClient` that is given this refresher (via its
+   * `capabilityRefresher` option or property) will always invoke the newest
+   * delegation of a managed capability.
+   *
+   * @class CapabilityRefresher
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.zcapClient - The `ZcapClient` to delegate with.
+   * @param {number} [options.margin=60000] - The number of milliseconds
+   *   before a capability expires to re-delegate it.
+   * @param {number} [options.retryDelay=5000] - The number of milliseconds
+   *   to wait before retrying a failed re-delegation.
+   *
+   * @returns {CapabilityRefresher} - The new CapabilityRefresher instance.
+   */
+  constructor({zcapClient, margin = 60 * 1000, retryDelay = 5 * 1000} = {}) {
+    super();
+    if(!(zcapClient && typeof zcapClient.delegate === 'function' &&
+      typeof zcapClient.now === 'function')) {
+      throw new TypeError('"zcapClient" must be a ZcapClient instance.');
+    }
+    if(!(Number.isFinite(margin) && margin >= 0)) {
+      throw new TypeError('"margin" must be a non-negative number.');
+    }
+    if(!(Number.isFinite(retryDelay) && retryDelay >= 0)) {
+      throw new TypeError('"retryDelay" must be a non-negative number.');
+    }
+    this.zcapClient = zcapClient;
+    this.margin = margin;
+    this.retryDelay = retryDelay;
+    // maps the IDs of the originally added and newest delegation of each
+    // managed zcap to its entry
+    this._entries = new Map();
+  }
+
+  /**
+   * Starts managing a delegated capability. The capability will be
+   * re-delegated from `parentCapability`, to the same controller and with
+   * the same invocation target and allowed actions, `margin` milliseconds
+   * before it expires. Each re-delegation has the same time to live as the
+   * original delegation unless that would make it expire after its parent.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.capability - The delegated capability to manage.
+   * @param {string|object} options.parentCapability - The parent capability
+   *   to re-delegate `capability` from.
+   * @param {number} [options.ttl] - The time to live, in milliseconds, for
+   *   each re-delegation. Default: the time between the `created` date of
+   *   the delegation proof of `capability` and its `expires` date.
+   *
+   * @returns {Promise<object>} - A promise that resolves to the newest
+   *   delegation of the capability; if it is already within `margin` of
+   *   expiring it will be re-delegated first.
+   */
+  async add({capability, parentCapability, ttl} = {}) {
+    if(!(capability && typeof capability === 'object' &&
+      capability.parentCapability)) {
+      throw new TypeError(
+        '"capability" must be a delegated authorization capability object.');
+    }
+    const parentId = typeof parentCapability === 'string' ?
+      parentCapability : parentCapability?.id;
+    if(parentId !== capability.parentCapability) {
+      throw new Error(
+        '"parentCapability" must be the parent of "capability".');
+    }
+    if(ttl === undefined) {
+      const [proof] = getDelegationProofs({capability});
+      ttl = Date.parse(capability.expires) - Date.parse(proof?.created);
+    }
+    if(!(Number.isFinite(ttl) && ttl > 0)) {
+      throw new TypeError('"ttl" must be a positive number.');
+    }
+
+    const entry = {
+      originalId: capability.id, capability, parentCapability, ttl,
+      timer: null
+    };
+    this._entries.set(capability.id, entry);
+    if(this._getTimeToRefresh({entry}) <= 0) {
+      await this._refresh({entry});
+    } else {
+      this._schedule({entry});
+    }
+    return entry.capability;
+  }
+
+  /**
+   * Stops managing a capability.
+   *
+   * @param {object} options - The options to use.
+   * @param {string|object} options.capability - The capability (or its ID);
+   *   either the originally added capability or its newest delegation.
+   *
+   * @returns {boolean} - `true` if the capability was managed, `false` if
+   *   not.
+   */
+  remove({capability} = {}) {
+    const entry = this._getEntry({capability});
+    if(!entry) {
+      return false;
+    }
+    clearTimeout(entry.timer);
+    for(const [id, e] of this._entries) {
+      if(e === entry) {
+        this._entries.delete(id);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Gets the newest delegation of a managed capability.
+   *
+   * @param {object} options - The options to use.
+   * @param {string|object} options.capability - The capability (or its ID);
+   *   either the originally added capability or its newest delegation.
+   *
+   * @returns {string|object} - The newest delegation of the capability or
+   *   the given `capability` if it is not managed.
+   */
+  getLatest({capability} = {}) {
+    const entry = this._getEntry({capability});
+    return entry ? entry.capability : capability;
+  }
+
+  /**
+   * Re-delegates a managed capability now.
+   *
+   * @param {object} options - The options to use.
+   * @param {string|object} options.capability - The capability (or its ID);
+   *   either the originally added capability or its newest delegation.
+   *
+   * @returns {Promise<object>} - A promise that resolves to the new
+   *   delegation.
+   */
+  async refresh({capability} = {}) {
+    const entry = this._getEntry({capability});
+    if(!entry) {
+      throw new Error('"capability" is not managed by this refresher.');
+    }
+    clearTimeout(entry.timer);
+    await this._refresh({entry, throwError: true});
+    return entry.capability;
+  }
+
+  /**
+   * Stops managing all capabilities and cancels all scheduled
+   * re-delegations.
+   */
+  stop() {
+    for(const entry of this._entries.values()) {
+      clearTimeout(entry.timer);
+    }
+    this._entries.clear();
+  }
+
+  _getEntry({capability}) {
+    const id = typeof capability === 'string' ? capability : capability?.id;
+    return this._entries.get(id);
+  }
+
+  // capability dates are compared using the client's (skew-adjusted) clock
+  _getTimeToRefresh({entry}) {
+    return Date.parse(entry.capability.expires) - this.margin -
+      this.zcapClient.now();
+  }
+
+  _isManaged({entry}) {
+    return this._entries.get(entry.capability.id) === entry;
+  }
+
+  _schedule({entry, delay, callback}) {
+    clearTimeout(entry.timer);
+    if(delay === undefined) {
+      delay = Math.max(0, this._getTimeToRefresh({entry}));
+    }
+    if(callback === undefined) {
+      callback = () => this._refresh({entry}).catch(() => {});
+    }
+    // very long delays are scheduled in steps
+    const step = Math.min(delay, MAX_TIMEOUT);
+    entry.timer = setTimeout(() => {
+      if(step < delay) {
+        return this._schedule({entry, delay: delay - step, callback});
+      }
+      callback();
+    }, step);
+    // do not keep a node.js process alive just to refresh zcaps
+    entry.timer?.unref?.();
+  }
+
+  async _refresh({entry, throwError = false}) {
+    const {capability: previousCapability, parentCapability, ttl} = entry;
+    let capability;
+    try {
+      const now = this.zcapClient.now();
+      let expires = now + ttl;
+      if(typeof parentCapability === 'object' &&
+        parentCapability.expires !== undefined) {
+        expires = Math.min(expires, Date.parse(parentCapability.expires));
+      }
+      capability = await this.zcapClient.delegate({
+        capability: parentCapability,
+        controller: previousCapability.controller,
+        invocationTarget: previousCapability.invocationTarget,
+        allowedActions: previousCapability.allowedAction,
+        expires: new Date(expires),
+        now
+      });
+    } catch(error) {
+      // retry until the capability expires, then stop managing it
+      if(this._isManaged({entry})) {
+        if(Date.parse(previousCapability.expires) > this.zcapClient.now()) {
+          this._schedule({entry, delay: this.retryDelay});
+        } else {
+          this.remove({capability: previousCapability});
+        }
+      }
+      this._dispatch({
+        type: 'error', detail: {capability: previousCapability, error}
+      });
+      if(throwError) {
+        throw error;
+      }
+      return;
+    }
+
+    // the entry may have been removed while delegating
+    if(!this._isManaged({entry})) {
+      return;
+    }
+    entry.capability = capability;
+    if(previousCapability.id !== entry.originalId) {
+      this._entries.delete(previousCapability.id);
+    }
+    this._entries.set(capability.id, entry);
+    if(this._getTimeToRefresh({entry}) > 0) {
+      this._schedule({entry});
+      this._dispatch(
+        {type: 'refresh', detail: {capability, previousCapability}});
+      return;
+    }
+
+    // the parent expires within `margin`, so re-delegating again would not
+    // extend the capability; keep it until it expires instead
+    const timeToExpire = Date.parse(capability.expires) -
+      this.zcapClient.now();
+    this._schedule({
+      entry, delay: Math.max(0, timeToExpire),
+      callback: () => this.remove({capability})
+    });
+    this._dispatch({type: 'refresh', detail: {capability, previousCapability}});
+    const error = new Error(
+      'The capability cannot be re-delegated again before it expires ' +
+      'because its parent capability expires within the refresh margin.');
+    error.name = 'ConstraintError';
+    this._dispatch({type: 'error', detail: {capability, error}});
+  }
+
+  _dispatch({type, detail}) {
+    const event = new Event(type);
+    event.detail = detail;
+    this.dispatchEvent(event);
+  }
+}
@@ -0,0 +1,11 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {ZcapStore} from './ZcapStore.js';
+
+export class FileZcapStore extends ZcapStore {
+  constructor() {
+    super();
+    throw new Error('"FileZcapStore" is not supported in the browser.');
+  }
+}
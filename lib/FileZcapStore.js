@@ -0,0 +1,99 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assertStorableCapability, ZcapStore} from './ZcapStore.js';
+import fs from 'node:fs/promises';
+
+export class FileZcapStore extends ZcapStore {
+  /**
+   * Creates a new `ZcapStore` that persists capabilities as a JSON array in
+   * a file. The file is read on first use and rewritten whenever a
+   * capability is saved or deleted. This store is only available in
+   * node.js.
+   *
+   * @class FileZcapStore
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.path - The path to the JSON file; it will be
+   *   created if it does not exist.
+   *
+   * @returns {FileZcapStore} - The new FileZcapStore instance.
+   */
+  constructor({path} = {}) {
+    super();
+    if(typeof path !== 'string') {
+      throw new TypeError('"path" must be a string.');
+    }
+    this.path = path;
+    // loads the file once, on first use
+    this._loading = null;
+    // serializes writes of the file
+    this._queue = Promise.resolve();
+  }
+
+  async get({id} = {}) {
+    const capabilities = await this._load();
+    return capabilities.get(id) || null;
+  }
+
+  async getAll() {
+    const capabilities = await this._load();
+    return [...capabilities.values()];
+  }
+
+  async save({capability} = {}) {
+    assertStorableCapability({capability});
+    return this._update(capabilities => {
+      capabilities.set(capability.id, capability);
+    });
+  }
+
+  async delete({id} = {}) {
+    return this._update(capabilities => capabilities.delete(id));
+  }
+
+  async _load() {
+    if(!this._loading) {
+      // a failed load is retried on next use, e.g., once the file is fixed
+      this._loading = this._read().catch(e => {
+        this._loading = null;
+        throw e;
+      });
+    }
+    return this._loading;
+  }
+
+  async _read() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch(e) {
+      if(e.code !== 'ENOENT') {
+        throw e;
+      }
+      data = [];
+    }
+    if(!Array.isArray(data)) {
+      throw new Error(
+        `Zcap store file "${this.path}" must contain a JSON array.`);
+    }
+    return new Map(data.map(zcap => [zcap.id, zcap]));
+  }
+
+  async _update(fn) {
+    const capabilities = await this._load();
+    const result = this._queue.then(async () => {
+      const changed = fn(capabilities);
+      // write to a temporary file first so the store file is never left
+      // partially written
+      const tmp = `${this.path}.tmp`;
+      await fs.writeFile(
+        tmp, JSON.stringify([...capabilities.values()], null, 2));
+      await fs.rename(tmp, this.path);
+      return changed;
+    });
+    // keep the queue usable even if this update fails
+    this._queue = result.catch(() => {});
+    return result;
+  }
+}
@@ -0,0 +1,43 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assertStorableCapability, ZcapStore} from './ZcapStore.js';
+
+export class MemoryZcapStore extends ZcapStore {
+  /**
+   * Creates a new in-memory `ZcapStore`.
+   *
+   * @class MemoryZcapStore
+   *
+   * @param {object} [options] - The options to use.
+   * @param {Array} [options.capabilities] - Optional capabilities to
+   *   initially store.
+   *
+   * @returns {MemoryZcapStore} - The new MemoryZcapStore instance.
+   */
+  constructor({capabilities = []} = {}) {
+    super();
+    this._capabilities = new Map();
+    for(const capability of capabilities) {
+      assertStorableCapability({capability});
+      this._capabilities.set(capability.id, capability);
+    }
+  }
+
+  async get({id} = {}) {
+    return this._capabilities.get(id) || null;
+  }
+
+  async getAll() {
+    return [...this._capabilities.values()];
+  }
+
+  async save({capability} = {}) {
+    assertStorableCapability({capability});
+    this._capabilities.set(capability.id, capability);
+  }
+
+  async delete({id} = {}) {
+    return this._capabilities.delete(id);
+  }
+}
@@ -0,0 +1,264 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {generateZcapUri} from './util.js';
+import http from 'node:http';
+import https from 'node:https';
+import {ZcapVerifier} from './ZcapVerifier.js';
+
+export class MockZcapServer {
+  /**
+   * Creates a new in-process HTTP(S) server for testing code that invokes
+   * Authorization Capabilities (zcaps), e.g., via a `ZcapClient`, offline.
+   * Every request is verified as a zcap invocation, including its
+   * delegation chain and body digest, and recorded in the `invocations`
+   * array. The root zcap of an invocation may be the root zcap for the
+   * request URL or for any of its parent paths, e.g., a zcap for
+   * `<baseUrl>/items` may be invoked at `<baseUrl>/items/123`.
+   * Faults, e.g., error statuses, can be injected and the server's
+   * clock can be skewed via the `clockOffset` property. Each response has a
+   * `Date` header from the server's clock.
+   *
+   * A verified invocation gets a `200` response with a JSON body of
+   * `{invoker, action, capability}` (the ID of the invoked capability)
+   * unless `respond` is given; an invocation that cannot be verified gets a
+   * `403` response with a JSON `NotAllowedError`.
+   *
+   * @class MockZcapServer
+   *
+   * @param {object} options - The options to use.
+   * @param {string|Function} options.rootController - The controller of
+   *   every root zcap or a function that is passed
+   *   `{rootCapabilityId, rootInvocationTarget}` and returns the controller.
+   * @param {Function} [options.SuiteClass] - The LD signature suite class to
+   *   verify with; see `ZcapVerifier` for this and the other suite options.
+   * @param {Function} [options.createSuite] - A function that returns an LD
+   *   signature suite to verify with.
+   * @param {object} [options.cryptosuite] - A Data Integrity cryptosuite to
+   *   verify with.
+   * @param {Function} [options.documentLoader] - The document loader to use;
+   *   it must be able to load the verification methods of the invokers.
+   * @param {object} [options.tls] - The `key` and `cert` (and any other
+   *   `https.createServer()` options) to serve HTTPS instead of HTTP.
+   * @param {Function} [options.getExpectedAction] - An optional (async)
+   *   function that is passed `{method, url, headers}` for each request and
+   *   returns the action that must be invoked, e.g., 'sign'. Default: 'read'
+   *   for GET, HEAD, and OPTIONS requests, otherwise 'write'.
+   * @param {Function} [options.respond] - An optional (async) function that
+   *   is passed `{invocation}` for each verified invocation and returns
+   *   `{status, headers, json}` for its response.
+   * @param {number} [options.clockOffset=0] - The number of milliseconds
+   *   that the server's clock is ahead of the local clock.
+   *
+   * @returns {MockZcapServer} - The new MockZcapServer instance.
+   */
+  constructor({
+    rootController, SuiteClass, createSuite, cryptosuite, documentLoader,
+    tls, getExpectedAction, respond, clockOffset = 0
+  } = {}) {
+    if(!(typeof rootController === 'string' ||
+      typeof rootController === 'function')) {
+      throw new TypeError('"rootController" must be a string or a function.');
+    }
+    if(getExpectedAction !== undefined &&
+      typeof getExpectedAction !== 'function') {
+      throw new TypeError('"getExpectedAction" must be a function.');
+    }
+    if(respond !== undefined && typeof respond !== 'function') {
+      throw new TypeError('"respond" must be a function.');
+    }
+    this.verifier = new ZcapVerifier({
+      SuiteClass, createSuite, cryptosuite, documentLoader,
+      getRootController: typeof rootController === 'function' ?
+        rootController : async () => rootController
+    });
+    this.tls = tls;
+    this.getExpectedAction = getExpectedAction;
+    this.respond = respond;
+    this.clockOffset = clockOffset;
+    this.invocations = [];
+    this.baseUrl = undefined;
+    this._faults = [];
+    this._server = null;
+  }
+
+  /**
+   * Starts the server.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.host='127.0.0.1'] - The host to listen on.
+   * @param {number} [options.port=0] - The port to listen on; `0` selects an
+   *   available port.
+   *
+   * @returns {Promise<string>} - A promise that resolves to the base URL of
+   *   the server, e.g., `http://127.0.0.1:51234`; it is also available as
+   *   the `baseUrl` property.
+   */
+  async start({host = '127.0.0.1', port = 0} = {}) {
+    if(this._server) {
+      throw new Error('Server has already been started.');
+    }
+    const listener = (req, res) => {
+      this._handle({req, res}).catch(error => {
+        res.statusCode = 500;
+        res.end(error.message);
+      });
+    };
+    this._server = this.tls ?
+      https.createServer(this.tls, listener) : http.createServer(listener);
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, host, resolve);
+    });
+    const scheme = this.tls ? 'https' : 'http';
+    this.baseUrl = `${scheme}://${host}:${this._server.address().port}`;
+    return this.baseUrl;
+  }
+
+  /**
+   * Stops the server.
+   *
+   * @returns {Promise} - A promise that resolves once the server has
+   *   stopped.
+   */
+  async close() {
+    const server = this._server;
+    if(!server) {
+      return;
+    }
+    this._server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Injects a fault: the next `count` invocations are still verified and
+   * recorded, but they get the given response instead of the normal one.
+   * Faults are used in the order they are injected.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {number} [options.status=500] - The response status.
+   * @param {object} [options.headers] - The response headers, e.g.,
+   *   `{'retry-after': '1'}`.
+   * @param {object} [options.json] - The JSON response body.
+   * @param {number} [options.count=1] - The number of invocations to respond
+   *   to with the fault.
+   */
+  injectFault({status = 500, headers = {}, json, count = 1} = {}) {
+    if(!(Number.isInteger(count) && count > 0)) {
+      throw new TypeError('"count" must be a positive integer.');
+    }
+    for(let i = 0; i < count; ++i) {
+      this._faults.push({status, headers, json});
+    }
+  }
+
+  /**
+   * Clears the recorded invocations and any faults that have not been
+   * used.
+   */
+  reset() {
+    this.invocations = [];
+    this._faults = [];
+  }
+
+  /**
+   * Gets the current time according to the server's clock.
+   *
+   * @returns {number} - The current time in milliseconds since the epoch.
+   */
+  now() {
+    return Date.now() + this.clockOffset;
+  }
+
+  async _handle({req, res}) {
+    const body = await _readBody({req});
+    const invocation = {
+      method: req.method,
+      url: this.baseUrl + req.url,
+      headers: req.headers,
+      body,
+      json: undefined,
+      verified: false,
+      invoker: undefined,
+      action: undefined,
+      capability: undefined,
+      error: undefined,
+      status: undefined
+    };
+    if(body && (req.headers['content-type'] || '').includes('json')) {
+      invocation.json = JSON.parse(new TextDecoder().decode(body));
+    }
+    this.invocations.push(invocation);
+
+    let response;
+    try {
+      const {invoker, action, capability} = await this.verifier.verify({
+        url: invocation.url, method: req.method, headers: req.headers, body,
+        expectedAction: await this.getExpectedAction?.({
+          method: req.method, url: invocation.url, headers: req.headers
+        }),
+        expectedRootCapability: await _getExpectedRootCapabilities(
+          {url: invocation.url}),
+        now: new Date(this.now())
+      });
+      Object.assign(invocation, {verified: true, invoker, action, capability});
+    } catch(error) {
+      invocation.error = error;
+      response = {
+        status: 403,
+        json: {name: 'NotAllowedError', message: error.message}
+      };
+    }
+
+    const fault = this._faults.shift();
+    if(fault) {
+      response = fault;
+    } else if(!response) {
+      response = this.respond ? await this.respond({invocation}) : {
+        status: 200,
+        json: {
+          invoker: invocation.invoker,
+          action: invocation.action,
+          capability: invocation.capability.id
+        }
+      };
+    }
+
+    const {status = 200, headers = {}, json} = response;
+    invocation.status = status;
+    res.writeHead(status, {
+      date: new Date(this.now()).toUTCString(),
+      ...(json === undefined ? {} : {'content-type': 'application/json'}),
+      ...headers
+    });
+    res.end(json === undefined ? undefined : JSON.stringify(json));
+  }
+}
+
+// gets the root zcap IDs for a URL and each of its parent paths
+async function _getExpectedRootCapabilities({url}) {
+  const {origin, pathname} = new URL(url);
+  const targets = [origin];
+  let path = '';
+  for(const segment of pathname.split('/').slice(1).filter(s => s)) {
+    path += `/${segment}`;
+    targets.push(origin + path);
+  }
+  // include the full URL, e.g., with a query
+  if(!targets.includes(url)) {
+    targets.push(url);
+  }
+  return Promise.all(targets.map(target => generateZcapUri({url: target})));
+}
+
+async function _readBody({req}) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  if(chunks.length === 0) {
+    return;
+  }
+  return new Uint8Array(Buffer.concat(chunks));
+}
@@ -0,0 +1,241 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {decodeBase64Url, encodeBase64Url} from './encoding.js';
+import {KEY_TYPE_ALGORITHMS} from './util.js';
+
+// the signature algorithms of `Multikey` keys by `publicKeyMultibase` prefix
+const MULTIKEY_PREFIX_ALGORITHMS = new Map([
+  ['z6Mk', 'Ed25519'],
+  ['zDna', 'P-256'],
+  ['z82L', 'P-384']
+]);
+
+export class RemoteKeyManager {
+  /**
+   * Creates a new RemoteKeyManager that creates signers for keys that are
+   * kept in a remote key management system (KMS), e.g., a WebKMS server,
+   * for use as the `invocationSigner` or `delegationSigner` of a
+   * `ZcapClient`. Each key is identified by its URL at the KMS and accessed
+   * via zcap invocations made with the given `zcapClient`: the public key
+   * description is read via a `read` invocation (an HTTP GET of the key
+   * URL) and data is signed via a `sign` invocation (an HTTP POST of a
+   * `SignOperation` to the key URL).
+   *
+   * Key descriptions are cached for `cacheTtl` milliseconds; while a
+   * description is cached, including while it is being fetched, requests
+   * for it share one HTTP request. Errors are
+   * mapped to a `NotAllowedError` (HTTP 401 or 403), `NotFoundError` (HTTP
+   * 404), or `OperationError` that has the original error as its `cause`
+   * and the HTTP `status`, if any.
+   *
+   * @class RemoteKeyManager
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.zcapClient - The `ZcapClient` to invoke the
+   *   KMS with; it must have an `invocationSigner`.
+   * @param {number} [options.cacheTtl=300000] - The number of milliseconds
+   *   to cache each key description; `0` disables caching.
+   * @param {number} [options.cacheSize=100] - The maximum number of key
+   *   descriptions to cache.
+   *
+   * @returns {RemoteKeyManager} - The new RemoteKeyManager instance.
+   */
+  constructor({zcapClient, cacheTtl = 5 * 60 * 1000, cacheSize = 100} = {}) {
+    if(!(zcapClient && typeof zcapClient.request === 'function')) {
+      throw new TypeError('"zcapClient" must be a ZcapClient instance.');
+    }
+    if(!(Number.isFinite(cacheTtl) && cacheTtl >= 0)) {
+      throw new TypeError('"cacheTtl" must be a non-negative number.');
+    }
+    if(!(Number.isInteger(cacheSize) && cacheSize >= 0)) {
+      throw new TypeError('"cacheSize" must be a non-negative integer.');
+    }
+    this.zcapClient = zcapClient;
+    this.cacheTtl = cacheTtl;
+    this.cacheSize = cacheSize;
+    // maps key URL to `{promise, expires}` for its description
+    this._descriptions = new Map();
+  }
+
+  /**
+   * Gets the public key description of a key, e.g., its
+   * `Ed25519VerificationKey2020` or `Multikey` verification method.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keyId - The URL of the key at the KMS.
+   * @param {string|object} [options.capability] - The capability to read
+   *   the key with. Default: the root capability for `keyId`.
+   *
+   * @returns {Promise<object>} - A promise that resolves to the key
+   *   description.
+   */
+  async getKeyDescription({keyId, capability} = {}) {
+    if(typeof keyId !== 'string') {
+      throw new TypeError('"keyId" must be a string.');
+    }
+    const now = Date.now();
+    const cached = this._descriptions.get(keyId);
+    if(cached && cached.expires > now) {
+      return cached.promise;
+    }
+
+    const promise = this._readKeyDescription({keyId, capability});
+    if(this.cacheTtl > 0 && this.cacheSize > 0) {
+      this._descriptions.delete(keyId);
+      this._descriptions.set(keyId, {promise, expires: now + this.cacheTtl});
+      // evict the least recently fetched descriptions
+      for(const id of this._descriptions.keys()) {
+        if(this._descriptions.size <= this.cacheSize) {
+          break;
+        }
+        this._descriptions.delete(id);
+      }
+      // do not cache failures
+      promise.catch(() => {
+        if(this._descriptions.get(keyId)?.promise === promise) {
+          this._descriptions.delete(keyId);
+        }
+      });
+    }
+    return promise;
+  }
+
+  /**
+   * Gets a signer for a key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keyId - The URL of the key at the KMS.
+   * @param {string|object} [options.capability] - The capability to read
+   *   the key description and sign with; it must allow the `read` and `sign`
+   *   actions. Default: the root capability for `keyId`.
+   * @param {string} [options.id] - The ID of the verification method that
+   *   signatures can be verified with. Default: the key description's `id`.
+   * @param {string} [options.controller] - The controller of the
+   *   verification method. Default: the key description's `controller`.
+   * @param {string} [options.algorithm] - The signature algorithm, e.g.,
+   *   'Ed25519' or 'P-256'. Default: determined by the key description's
+   *   `type` and `publicKeyMultibase`.
+   *
+   * @returns {Promise<object>} - A promise that resolves to a signer with a
+   *   `.sign()` function and `id`, `controller`, `algorithm`, and `keyId`
+   *   properties.
+   */
+  async getSigner({keyId, capability, id, controller, algorithm} = {}) {
+    const description = await this.getKeyDescription({keyId, capability});
+    id = id ?? description.id;
+    controller = controller ?? description.controller;
+    algorithm = algorithm ?? _getAlgorithm({description});
+    if(typeof id !== 'string') {
+      throw new TypeError(
+        `Key "${keyId}" has no description "id"; "id" must be given.`);
+    }
+    if(algorithm === undefined) {
+      throw new TypeError(
+        `The algorithm of key "${keyId}" could not be determined; ` +
+        '"algorithm" must be given.');
+    }
+
+    const {zcapClient} = this;
+    return {
+      id, controller, algorithm, keyId,
+      async sign({data} = {}) {
+        let response;
+        try {
+          response = await zcapClient.request({
+            url: keyId, capability, method: 'post', action: 'sign',
+            json: {
+              type: 'SignOperation',
+              invocationTarget: keyId,
+              verifyData: encodeBase64Url({data})
+            }
+          });
+        } catch(cause) {
+          throw _createKmsError(
+            {message: `Could not sign with key "${keyId}".`, cause});
+        }
+        const signatureValue = response.data?.signatureValue;
+        if(typeof signatureValue !== 'string') {
+          throw _createKmsError({
+            message: `The KMS did not return a signature for key "${keyId}".`
+          });
+        }
+        return decodeBase64Url({text: signatureValue});
+      }
+    };
+  }
+
+  /**
+   * Gets signers for many keys. The description of each key is fetched by a
+   * separate, concurrent HTTP request; there is no batched request, but keys
+   * with the same `keyId` share one request unless caching is disabled.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.keys - The options to pass to
+   *   `getSigner()` for each key.
+   *
+   * @returns {Promise<Array<object>>} - A promise that resolves to the
+   *   signers, in the order of `keys`.
+   */
+  async getSigners({keys} = {}) {
+    if(!Array.isArray(keys)) {
+      throw new TypeError('"keys" must be an array.');
+    }
+    return Promise.all(keys.map(options => this.getSigner(options)));
+  }
+
+  /**
+   * Clears all cached key descriptions.
+   */
+  clearCache() {
+    this._descriptions.clear();
+  }
+
+  async _readKeyDescription({keyId, capability}) {
+    let response;
+    try {
+      response = await this.zcapClient.read({url: keyId, capability});
+    } catch(cause) {
+      throw _createKmsError({
+        message: `Could not get the description of key "${keyId}".`, cause
+      });
+    }
+    const description = response.data;
+    if(!(description && typeof description === 'object' &&
+      typeof description.type === 'string')) {
+      throw _createKmsError({
+        message: `The KMS returned an invalid description for key "${keyId}".`
+      });
+    }
+    return description;
+  }
+}
+
+function _getAlgorithm({description}) {
+  const {type, publicKeyMultibase} = description;
+  if(KEY_TYPE_ALGORITHMS.has(type)) {
+    return KEY_TYPE_ALGORITHMS.get(type);
+  }
+  if(type === 'Multikey' && typeof publicKeyMultibase === 'string') {
+    return MULTIKEY_PREFIX_ALGORITHMS.get(publicKeyMultibase.slice(0, 4));
+  }
+}
+
+function _createKmsError({message, cause}) {
+  const error = new Error(message);
+  const status = cause?.status;
+  if(status === 401 || status === 403 || cause?.name === 'NotAllowedError') {
+    error.name = 'NotAllowedError';
+  } else if(status === 404) {
+    error.name = 'NotFoundError';
+  } else {
+    error.name = 'OperationError';
+  }
+  if(status !== undefined) {
+    error.status = status;
+  }
+  if(cause) {
+    error.cause = cause;
+  }
+  return error;
+}
@@ -1,20 +1,69 @@
 /*!
  * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
  */
+import {
+  applyDelegationPolicy, createDelegationPolicy
+} from './delegationPolicy.js';
 import {
   CapabilityDelegation,
-  extendDocumentLoader,
-  constants as zCapConstants,
-  documentLoader as zcapDocumentLoader
+  CapabilityInvocation,
+  constants as zCapConstants
 } from '@digitalbazaar/zcap';
-import {DEFAULT_HEADERS, httpClient} from '@digitalbazaar/http-client';
-import {generateZcapUri, getCapabilitySigners} from './util.js';
+import {
+  checkCapability, getEmbeddedCapabilityChain, verifyCapabilityChain
+} from './capabilityChain.js';
+import {
+  checkController, createSuiteDocumentLoader, generateZcapUri,
+  getCapabilitySigners, getDelegationProofs
+} from './util.js';
+import {
+  createAuthzHeader, createSignatureString, parseSignatureHeader
+} from '@digitalbazaar/http-signature-header';
+import {createRetryPolicy, getRetryDelay, IDEMPOTENT_METHODS} from './retry.js';
+import {
+  decodeCapability, encodeBase64, isEncodedCapability
+} from './encoding.js';
+import {
+  DEFAULT_CURSOR_FIELDS, DEFAULT_NEXT_FIELDS, getNextPageUrl
+} from './pagination.js';
+import {createConcurrencyLimiter} from './concurrency.js';
+import {createHttpTransport} from './transports.js';
+import {createSuiteFactory} from './suites.js';
+import {DEFAULT_HEADERS} from '@digitalbazaar/http-client';
+import {digestStream} from './digest.js';
 import jsigs from 'jsonld-signatures';
 import {signCapabilityInvocation} from
   '@digitalbazaar/http-signature-zcap-invoke';
+import {v4 as uuid} from 'uuid';
+import {ZcapStore} from './ZcapStore.js';
 
 const {ZCAP_CONTEXT_URL, ZCAP_ROOT_PREFIX} = zCapConstants;
 
+// the fields of a delegated zcap that are set by `delegate()`
+const RESERVED_FIELDS = new Set([
+  '@context', 'id', 'controller', 'parentCapability', 'invocationTarget',
+  'expires', 'allowedAction', 'proof'
+]);
+
+// `Date` headers have a resolution of one second, so smaller differences
+// between the server's and the local clock are not considered skew
+const MIN_CLOCK_SKEW = 2000;
+
+// the zcap actions invoked by default by the convenience methods, by HTTP
+// method
+const DEFAULT_METHOD_ACTIONS = {
+  get: 'read',
+  post: 'write',
+  put: 'write',
+  patch: 'write',
+  delete: 'write'
+};
+
+// the names of the hooks that are run during requests and delegations
+const HOOK_NAMES = [
+  'beforeSign', 'afterSign', 'response', 'error', 'delegation'
+];
+
 /**
  * An object that manages connection persistence and reuse for HTTPS requests.
  *
@@ -39,8 +88,16 @@ export class ZcapClient {
    * @class ZcapClient
    *
    * @param {object} options - The options to use.
-   * @param {LinkedDataSignatureSuiteClass} options.SuiteClass - The LD
-   *   signature suite class to use to sign requests and delegations.
+   * @param {LinkedDataSignatureSuiteClass} [options.SuiteClass] - The LD
+   *   signature suite class to use to sign and verify delegations; exactly
+   *   one of `SuiteClass`, `createSuite`, or `cryptosuite` must be given.
+   * @param {Function} [options.createSuite] - A function that is passed
+   *   `{signer, date}` and returns an LD signature suite to sign
+   *   delegations with; it is passed nothing to create a suite to verify
+   *   delegations with.
+   * @param {object} [options.cryptosuite] - A Data Integrity cryptosuite,
+   *   e.g., `eddsa-rdfc-2022` or `ecdsa-rdfc-2019`, to sign and verify
+   *   delegations with using `DataIntegrityProof`.
    * @param {object} [options.didDocument] - A DID Document that contains
    *   `capabilityInvocation` and `capabilityDelegation` verification
    *   relationships; `didDocument` and `keyPairs`, or `invocationSigner` and
@@ -50,6 +107,12 @@ export class ZcapClient {
    *   `didDocument` indexed by key pair; `didDocument` and `keyPairs`, or
    *   `invocationSigner` and `delegationSigner` must be provided in order to
    *    invoke or delegate zcaps, respectively.
+   * @param {string|Function} [options.invocationKey] - The ID of, or a
+   *   predicate for selecting, the `didDocument` key to invoke zcaps with;
+   *   see `getCapabilitySigners()`.
+   * @param {string|Function} [options.delegationKey] - The ID of, or a
+   *   predicate for selecting, the `didDocument` key to delegate zcaps with;
+   *   see `getCapabilitySigners()`.
    * @param {object} [options.delegationSigner] - An object with a
    *   `.sign()` function and `id` and `controller` properties that will be
    *   used for delegating zcaps; `delegationSigner` or `didDocument` and
@@ -64,211 +127,313 @@ export class ZcapClient {
    *   headers to include in every invocation request.
    * @param {Function} [options.documentLoader] - Optional document loader
    *   to load suite-related contexts. If none is provided, one will be
-   *   auto-generated if the suite class expresses its required context.
+   *   auto-generated via `createDocumentLoader()` that also loads the suite
+   *   class' context if it expresses it.
+   * @param {object} [options.capabilityRefresher] - An optional
+   *   refresher of short-lived zcaps; if given, `request()` will invoke the
+   *   newest delegation of any zcap it manages. It may also be set via the
+   *   `capabilityRefresher` property after construction.
+   * @param {ZcapStore} [options.zcapStore] - An optional store of zcaps; if
+   *   given, `request()` will select a zcap from it when no `capability` is
+   *   given and zcaps delegated to this client's controller will be saved
+   *   to it. Only zcaps that are controlled by the invocation signer's
+   *   controller and that have not expired, according to `now()`, are
+   *   selected.
+   * @param {object} [options.methodActions] - An optional map of lower case
+   *   HTTP method to the zcap action that the convenience methods, e.g.,
+   *   `read()` and `update()`, invoke for it; it is merged with the default
+   *   map: `get` => 'read' and `post`, `put`, `patch`, `delete` => 'write'.
+   * @param {object} [options.retry] - The retry policy for failed requests;
+   *   every retry is signed again. A request is retried if it fails with a
+   *   network error or a retryable status, using exponential backoff unless
+   *   the response has a `Retry-After` header. Retried requests with a
+   *   non-idempotent method, e.g., POST, include a signed `Idempotency-Key`
+   *   header that is the same in every attempt. The policy options are:
+   *   `maxAttempts` (default: 3, including the first; `1` disables retries),
+   *   `minDelay` (default: 300, milliseconds before the first retry),
+   *   `maxDelay` (default: 30000, milliseconds before any retry, including a
+   *   `Retry-After` delay), `factor` (default: 2, by which the delay grows),
+   *   `jitter` (default: true, randomizes each delay between half of and the
+   *   full delay), `statuses` (default: 408, 413, 429, 500, 502, 503, 504)
+   *   and `methods` (default: the idempotent HTTP methods).
+   * @param {boolean} [options.compensateClockSkew=false] - Whether to learn
+   *   the offset between the local clock and each server's clock from the
+   *   `Date` headers of its responses and apply it when signing invocations
+   *   sent to the same origin. Learned offsets are never applied to requests
+   *   to other origins or to delegations. If a request is rejected with a
+   *   401 or 403 status and its response reveals a clock skew, it is signed
+   *   again and retried once.
+   * @param {number} [options.clockOffset=0] - The number of milliseconds to
+   *   add to the local clock, e.g., for every origin whose offset has not
+   *   been learned; it is also available as the `clockOffset` property.
+   * @param {object} [options.delegationPolicy] - The policy that `delegate()`
+   *   enforces. Every delegated zcap must attenuate its parent: its
+   *   `expires` must not be after the parent's, its `allowedAction` must be
+   *   a subset of the parent's and its `invocationTarget` must be equal to
+   *   or a RESTful suffix of the parent's. The policy options are:
+   *   `attenuation` (default: 'throw'; 'clamp' narrows `expires` and
+   *   `allowedActions` instead of throwing, but an invalid target always
+   *   throws), `maxTtl` (milliseconds that a delegated zcap may be valid
+   *   for), `maxChainLength` (of the new zcap's capability chain, including
+   *   the root zcap) and `allowedControllers` (an array of strings and
+   *   regular expressions or a function that is passed `{controller}`,
+   *   matching the controllers that zcaps may be delegated to). A violation
+   *   throws an error with the name `ConstraintError`.
+   * @param {object} [options.hooks] - An optional map of hook name to a hook
+   *   function, or an array of them, to run during requests and
+   *   delegations; see `addHook()`.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   every request made by this client when it is aborted, e.g., when an
+   *   application shuts down; it is also available as the `signal` property.
+   * @param {number} [options.timeout] - The default number of milliseconds
+   *   after which a request, including any time spent waiting for a
+   *   concurrency slot and any retries, is cancelled with a `TimeoutError`;
+   *   it is also available as the `timeout` property. Default: no timeout
+   *   beyond the HTTP client's own timeout for each attempt.
+   * @param {number} [options.maxConcurrency=Infinity] - The maximum number
+   *   of requests that are sent to the same host at once; further requests
+   *   wait in a first-in, first-out queue for that host and are not signed
+   *   until they leave it.
+   * @param {object} [options.transport] - The transport that delivers
+   *   signed invocations, e.g., one created via `createWebSocketTransport()`
+   *   or `createUnixSocketTransport()`; it is also available as the
+   *   `transport` property. Default: an HTTP(S) transport created via
+   *   `createHttpTransport()`.
+   * @param {boolean} [options.allowInsecureLocalhost=false] - Whether root
+   *   zcaps may be invoked by ID at `http://localhost` targets, e.g., during
+   *   development or via a Unix socket; otherwise, their invocation targets
+   *   must be HTTPS URLs.
    *
    * @returns {ZcapClient} - The new ZcapClient instance.
    */
   constructor({
-    SuiteClass, didDocument, keyPairs, delegationSigner, invocationSigner,
-    agent, defaultHeaders = {}, documentLoader
+    SuiteClass, createSuite, cryptosuite, didDocument, keyPairs,
+    invocationKey, delegationKey, delegationSigner, invocationSigner, agent,
+    defaultHeaders = {}, documentLoader, capabilityRefresher, zcapStore,
+    methodActions = {}, retry, compensateClockSkew = false, clockOffset = 0,
+    delegationPolicy, hooks = {}, signal, timeout,
+    maxConcurrency = Infinity, transport = createHttpTransport(),
+    allowInsecureLocalhost = false
   } = {}) {
-    if(!SuiteClass) {
-      throw new TypeError('"SuiteClass" must be provided.');
+    if(zcapStore !== undefined && !(zcapStore instanceof ZcapStore)) {
+      throw new TypeError('"zcapStore" must be a ZcapStore instance.');
+    }
+    if(!Number.isFinite(clockOffset)) {
+      throw new TypeError('"clockOffset" must be a number.');
+    }
+    _checkTimeout({timeout});
+    if(!(transport && typeof transport.send === 'function')) {
+      throw new TypeError('"transport" must have a "send" function.');
     }
 
     this.agent = agent;
     this.defaultHeaders = {...DEFAULT_HEADERS, ...defaultHeaders};
     this.SuiteClass = SuiteClass;
+    this.createSuite = createSuiteFactory(
+      {SuiteClass, createSuite, cryptosuite});
+    this.capabilityRefresher = capabilityRefresher;
+    this.zcapStore = zcapStore;
+    this.methodActions = {...DEFAULT_METHOD_ACTIONS, ...methodActions};
+    this.retry = createRetryPolicy(retry);
+    this.compensateClockSkew = compensateClockSkew;
+    this.clockOffset = clockOffset;
+    // the clock offsets learned from the responses of each origin
+    this._clockOffsets = new Map();
+    this.delegationPolicy = createDelegationPolicy(delegationPolicy);
+    this.signal = signal;
+    this.timeout = timeout;
+    this._limiter = createConcurrencyLimiter({maxConcurrency});
+    this.transport = transport;
+    this.allowInsecureLocalhost = allowInsecureLocalhost;
+    this._hooks = new Map(HOOK_NAMES.map(name => [name, []]));
+    for(const [name, hook] of Object.entries(hooks)) {
+      [].concat(hook).forEach(hook => this.addHook({name, hook}));
+    }
 
     // set the appropriate invocation and delegation signers
-    if(didDocument && keyPairs) {
-      const signers = getCapabilitySigners({didDocument, keyPairs});
-      this.invocationSigner = signers.invocationSigner;
-      this.delegationSigner = signers.delegationSigner;
-    } else if(invocationSigner || delegationSigner) {
-      this.invocationSigner = invocationSigner;
-      this.delegationSigner = delegationSigner;
-    } else {
-      throw new TypeError(
-        'Either `didDocument` and `keyPairs`, or `invocationSigner` and/or ' +
-        '`delegationSigner` must be provided.');
-    }
+    ({
+      invocationSigner: this.invocationSigner,
+      delegationSigner: this.delegationSigner
+    } = _getSigners({
+      didDocument, keyPairs, invocationKey, delegationKey,
+      invocationSigner, delegationSigner
+    }));
 
     // auto generate doc loader as needed if suite context is provided
-    if(!documentLoader && SuiteClass.CONTEXT && SuiteClass.CONTEXT_URL) {
-      documentLoader = extendDocumentLoader(
-        async function suiteContextLoader(url) {
-          if(url === SuiteClass.CONTEXT_URL) {
-            return {
-              contextUrl: null,
-              document: SuiteClass.CONTEXT,
-              documentUrl: url,
-              tag: 'static'
-            };
-          }
-          return jsigs.strictDocumentLoader(url);
-        });
-    }
-    this.documentLoader = documentLoader || zcapDocumentLoader;
+    this.documentLoader = createSuiteDocumentLoader(
+      {SuiteClass, documentLoader});
   }
 
   /**
    * Delegates an Authorization Capability to a target delegate.
    *
    * @param {object} options - The options to use.
-   * @param {object} [options.capability] - The parent capability to
-   *   delegate; must be an object if it is a delegated zcap, can be a string
-   *   if it is a root zcap but then `invocationTarget` must be specified; if
-   *   not specified, this will be auto-generated as a root zcap for the given
+   * @param {object|string} [options.capability] - The parent capability to
+   *   delegate; must be an object, or an object encoded via
+   *   `encodeCapability()`, if it is a delegated zcap, can be a root zcap
+   *   object, e.g., created via `createRootCapability()`, or a string if it
+   *   is a root zcap but then `invocationTarget` must be specified; if not
+   *   specified, this will be auto-generated as a root zcap for the given
    *   `invocationTarget`.
-   * @param {string} options.controller - The URL identifying the entity to
-   *   delegate to, i.e., the party that will control the new zcap.
+   * @param {string|Array<string>} options.controller - The URL identifying
+   *   the entity to delegate to, i.e., the party that will control the new
+   *   zcap, or an array of URLs if the new zcap has many controllers, any
+   *   of which may invoke or delegate it.
    * @param {string} [options.invocationTarget] - Optional invocation target
    *   to use when narrowing a `capability`'s existing invocationTarget.
    *   Default is to use `capability.invocationTarget`, provided that
    *   `capability` is an object.
    * @param {string|Date} [options.expires] - Optional expiration value
-   *   for the delegation. Default is 5 minutes after `Date.now()`.
+   *   for the delegation. Default is 5 minutes after `now` or when the
+   *   parent capability expires, whichever is sooner.
    * @param {string|Array} [options.allowedActions] - Optional list of allowed
    *   actions or string specifying allowed delegated action. Default: [] -
    *   delegate all actions.
+   * @param {string} [options.attenuation] - Overrides the `attenuation` of
+   *   the client's `delegationPolicy` for this delegation: 'throw' or
+   *   'clamp'.
+   * @param {Array<string|object>} [options.contexts] - Additional JSON-LD
+   *   contexts for the new zcap; they are added after the zcap context and
+   *   must define the terms of `fields`. The client's `documentLoader` must
+   *   be able to load them, e.g., via the `documents` option of
+   *   `createDocumentLoader()`.
+   * @param {object} [options.fields] - Additional fields, e.g., custom
+   *   caveats, to include in the new zcap; they must not include the fields
+   *   that are set by `delegate()`, e.g., `controller` or `expires`.
    * @param {number} [options.now] - Optional timestamp for the current time;
-   *   useful for testing.
+   *   useful for testing. Default: `this.now()`.
    *
    * @returns {Promise<object>} - A promise that resolves to a delegated
    *   capability.
    */
-  async delegate({
-    capability, controller, invocationTarget, expires,
-    allowedActions, now = Date.now()
-  } = {}) {
-    if(!(typeof controller === 'string' && controller.includes(':'))) {
-      throw new Error(
-        '"controller" must be a string expressing an absolute URI.');
-    }
-    if(!this.delegationSigner) {
-      throw new Error('"delegationSigner" was not provided in constructor.');
-    }
-    if(invocationTarget !== undefined &&
-      !(typeof invocationTarget === 'string' &&
-      invocationTarget.includes(':'))) {
-      throw new Error(
-        '"invocationTarget" must be a string expressing an absolute URI.');
-    }
-
-    if(!(capability || invocationTarget)) {
-      throw new TypeError(
-        'At least one of "capability" and "invocationTarget" is required.');
-    }
-
-    if(expires === undefined) {
-      // default expiration is 5 minutes in the future
-      expires = new Date(now + 5 * 60 * 1000);
-    } else if(expires instanceof Date || typeof expires === 'string') {
-      // ensure expires is a valid date
-      const time = Date.parse(expires);
-      if(isNaN(time)) {
-        throw new Error('"expires" is not a valid date.');
-      }
-    } else {
-      throw new TypeError('"expires" must be a string or a date.');
-    }
-
-    // ensure expires is a string
-    if(typeof expires !== 'string') {
-      // use second precision
-      expires = expires.toISOString().slice(0, -5) + 'Z';
-    }
-
-    if(!capability) {
-      // generate root zcap ID from `invocationTarget`
-      capability = await generateZcapUri({url: invocationTarget});
-    }
+  async delegate({now = this.now(), ...options} = {}) {
+    // use the same signer throughout even if signers are rotated
+    const {delegationSigner, documentLoader} = this;
+    return this._delegate({
+      ...options, now, delegationSigner, documentLoader,
+      getSuite: ({date}) => this.createSuite({signer: delegationSigner, date})
+    });
+  }
 
-    let parentCapability;
-    if(typeof capability === 'string') {
-      parentCapability = capability;
-    } else if(typeof capability === 'object' &&
-      typeof capability.id === 'string') {
-      parentCapability = capability.id;
-    } else {
-      throw new TypeError(
-        '"capability" must be a string to delegate a root capability or ' +
-        'a capability object to delegate a delegated capability.');
+  /**
+   * Delegates many Authorization Capabilities at once, e.g., to every member
+   * of a team for every resource it uses. The delegations share the same
+   * signer, suite setup and document loader; each document, e.g., a context
+   * or a verification method, is loaded only once per batch.
+   *
+   * Each delegation is made as if by `delegate()`; the batch options are
+   * the defaults for the options of each delegation. A failed delegation does
+   * not abort the others.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.delegations - The options for each
+   *   delegation, e.g., `{controller, invocationTarget}`; see `delegate()`.
+   * @param {number} [options.concurrency=4] - The maximum number of
+   *   delegations to sign at the same time.
+   * @param {object|string} [options.capability] - The default parent
+   *   capability.
+   * @param {string} [options.invocationTarget] - The default invocation
+   *   target.
+   * @param {string|Date} [options.expires] - The default expiration value.
+   * @param {string|Array} [options.allowedActions] - The default allowed
+   *   actions.
+   * @param {string} [options.attenuation] - The default attenuation mode.
+   * @param {Array<string|object>} [options.contexts] - The default
+   *   additional contexts.
+   * @param {object} [options.fields] - The default additional fields.
+   * @param {number} [options.now] - Optional timestamp for the current time
+   *   for every delegation. Default: `this.now()`.
+   *
+   * @returns {Promise<Array<object>>} - A promise that resolves to a result
+   *   for each delegation, in the same order as `delegations`; like the
+   *   results of `Promise.allSettled()`, each is either
+   *   `{status: 'fulfilled', value}` where `value` is the delegated
+   *   capability or `{status: 'rejected', reason}` where `reason` is the
+   *   error.
+   */
+  async delegateMany({
+    delegations, concurrency = 4, now = this.now(), ...defaults
+  } = {}) {
+    if(!Array.isArray(delegations)) {
+      throw new TypeError('"delegations" must be an array.');
     }
-
-    if(invocationTarget === undefined) {
-      if(typeof capability === 'string') {
-        throw new Error(
-          '"invocationTarget" must be specified when "capability" is ' +
-          'a string.');
-      }
-      // inherit `capability` invocation target
-      invocationTarget = capability.invocationTarget;
+    if(!(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new TypeError('"concurrency" must be a positive integer.');
     }
 
-    if(typeof invocationTarget !== 'string') {
-      throw new TypeError('"invocationTarget" must be a string.');
-    }
+    // decode a shared parent capability only once
+    defaults.capability = await _decodeCapability(
+      {capability: defaults.capability});
 
-    // default `allowedActions` to parent zcap's
-    if(allowedActions === undefined) {
-      if(typeof capability === 'string') {
-        allowedActions = [];
-      } else {
-        allowedActions = capability.allowedAction || [];
+    const {delegationSigner} = this;
+    const documentLoader = _createCachingDocumentLoader(
+      {documentLoader: this.documentLoader});
+    // suites are reused by every delegation with the same proof date
+    const suites = new Map();
+    const getSuite = ({date}) => {
+      let suite = suites.get(date.getTime());
+      if(!suite) {
+        suite = this.createSuite({signer: delegationSigner, date});
+        suites.set(date.getTime(), suite);
       }
-    }
-
-    if(typeof allowedActions === 'string') {
-      // convert string value for allowedActions to array
-      allowedActions = (typeof allowedActions === 'string') ?
-        allowedActions = [allowedActions] : allowedActions;
-    }
-    if(!Array.isArray(allowedActions)) {
-      throw new TypeError(
-        '"allowedActions" must be a string or an array of strings.');
-    }
-
-    const delegatedCapability = {
-      '@context': ZCAP_CONTEXT_URL,
-      id: await generateZcapUri(),
-      controller,
-      parentCapability,
-      invocationTarget,
-      expires
+      return suite;
     };
-    if(allowedActions.length > 0) {
-      delegatedCapability.allowedAction = allowedActions;
-    }
 
-    // ensure delegation date will not be at least after parent delegation date
-    const [parentProof] = _getDelegationProofs({capability});
-    let date = new Date(now);
-    if(parentProof) {
-      const parentDelegationDate = new Date(parentProof.created);
-      if(date < parentDelegationDate) {
-        date = parentDelegationDate;
-      }
-    }
+    return _mapConcurrently({
+      items: delegations,
+      concurrency,
+      fn: options => this._delegate({
+        ...defaults, ...options, now,
+        delegationSigner, documentLoader, getSuite
+      })
+    });
+  }
 
-    const {documentLoader} = this;
-    const signedDelegatedCapability = await jsigs.sign(
-      delegatedCapability, {
-        documentLoader,
-        suite: new this.SuiteClass({
-          date,
-          signer: this.delegationSigner
-        }),
-        purpose: new CapabilityDelegation({
-          // this needs to be the full object (if not delegating the root
-          // zcap), so can't use the local `parentCapability` var from above
-          // that holds just the ID value
-          parentCapability: capability
-        })
-      });
+  /**
+   * Verifies the delegation chain of a delegated Authorization Capability
+   * without invoking it, e.g., before storing a zcap received from a peer.
+   * Every delegation proof in the chain is verified using the client's
+   * `documentLoader`, which must therefore be able to load the verification
+   * methods of every delegator in the chain. Every delegated zcap in the
+   * chain is also checked to ensure that it narrows its parent: its
+   * `allowedAction` must be a subset of its parent's, its `expires` must
+   * not be later than its parent's, and its `invocationTarget` must be
+   * equal to or a RESTful suffix of its parent's.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|string} options.capability - The delegated capability to
+   *   verify, as an object or encoded via `encodeCapability()`.
+   * @param {string|Array} [options.rootController] - The controller of the
+   *   root capability; if not given, the root capability will be loaded via
+   *   the `documentLoader`.
+   * @param {number} [options.now] - Optional timestamp for the current time;
+   *   useful for testing.
+   *
+   * @returns {Promise<object>} - A promise that resolves to a report with
+   *   a `verified` boolean, the `rootCapability` ID, any `errors` that
+   *   prevented checking the chain, and a `links` array with an entry for
+   *   each delegated zcap, ordered from root to tail, that includes its
+   *   `id`, `parentCapability`, `controller`, `verified` boolean, `checks`
+   *   (`proof`, `allowedAction`, `expires`, `invocationTarget`, and
+   *   `unexpired` booleans), and `errors`.
+   */
+  async verifyCapabilityChain({
+    capability, rootController, now = this.now()
+  } = {}) {
+    capability = await _decodeCapability({capability});
+    try {
+      checkCapability({capability});
+    } catch(cause) {
+      const error = new Error(
+        '"capability" must be a valid authorization capability object.');
+      error.cause = cause;
+      throw error;
+    }
 
-    return signedDelegatedCapability;
+    const {documentLoader, createSuite} = this;
+    return verifyCapabilityChain({
+      capability, createSuite, documentLoader, rootController, now
+    });
   }
 
   /**
@@ -284,29 +449,113 @@ export class ZcapClient {
    *   Authorization Capability against; if not provided, a `capability` must
    *   be provided instead.
    * @param {string|object} [options.capability] - The capability to invoke at
-   *   the given URL. Default: generate root capability from options.url.
+   *   the given URL; an object may be encoded via `encodeCapability()`.
+   *   Default: select a capability from the client's
+   *   `zcapStore` (if any) that can be invoked at `options.url` for
+   *   `options.action`, otherwise generate root capability from
+   *   options.url.
    * @param {string} [options.method] - The HTTP method to use when accessing
    *   the resource. Default: 'get'.
    * @param {string} [options.action] - The capability action that is being
-   *   invoked. Default: 'read'.
+   *   invoked; if the capability has an `allowedAction`, it must include
+   *   this action or an error is thrown without sending the request.
+   *   Default: 'read'.
    * @param {object} [options.headers] - The additional headers to sign and
    *   send along with the HTTP request. Default: {}.
-   * @param {object} options.json - The JSON object, if any, to send with the
-   *   request.
+   * @param {object} [options.json] - The JSON object, if any, to send with
+   *   the request; not allowed when `options.body` is given.
+   * @param {Uint8Array|Blob|ReadableStream} [options.body] - The binary
+   *   body, if any, to send with the request; not allowed when
+   *   `options.json` is given. A stream is read, and hashed as it is read,
+   *   before the request is sent because its digest must be signed.
+   * @param {string} [options.contentType] - The content type of `body`.
+   *   Default: the type of a `Blob` body or 'application/octet-stream'.
+   * @param {object} [options.retry] - Retry policy options for this request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the request when it is aborted; the request then rejects with the
+   *   signal's reason. A request that is cancelled before it is sent is not
+   *   signed. The client's `signal` also cancels the request.
+   * @param {number} [options.timeout] - The number of milliseconds after
+   *   which the request, including any time spent waiting for a concurrency
+   *   slot and any retries, is cancelled with a `TimeoutError`. Default: the
+   *   client's `timeout`.
    *
    * @returns {Promise<object>} - A promise that resolves to an HTTP response.
    */
   async request({
+    signal, timeout = this.timeout, method = 'get', action = 'read',
+    ...options
+  } = {}) {
+    // the same context is passed to every hook that is run for this request;
+    // its `url` and `capability` are updated once they are determined
+    const context = {
+      url: options.url, method, action, capability: options.capability
+    };
+    const start = Date.now();
+    let response;
+    try {
+      _checkTimeout({timeout});
+      const {signal: requestSignal, clear} = _createRequestSignal(
+        {signals: [this.signal, signal], timeout});
+      try {
+        response = await this._request({
+          ...options, method, action, signal: requestSignal, timeout, context
+        });
+      } finally {
+        clear();
+      }
+    } catch(error) {
+      context.error = error;
+      context.duration = Date.now() - start;
+      // an error thrown by an `error` hook must not mask the request's error
+      await this._runHooks({name: 'error', context, ignoreErrors: true});
+      throw error;
+    }
+    context.response = response;
+    context.duration = Date.now() - start;
+    await this._runHooks({name: 'response', context});
+    return response;
+  }
+
+  // performs a request that is cancelled via `signal`, which is aborted
+  // when the request's `timeout` has passed
+  async _request({
     url,
     capability,
-    method = 'get',
-    action = 'read',
+    method,
+    action,
     headers = {},
-    json
-  } = {}) {
+    json,
+    body,
+    contentType,
+    retry,
+    signal,
+    timeout,
+    context
+  }) {
     if(!this.invocationSigner) {
       throw new Error('"invocationSigner" was not provided in constructor.');
     }
+    if(json !== undefined && body !== undefined) {
+      throw new TypeError('"json" and "body" must not be given together.');
+    }
+    if(body !== undefined && !_isBody(body)) {
+      throw new TypeError(
+        '"body" must be a Uint8Array, Blob, or ReadableStream.');
+    }
+
+    capability = await _decodeCapability({capability});
+
+    // select a stored zcap if none was given
+    if(capability === undefined && url !== undefined && this.zcapStore) {
+      capability = await this._findCapability({url, action});
+    }
+
+    // use the newest delegation of a refreshed zcap
+    if(capability !== undefined && this.capabilityRefresher) {
+      capability = this.capabilityRefresher.getLatest({capability});
+    }
 
     // get invocation target from zcap
     let invocationTarget;
@@ -319,14 +568,18 @@ export class ZcapClient {
       }
       invocationTarget = decodeURIComponent(
         capability.substring(ZCAP_ROOT_PREFIX.length));
-      if(!invocationTarget.startsWith('https://')) {
+      if(!(invocationTarget.startsWith('https://') ||
+        (this.allowInsecureLocalhost &&
+        _isLocalhostUrl({url: invocationTarget})))) {
         throw new Error(
           'When "capability" is a string, it must be a root ' +
-          'authorization capability with an HTTPS invocation target.');
+          'authorization capability with an HTTPS invocation target ' +
+          '(or an "http://localhost" target if "allowInsecureLocalhost" ' +
+          'is set).');
       }
     } else if(capability !== undefined) {
       try {
-        _checkZcap({capability});
+        checkCapability({capability});
       } catch(cause) {
         const error = new Error(
           '"capability" must be a valid authorization capability object.');
@@ -334,6 +587,17 @@ export class ZcapClient {
         throw error;
       }
       invocationTarget = capability.invocationTarget;
+
+      // do not send a request that is bound to fail
+      const {allowedAction} = capability;
+      if(allowedAction !== undefined &&
+        ![].concat(allowedAction).includes(action)) {
+        const error = new Error(
+          `Capability "${capability.id}" does not allow the "${action}" ` +
+          'action.');
+        error.name = 'NotAllowedError';
+        throw error;
+      }
     }
 
     // set `url` to invocation target if not given
@@ -358,31 +622,115 @@ export class ZcapClient {
       }
     }
 
-    const {agent, invocationSigner} = this;
-
-    // sign the zcap headers
-    const signatureHeaders = await signCapabilityInvocation({
-      url,
-      method,
-      headers: {
-        ...headers,
-        date: new Date().toUTCString()
-      },
-      json,
-      invocationSigner,
-      capability: capability || await generateZcapUri({url}),
-      capabilityAction: action
-    });
+    const {agent} = this;
+    retry = createRetryPolicy({...this.retry, ...retry});
 
-    // build the final request
-    const options = {
-      method,
-      json,
-      agent,
-      headers: {...this.defaultHeaders, ...signatureHeaders}
-    };
+    headers = {...headers};
+    if(body !== undefined) {
+      const hasContentType = Object.keys(headers).some(
+        k => k.toLowerCase() === 'content-type');
+      if(!hasContentType) {
+        headers['content-type'] = contentType || body.type ||
+          'application/octet-stream';
+      }
+      // streams are hashed here as the digest header must be signed before
+      // the stream can be sent
+      if(_isStream(body)) {
+        let digest;
+        ({digest, body} = await digestStream({stream: body}));
+        headers.digest = digest;
+      }
+    }
 
-    return httpClient(url, options);
+    // a retried non-idempotent request carries the same signed idempotency
+    // key in every attempt so the server can detect duplicates
+    const additionalSignedHeaders = [];
+    if(retry.maxAttempts > 1 && retry.methods.includes(method.toLowerCase()) &&
+      !IDEMPOTENT_METHODS.includes(method.toLowerCase())) {
+      const hasIdempotencyKey = Object.keys(headers).some(
+        k => k.toLowerCase() === 'idempotency-key');
+      if(!hasIdempotencyKey) {
+        headers['idempotency-key'] = uuid();
+      }
+      additionalSignedHeaders.push('idempotency-key');
+    }
+
+    capability = capability || await generateZcapUri({url});
+    context.url = url;
+    context.capability = capability;
+
+    // relative URLs are relative to the current page in browsers
+    const {host, origin} = new URL(url, globalThis.location?.href);
+    let skewRetried = false;
+    let response;
+    for(let attempt = 1; ; ++attempt) {
+      // wait for a concurrency slot before signing so that the signature
+      // is current when the request is sent; a request that is cancelled
+      // while it waits is never signed
+      const release = await this._limiter.acquire({key: host, signal});
+      let error;
+      try {
+        context.attempt = attempt;
+        context.headers = {...headers};
+        await this._runHooks({name: 'beforeSign', context});
+        _throwIfAborted({signal});
+
+        // sign the zcap headers; every attempt is signed again so that its
+        // signature and `date` header are current
+        const now = Date.now() + this.getClockOffset({url});
+        const signatureHeaders = await _signCapabilityInvocation({
+          url,
+          method,
+          headers: {...context.headers, date: new Date(now).toUTCString()},
+          json,
+          body,
+          // use the current signer as signers may have been rotated
+          invocationSigner: this.invocationSigner,
+          capability,
+          capabilityAction: action,
+          created: Math.floor(now / 1000),
+          additionalSignedHeaders
+        });
+        context.headers = {...this.defaultHeaders, ...signatureHeaders};
+        await this._runHooks({name: 'afterSign', context});
+        _throwIfAborted({signal});
+
+        // deliver the signed invocation; retries are performed here rather
+        // than by the transport so that each attempt is signed again
+        try {
+          response = await this.transport.send({
+            url, method, headers: context.headers, json, body, signal,
+            timeout, agent
+          });
+        } catch(e) {
+          error = e;
+        }
+      } finally {
+        release();
+      }
+
+      if(error === undefined) {
+        this._updateClockOffset({response, origin});
+        break;
+      }
+      // cancelled requests are not retried
+      _throwIfAborted({signal});
+      const skewed = error.response !== undefined &&
+        this._updateClockOffset({response: error.response, origin});
+      // a rejected signature may have been made with a skewed clock
+      if(skewed && !skewRetried &&
+        (error.response.status === 401 || error.response.status === 403)) {
+        skewRetried = true;
+        --attempt;
+        continue;
+      }
+      const delay = getRetryDelay({policy: retry, attempt, method, error});
+      if(delay === undefined) {
+        throw error;
+      }
+      await _sleep({delay, signal});
+    }
+    return response;
   }
 
   /**
@@ -396,130 +744,1088 @@ export class ZcapClient {
    *   send along with the HTTP request.
    * @param {string} [options.capability] - The capability to invoke at the
    *   given URL. Default: generate root capability from options.url.
+   * @param {object} [options.retry] - Retry policy options for this request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the request; see `request()`.
+   * @param {number} [options.timeout] - The request timeout in
+   *   milliseconds; see `request()`. Default: the client's `timeout`.
    *
    * @returns {Promise<object>} - A promise that resolves to an HTTP response.
    */
   async read({
     url,
     headers = {},
-    capability
+    capability,
+    retry,
+    signal,
+    timeout
   } = {}) {
     return this.request({
-      url, capability, method: 'get', action: 'read', headers
+      url, capability, method: 'get', action: this.methodActions.get, headers,
+      retry, signal, timeout
     });
   }
 
   /**
    * Convenience function that invokes an Authorization Capability against a
-   * given URL to perform a write operation.
+   * given collection URL to list its items.
    *
    * @param {object} options - The options to use.
    * @param {string} options.url - The URL to invoke the
    *   Authorization Capability against.
-   * @param {object} options.json - The JSON object, if any, to send with the
-   *   request.
    * @param {object} [options.headers] - The additional headers to sign and
    *   send along with the HTTP request.
    * @param {string} [options.capability] - The capability to invoke at the
    *   given URL. Default: generate root capability from options.url.
+   * @param {object} [options.retry] - Retry policy options for this request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the request; see `request()`.
+   * @param {number} [options.timeout] - The request timeout in
+   *   milliseconds; see `request()`. Default: the client's `timeout`.
    *
    * @returns {Promise<object>} - A promise that resolves to an HTTP response.
    */
-  async write({
+  async list({
     url,
-    json,
     headers = {},
-    capability
+    capability,
+    retry,
+    signal,
+    timeout
   } = {}) {
-    return this.request({
-      url, capability, method: 'post', action: 'write', headers, json
-    });
+    return this.read({url, headers, capability, retry, signal, timeout});
   }
-}
-
-function _checkZcap({capability}) {
-  const {
-    '@context': context,
-    id, parentCapability, invocationTarget, allowedAction, expires
-  } = capability;
 
-  const isRoot = parentCapability === undefined;
-  if(isRoot) {
-    if(context !== ZCAP_CONTEXT_URL) {
-      throw new Error(
-        'Root capability must have an "@context" value of ' +
-        `"${ZCAP_CONTEXT_URL}".`);
-    }
-    if(capability.expires !== undefined) {
-      throw new Error(
-        'Root capability must not have an "expires" field.');
-    }
-  } else {
-    if(!((Array.isArray(context) && context[0] === ZCAP_CONTEXT_URL))) {
-      throw new Error(
-        'Delegated capability must have an "@context" array ' +
-        `with "${ZCAP_CONTEXT_URL}" in its first position.`);
+  /**
+   * Invokes an Authorization Capability against each page of a paginated
+   * collection, starting at the given URL. Each page is read via a separate
+   * invocation of the same capability. The URL of the next page is taken
+   * from the first of: a `Link` response header with a `rel="next"` link,
+   * a `nextFields` field in the JSON response body, or a `cursorFields`
+   * field in the JSON response body, which is set as the `cursorParam`
+   * query parameter of `url`. Iteration ends after the last page or
+   * `maxPages` pages, or when the consumer stops iterating, e.g., via
+   * `break`. A `NotAllowedError` is thrown if the next page has a different
+   * origin than `url` or a path that is not `url`'s path or below it, so
+   * that a server cannot make the client invoke capabilities elsewhere.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.url - The URL of the collection's first page.
+   * @param {string|object} [options.capability] - The capability to invoke
+   *   for every page. Default: select a capability from the client's
+   *   `zcapStore` (if any) for `options.url`, otherwise generate a root
+   *   capability from each page's URL.
+   * @param {object} [options.headers] - The additional headers to sign and
+   *   send along with each HTTP request.
+   * @param {number} [options.maxPages=Infinity] - The maximum number of
+   *   pages to read.
+   * @param {Array<string>} [options.nextFields] - The JSON body fields, as
+   *   dot-separated paths, that may hold the (relative) URL of the next
+   *   page. Default: ['next', 'nextUrl', 'links.next', '_links.next.href'].
+   * @param {Array<string>} [options.cursorFields] - The JSON body fields,
+   *   as dot-separated paths, that may hold a cursor for the next page.
+   *   Default: ['nextCursor', 'next_cursor', 'nextPageToken',
+   *   'pageInfo.endCursor'].
+   * @param {string} [options.cursorParam='cursor'] - The query parameter to
+   *   send a cursor in.
+   * @param {object} [options.retry] - Retry policy options for each request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the current request and ends iteration; see `request()`.
+   * @param {number} [options.timeout] - The timeout of each request in
+   *   milliseconds; see `request()`. Default: the client's `timeout`.
+   *
+   * @returns {object} - An async iterator of the HTTP
+   *   response for each page.
+   */
+  async *paginate({
+    url,
+    capability,
+    headers = {},
+    maxPages = Infinity,
+    nextFields = DEFAULT_NEXT_FIELDS,
+    cursorFields = DEFAULT_CURSOR_FIELDS,
+    cursorParam = 'cursor',
+    retry,
+    signal,
+    timeout
+  } = {}) {
+    if(typeof url !== 'string') {
+      throw new TypeError('"url" must be a string.');
     }
-    if(!(typeof parentCapability === 'string' &&
-      parentCapability.includes(':'))) {
-      throw new Error(
-        'Delegated capability must have a "parentCapability" with a string ' +
-        'value that expresses an absolute URI.');
+    if(!(maxPages === Infinity ||
+      (Number.isInteger(maxPages) && maxPages > 0))) {
+      throw new TypeError('"maxPages" must be a positive integer.');
     }
-    const [proof] = _getDelegationProofs({capability});
-    if(!proof) {
-      throw new Error('Delegated capability must have a "proof".');
+    for(const [name, fields] of Object.entries({nextFields, cursorFields})) {
+      if(!(Array.isArray(fields) && fields.every(f => typeof f === 'string'))) {
+        throw new TypeError(`"${name}" must be an array of strings.`);
+      }
     }
-    if(isNaN(Date.parse(proof.created))) {
-      throw new Error(
-        'Delegated capability must have a valid proof "created" date.');
+
+    // select the capability once so that every page invokes the same one
+    capability = await _decodeCapability({capability});
+    if(capability === undefined && this.zcapStore) {
+      capability = await this._findCapability(
+        {url, action: this.methodActions.get});
     }
-    if(isNaN(Date.parse(expires))) {
-      throw new Error('Delegated capability must have a valid expires date.');
+
+    const visited = new Set();
+    let pageUrl = url;
+    while(pageUrl !== undefined && visited.size < maxPages) {
+      visited.add(pageUrl);
+      const response = await this.read(
+        {url: pageUrl, headers, capability, retry, signal, timeout});
+      yield response;
+      pageUrl = getNextPageUrl({
+        response, url: pageUrl, collectionUrl: url, nextFields, cursorFields,
+        cursorParam
+      });
+      // stop if a page links back to a page that has already been read
+      if(visited.has(pageUrl)) {
+        break;
+      }
     }
   }
 
-  if(!(typeof id === 'string' && id.includes(':'))) {
-    throw new Error(
-      'Capability must have an "id" with a string value that expresses an ' +
-      'absolute URI.');
-  }
-  if(!(typeof invocationTarget === 'string' &&
-    invocationTarget.includes(':'))) {
-    throw new Error(
-      'Capability must have an "invocationTarget" with a string value that ' +
-      'expresses an absolute URI.');
-  }
-  if(allowedAction !== undefined && !(
-    typeof allowedAction === 'string' ||
-    (Array.isArray(allowedAction) && allowedAction.length > 0))) {
-    throw new Error(
-      'If present on a capability, "allowedAction" must be a string or a ' +
-      'non-empty array.');
+  /**
+   * Convenience function that invokes an Authorization Capability against a
+   * given URL to perform a write operation.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.url - The URL to invoke the
+   *   Authorization Capability against.
+   * @param {object} [options.json] - The JSON object, if any, to send with
+   *   the request; not allowed when `options.body` is given.
+   * @param {Uint8Array|Blob|ReadableStream} [options.body] - The binary
+   *   body, if any, to send with the request; not allowed when
+   *   `options.json` is given.
+   * @param {string} [options.contentType] - The content type of `body`.
+   * @param {object} [options.headers] - The additional headers to sign and
+   *   send along with the HTTP request.
+   * @param {string} [options.capability] - The capability to invoke at the
+   *   given URL. Default: generate root capability from options.url.
+   * @param {object} [options.retry] - Retry policy options for this request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the request; see `request()`.
+   * @param {number} [options.timeout] - The request timeout in
+   *   milliseconds; see `request()`. Default: the client's `timeout`.
+   *
+   * @returns {Promise<object>} - A promise that resolves to an HTTP response.
+   */
+  async write({
+    url,
+    json,
+    body,
+    contentType,
+    headers = {},
+    capability,
+    retry,
+    signal,
+    timeout
+  } = {}) {
+    return this.request({
+      url, capability, method: 'post', action: this.methodActions.post,
+      headers, json, body, contentType, retry, signal, timeout
+    });
   }
-}
 
-/**
- * Retrieves the delegation proof(s) for a capability that is associated with
- * its parent capability. A capability that has no parent or no associated
- * delegation proofs will cause this function to return an empty array.
- *
- * @private
- * @param {object} options - The options to use.
- * @param {object} options.capability - The authorization capability.
- *
- * @returns {object} Any `capabilityDelegation` proof objects attached to the
- *   given capability.
- */
-function _getDelegationProofs({capability}) {
-  // capability is root or capability has no `proof`, then it has no relevant
-  // delegation proofs
-  if(!capability.parentCapability || !capability.proof) {
-    return [];
-  }
-  let {proof} = capability;
-  if(!Array.isArray(proof)) {
-    proof = [proof];
-  }
-  return proof.filter(p => p && p.proofPurpose === 'capabilityDelegation');
+  /**
+   * Convenience function that invokes an Authorization Capability against a
+   * given URL to replace a resource via an HTTP PUT.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.url - The URL to invoke the
+   *   Authorization Capability against.
+   * @param {object} [options.json] - The JSON object, if any, to send with
+   *   the request; not allowed when `options.body` is given.
+   * @param {Uint8Array|Blob|ReadableStream} [options.body] - The binary
+   *   body, if any, to send with the request; not allowed when
+   *   `options.json` is given.
+   * @param {string} [options.contentType] - The content type of `body`.
+   * @param {object} [options.headers] - The additional headers to sign and
+   *   send along with the HTTP request.
+   * @param {string} [options.capability] - The capability to invoke at the
+   *   given URL. Default: generate root capability from options.url.
+   * @param {object} [options.retry] - Retry policy options for this request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the request; see `request()`.
+   * @param {number} [options.timeout] - The request timeout in
+   *   milliseconds; see `request()`. Default: the client's `timeout`.
+   *
+   * @returns {Promise<object>} - A promise that resolves to an HTTP response.
+   */
+  async update({
+    url,
+    json,
+    body,
+    contentType,
+    headers = {},
+    capability,
+    retry,
+    signal,
+    timeout
+  } = {}) {
+    return this.request({
+      url, capability, method: 'put', action: this.methodActions.put,
+      headers, json, body, contentType, retry, signal, timeout
+    });
+  }
+
+  /**
+   * Convenience function that invokes an Authorization Capability against a
+   * given URL to partially update a resource via an HTTP PATCH.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.url - The URL to invoke the
+   *   Authorization Capability against.
+   * @param {object} [options.json] - The JSON object, if any, to send with
+   *   the request; not allowed when `options.body` is given.
+   * @param {Uint8Array|Blob|ReadableStream} [options.body] - The binary
+   *   body, if any, to send with the request, e.g., a JSON Patch; not
+   *   allowed when `options.json` is given.
+   * @param {string} [options.contentType] - The content type of `body`.
+   * @param {object} [options.headers] - The additional headers to sign and
+   *   send along with the HTTP request.
+   * @param {string} [options.capability] - The capability to invoke at the
+   *   given URL. Default: generate root capability from options.url.
+   * @param {object} [options.retry] - Retry policy options for this request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the request; see `request()`.
+   * @param {number} [options.timeout] - The request timeout in
+   *   milliseconds; see `request()`. Default: the client's `timeout`.
+   *
+   * @returns {Promise<object>} - A promise that resolves to an HTTP response.
+   */
+  async patch({
+    url,
+    json,
+    body,
+    contentType,
+    headers = {},
+    capability,
+    retry,
+    signal,
+    timeout
+  } = {}) {
+    return this.request({
+      url, capability, method: 'patch', action: this.methodActions.patch,
+      headers, json, body, contentType, retry, signal, timeout
+    });
+  }
+
+  /**
+   * Convenience function that invokes an Authorization Capability against a
+   * given URL to delete a resource via an HTTP DELETE.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.url - The URL to invoke the
+   *   Authorization Capability against.
+   * @param {object} [options.headers] - The additional headers to sign and
+   *   send along with the HTTP request.
+   * @param {string} [options.capability] - The capability to invoke at the
+   *   given URL. Default: generate root capability from options.url.
+   * @param {object} [options.retry] - Retry policy options for this request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the request; see `request()`.
+   * @param {number} [options.timeout] - The request timeout in
+   *   milliseconds; see `request()`. Default: the client's `timeout`.
+   *
+   * @returns {Promise<object>} - A promise that resolves to an HTTP response.
+   */
+  async delete({
+    url,
+    headers = {},
+    capability,
+    retry,
+    signal,
+    timeout
+  } = {}) {
+    return this.request({
+      url, capability, method: 'delete', action: this.methodActions.delete,
+      headers, retry, signal, timeout
+    });
+  }
+
+  /**
+   * Invokes an Authorization Capability (zcap) by signing a JSON-LD document
+   * with a capability invocation proof instead of an HTTP request, e.g., for
+   * a message that is sent over a queue or a WebSocket. The document is
+   * signed with the client's suite, `invocationSigner` and
+   * `documentLoader`; its `@context` must define all of its terms. The zcap
+   * context is prepended to the document's `@context` if it is not already
+   * included; the suite's context is added by jsonld-signatures when it
+   * signs the document if it is not already included. A `ZcapVerifier` can
+   * verify the signed document via `verifyDocument()`.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.document - The JSON-LD document to sign; it is
+   *   not modified.
+   * @param {string|object} [options.capability] - The capability to invoke;
+   *   a root zcap ID, a delegated zcap object, or a zcap encoded via
+   *   `encodeCapability()`. Default: select a capability from the client's
+   *   `zcapStore` (if any) for `invocationTarget` and `action`, otherwise
+   *   generate a root capability from `invocationTarget`.
+   * @param {string} options.action - The capability action to invoke.
+   * @param {string} [options.invocationTarget] - The invocation target; it
+   *   must be equal to or a RESTful suffix of the capability's invocation
+   *   target. Default: the capability's invocation target.
+   *
+   * @returns {Promise<object>} - A promise that resolves to the signed
+   *   document.
+   */
+  async invokeDocument({
+    document, capability, action, invocationTarget
+  } = {}) {
+    // use the same signer throughout even if signers are rotated
+    const {invocationSigner} = this;
+    if(!invocationSigner) {
+      throw new Error('"invocationSigner" was not provided in constructor.');
+    }
+    if(!(document && typeof document === 'object' &&
+      !Array.isArray(document))) {
+      throw new TypeError('"document" must be an object.');
+    }
+    if(typeof action !== 'string') {
+      throw new TypeError('"action" must be a string.');
+    }
+    if(invocationTarget !== undefined &&
+      !(typeof invocationTarget === 'string' &&
+      invocationTarget.includes(':'))) {
+      throw new Error(
+        '"invocationTarget" must be a string expressing an absolute URI.');
+    }
+
+    capability = await _decodeCapability({capability});
+
+    // select a stored zcap if none was given
+    if(capability === undefined && invocationTarget !== undefined &&
+      this.zcapStore) {
+      capability = await this._findCapability(
+        {url: invocationTarget, action});
+    }
+
+    // use the newest delegation of a refreshed zcap
+    if(capability !== undefined && this.capabilityRefresher) {
+      capability = this.capabilityRefresher.getLatest({capability});
+    }
+
+    if(capability === undefined) {
+      if(invocationTarget === undefined) {
+        throw new TypeError(
+          'At least one of "capability" and "invocationTarget" is required.');
+      }
+      capability = await generateZcapUri({url: invocationTarget});
+    }
+
+    let capabilityTarget;
+    if(typeof capability === 'string') {
+      if(!capability.startsWith(ZCAP_ROOT_PREFIX)) {
+        throw new Error(
+          'When "capability" is a string, it must be a root authorization ' +
+          'capability.');
+      }
+      capabilityTarget = decodeURIComponent(
+        capability.substring(ZCAP_ROOT_PREFIX.length));
+    } else {
+      try {
+        checkCapability({capability});
+      } catch(cause) {
+        const error = new Error(
+          '"capability" must be a valid authorization capability object.');
+        error.cause = cause;
+        throw error;
+      }
+      capabilityTarget = capability.invocationTarget;
+
+      // do not create an invocation that is bound to fail
+      const {allowedAction} = capability;
+      if(allowedAction !== undefined &&
+        ![].concat(allowedAction).includes(action)) {
+        const error = new Error(
+          `Capability "${capability.id}" does not allow the "${action}" ` +
+          'action.');
+        error.name = 'NotAllowedError';
+        throw error;
+      }
+
+      // root zcaps are referenced by ID in invocation proofs
+      if(!capability.parentCapability) {
+        capability = capability.id;
+      }
+    }
+
+    if(invocationTarget === undefined) {
+      invocationTarget = capabilityTarget;
+    } else if(!(invocationTarget === capabilityTarget ||
+      invocationTarget.startsWith(capabilityTarget + '/') ||
+      invocationTarget.startsWith(capabilityTarget + '?'))) {
+      throw new TypeError(
+        'The capability\'s "invocationTarget" must be a RESTful prefix of ' +
+        '"invocationTarget" or equal to it.');
+    }
+
+    // `jsigs.sign()` modifies the document it is given
+    document = structuredClone(document);
+    // invocation proofs require the zcap context; it is protected so adding
+    // it first ensures that it cannot be redefined by the other contexts
+    const context = [].concat(document['@context'] ?? []);
+    if(!context.includes(ZCAP_CONTEXT_URL)) {
+      document['@context'] = [ZCAP_CONTEXT_URL, ...context];
+    }
+
+    const {documentLoader} = this;
+    return jsigs.sign(document, {
+      documentLoader,
+      suite: this.createSuite(
+        {signer: invocationSigner, date: new Date(this.now())}),
+      purpose: new CapabilityInvocation(
+        {capability, capabilityAction: action, invocationTarget})
+    });
+  }
+
+  /**
+   * Revokes a delegated Authorization Capability by sending it to a
+   * revocation URL. By convention, a controller of any capability in the
+   * revoked capability's chain may revoke it; the server computes the
+   * controllers of the root capability for the revocation URL from that
+   * chain. Therefore, the root capability for the revocation URL is invoked
+   * by default.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|string} options.capability - The delegated capability to
+   *   revoke, as an object or encoded via `encodeCapability()`.
+   * @param {string} [options.revocationUrl] - The URL to send the revocation
+   *   to. Default: `<invocationTarget>/zcaps/revocations/<capability ID>`
+   *   where `invocationTarget` is the invocation target of the root
+   *   capability in the revoked capability's chain.
+   * @param {string|object} [options.revocationCapability] - The capability to
+   *   invoke at the revocation URL. Default: generate root capability from
+   *   `revocationUrl`; the client's `zcapStore` is not used.
+   * @param {object} [options.headers] - The additional headers to sign and
+   *   send along with the HTTP request.
+   * @param {object} [options.retry] - Retry policy options for this request;
+   *   they override the client's `retry` options.
+   * @param {AbortSignal} [options.signal] - An optional signal that cancels
+   *   the request; see `request()`.
+   * @param {number} [options.timeout] - The request timeout in
+   *   milliseconds; see `request()`. Default: the client's `timeout`.
+   *
+   * @returns {Promise<object>} - A promise that resolves to an HTTP response.
+   */
+  async revoke({
+    capability,
+    revocationUrl,
+    revocationCapability,
+    headers = {},
+    retry,
+    signal,
+    timeout
+  } = {}) {
+    capability = await _decodeCapability({capability});
+    if(!(capability && typeof capability === 'object' &&
+      capability.parentCapability)) {
+      throw new TypeError(
+        '"capability" must be a delegated authorization capability object.');
+    }
+    try {
+      checkCapability({capability});
+    } catch(cause) {
+      const error = new Error(
+        '"capability" must be a valid authorization capability object.');
+      error.cause = cause;
+      throw error;
+    }
+
+    if(revocationUrl === undefined) {
+      // use the root invocation target when it can be determined from the
+      // root capability ID, otherwise use the capability's target
+      let {invocationTarget} = capability;
+      const [rootCapabilityId] = getEmbeddedCapabilityChain({capability});
+      if(rootCapabilityId.startsWith(ZCAP_ROOT_PREFIX)) {
+        invocationTarget = decodeURIComponent(
+          rootCapabilityId.substring(ZCAP_ROOT_PREFIX.length));
+      }
+      revocationUrl = `${invocationTarget}/zcaps/revocations/` +
+        encodeURIComponent(capability.id);
+    }
+
+    // the root zcap is given explicitly so that no stored zcap is selected
+    if(revocationCapability === undefined) {
+      revocationCapability = await generateZcapUri({url: revocationUrl});
+    }
+
+    return this.write({
+      url: revocationUrl,
+      capability: revocationCapability,
+      headers,
+      json: capability,
+      retry,
+      signal,
+      timeout
+    });
+  }
+
+  /**
+   * Adds a hook that is run during requests or delegations. Hooks are run in
+   * the order they were added and are awaited; an error thrown by a hook,
+   * other than an `error` hook, fails the request or delegation.
+   *
+   * Request hooks are passed a context object with the `url`, `method`,
+   * `action`, and `capability` (the invoked zcap or root zcap ID) of the
+   * request; the same object is passed to every hook for a request, so
+   * hooks may also store their own state on it. The hooks are:
+   *
+   * - `beforeSign`: run before each attempt is signed; it may change the
+   *   context's `headers`, e.g., to add trace headers or to remove headers,
+   *   before the request is signed; the context also has the `attempt`
+   *   number.
+   * - `afterSign`: run after each attempt is signed; the context's
+   *   `headers` are the headers that will be sent, including the signature
+   *   headers.
+   * - `response`: run once the request succeeds; the context also has the
+   *   `response` and the `duration` of the request in milliseconds,
+   *   including any retries.
+   * - `error`: run once the request fails, including when it is invalid
+   *   and is not sent; the context also has the `error` and the `duration`.
+   *   Errors thrown by `error` hooks are ignored so that the request
+   *   rejects with its own error.
+   * - `delegation`: run after a zcap is delegated; it is passed
+   *   `{capability, parentCapability}` where `capability` is the new zcap.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.name - The name of the hook.
+   * @param {Function} options.hook - The (possibly async) hook function.
+   *
+   * @returns {Function} - A function that removes the hook.
+   */
+  addHook({name, hook} = {}) {
+    const hooks = this._hooks.get(name);
+    if(!hooks) {
+      throw new TypeError(
+        `"name" must be one of: ${HOOK_NAMES.map(n => `"${n}"`).join(', ')}.`);
+    }
+    if(typeof hook !== 'function') {
+      throw new TypeError('"hook" must be a function.');
+    }
+    hooks.push(hook);
+    return () => this.removeHook({name, hook});
+  }
+
+  /**
+   * Removes a hook that was added via `addHook()` or the `hooks` option.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.name - The name of the hook.
+   * @param {Function} options.hook - The hook function.
+   *
+   * @returns {boolean} - `true` if the hook was removed, `false` if it was
+   *   not found.
+   */
+  removeHook({name, hook} = {}) {
+    const hooks = this._hooks.get(name) || [];
+    const index = hooks.indexOf(hook);
+    if(index === -1) {
+      return false;
+    }
+    hooks.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Replaces the client's invocation and/or delegation signers, e.g., to
+   * rotate keys. The new signers are either given or are retrieved from
+   * `didDocument` and `keyPairs`, as in the constructor; if only one of
+   * `invocationSigner` and `delegationSigner` is given, the current signer
+   * for the other is kept. New signers that have a `controller` must have
+   * the same controller as the current signers, if they have one. The
+   * signers are replaced at once; a request or delegation that is already
+   * being signed completes with the previous signer and any later attempt
+   * to send a request is signed with the new invocation signer.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.didDocument] - A DID Document that contains
+   *   the new keys.
+   * @param {Map} [options.keyPairs] - A map of key pairs associated with
+   *   `didDocument` indexed by key ID.
+   * @param {string|Function} [options.invocationKey] - The ID of, or a
+   *   predicate for selecting, the `didDocument` key to invoke zcaps with.
+   * @param {string|Function} [options.delegationKey] - The ID of, or a
+   *   predicate for selecting, the `didDocument` key to delegate zcaps with.
+   * @param {object} [options.invocationSigner] - The new invocation signer.
+   * @param {object} [options.delegationSigner] - The new delegation signer.
+   *
+   * @returns {object} - The previous `invocationSigner` and
+   *   `delegationSigner`.
+   */
+  rotateSigners({
+    didDocument, keyPairs, invocationKey, delegationKey,
+    invocationSigner, delegationSigner
+  } = {}) {
+    const signers = _getSigners({
+      didDocument, keyPairs, invocationKey, delegationKey,
+      invocationSigner, delegationSigner
+    });
+    // keep the current signer for a role that is not given
+    signers.invocationSigner ??= this.invocationSigner;
+    signers.delegationSigner ??= this.delegationSigner;
+    // signers without a `controller` are accepted, as in the constructor
+    const controller = this._getController();
+    for(const signer of Object.values(signers)) {
+      if(signer?.controller !== undefined && controller !== undefined &&
+        signer.controller !== controller) {
+        throw new Error(
+          `New signers must have the same controller ("${controller}") as ` +
+          'the current signers.');
+      }
+    }
+
+    const previous = {
+      invocationSigner: this.invocationSigner,
+      delegationSigner: this.delegationSigner
+    };
+    this.invocationSigner = signers.invocationSigner;
+    this.delegationSigner = signers.delegationSigner;
+    return previous;
+  }
+
+  /**
+   * Gets the current time according to the client's clock, i.e., the local
+   * time adjusted by `clockOffset`. It is used to sign delegations and
+   * invocations sent to origins whose clock offset has not been learned.
+   *
+   * @returns {number} - The current time in milliseconds since the epoch.
+   */
+  now() {
+    return Date.now() + this.clockOffset;
+  }
+
+  /**
+   * Gets the number of milliseconds that are added to the local clock when
+   * signing invocations sent to the origin of the given URL, i.e., the
+   * offset learned from that origin's responses if clock skew compensation
+   * is enabled, otherwise `clockOffset`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.url - The URL.
+   *
+   * @returns {number} - The clock offset in milliseconds.
+   */
+  getClockOffset({url} = {}) {
+    const {origin} = new URL(url, globalThis.location?.href);
+    return this._clockOffsets.get(origin) ?? this.clockOffset;
+  }
+
+  // delegates a zcap with the given signer, document loader and function
+  // that gets the suite for a proof date
+  async _delegate({
+    capability, controller, invocationTarget, expires,
+    allowedActions, attenuation, contexts = [], fields = {}, now,
+    delegationSigner, documentLoader, getSuite
+  }) {
+    capability = await _decodeCapability({capability});
+    checkController({controller});
+    if(!(Array.isArray(contexts) && contexts.every(
+      c => typeof c === 'string' || (c && typeof c === 'object')))) {
+      throw new TypeError(
+        '"contexts" must be an array of context URLs or objects.');
+    }
+    if(!(fields && typeof fields === 'object' && !Array.isArray(fields))) {
+      throw new TypeError('"fields" must be an object.');
+    }
+    const reserved = Object.keys(fields).find(key => RESERVED_FIELDS.has(key));
+    if(reserved !== undefined) {
+      throw new TypeError(`"fields" must not include "${reserved}".`);
+    }
+    if(!delegationSigner) {
+      throw new Error('"delegationSigner" was not provided in constructor.');
+    }
+    if(invocationTarget !== undefined &&
+      !(typeof invocationTarget === 'string' &&
+      invocationTarget.includes(':'))) {
+      throw new Error(
+        '"invocationTarget" must be a string expressing an absolute URI.');
+    }
+
+    if(!(capability || invocationTarget)) {
+      throw new TypeError(
+        'At least one of "capability" and "invocationTarget" is required.');
+    }
+
+    const defaultExpires = expires === undefined;
+    if(defaultExpires) {
+      // default expiration is 5 minutes in the future
+      expires = new Date(now + 5 * 60 * 1000);
+    } else if(expires instanceof Date || typeof expires === 'string') {
+      // ensure expires is a valid date
+      const time = Date.parse(expires);
+      if(isNaN(time)) {
+        throw new Error('"expires" is not a valid date.');
+      }
+    } else {
+      throw new TypeError('"expires" must be a string or a date.');
+    }
+
+    // ensure expires is a string
+    if(typeof expires !== 'string') {
+      // use second precision
+      expires = expires.toISOString().slice(0, -5) + 'Z';
+    }
+
+    if(!capability) {
+      // generate root zcap ID from `invocationTarget`
+      capability = await generateZcapUri({url: invocationTarget});
+    }
+
+    let parentCapability;
+    if(typeof capability === 'string') {
+      parentCapability = capability;
+    } else if(typeof capability === 'object' &&
+      typeof capability.id === 'string') {
+      parentCapability = capability.id;
+    } else {
+      throw new TypeError(
+        '"capability" must be a string to delegate a root capability or ' +
+        'a capability object to delegate a delegated capability.');
+    }
+
+    if(invocationTarget === undefined) {
+      if(typeof capability === 'string') {
+        throw new Error(
+          '"invocationTarget" must be specified when "capability" is ' +
+          'a string.');
+      }
+      // inherit `capability` invocation target
+      invocationTarget = capability.invocationTarget;
+    }
+
+    if(typeof invocationTarget !== 'string') {
+      throw new TypeError('"invocationTarget" must be a string.');
+    }
+
+    // default `allowedActions` to parent zcap's
+    if(allowedActions === undefined) {
+      if(typeof capability === 'string') {
+        allowedActions = [];
+      } else {
+        allowedActions = capability.allowedAction || [];
+      }
+    }
+
+    if(typeof allowedActions === 'string') {
+      // convert string value for allowedActions to array
+      allowedActions = (typeof allowedActions === 'string') ?
+        allowedActions = [allowedActions] : allowedActions;
+    }
+    if(!Array.isArray(allowedActions)) {
+      throw new TypeError(
+        '"allowedActions" must be a string or an array of strings.');
+    }
+
+    // ensure the new zcap attenuates its parent and meets client policy
+    ({expires, allowedActions} = applyDelegationPolicy({
+      policy: this.delegationPolicy, attenuation, capability, controller,
+      invocationTarget, expires, defaultExpires, allowedActions, now
+    }));
+
+    // the zcap context must be first; it is protected
+    contexts = contexts.filter(context => context !== ZCAP_CONTEXT_URL);
+    const delegatedCapability = {
+      '@context': contexts.length > 0 ?
+        [ZCAP_CONTEXT_URL, ...contexts] : ZCAP_CONTEXT_URL,
+      id: await generateZcapUri(),
+      controller,
+      parentCapability,
+      invocationTarget,
+      expires,
+      ...fields
+    };
+    if(allowedActions.length > 0) {
+      delegatedCapability.allowedAction = allowedActions;
+    }
+
+    // ensure delegation date will not be at least after parent delegation date
+    const [parentProof] = getDelegationProofs({capability});
+    let date = new Date(now);
+    if(parentProof) {
+      const parentDelegationDate = new Date(parentProof.created);
+      if(date < parentDelegationDate) {
+        date = parentDelegationDate;
+      }
+    }
+
+    const signedDelegatedCapability = await jsigs.sign(
+      delegatedCapability, {
+        documentLoader,
+        suite: getSuite({date}),
+        purpose: new CapabilityDelegation({
+          // this needs to be the full object (if not delegating the root
+          // zcap), so can't use the local `parentCapability` var from above
+          // that holds just the ID value
+          parentCapability: capability
+        })
+      });
+
+    // save zcaps delegated to this client so they can be auto-selected
+    const {zcapStore} = this;
+    if(zcapStore && [].concat(controller).includes(this._getController())) {
+      await zcapStore.save({capability: signedDelegatedCapability});
+    }
+
+    await this._runHooks({
+      name: 'delegation',
+      context: {
+        capability: signedDelegatedCapability, parentCapability: capability
+      }
+    });
+
+    return signedDelegatedCapability;
+  }
+
+  async _runHooks({name, context, ignoreErrors = false}) {
+    // copy so hooks may be removed while running
+    for(const hook of [...this._hooks.get(name)]) {
+      try {
+        await hook(context);
+      } catch(e) {
+        if(!ignoreErrors) {
+          throw e;
+        }
+      }
+    }
+  }
+
+  // learns the offset to the clock of the origin that sent a response from
+  // its `Date` header; returns `true` if the offset changed
+  _updateClockOffset({response, origin}) {
+    if(!this.compensateClockSkew) {
+      return false;
+    }
+    const serverTime = Date.parse(response.headers?.get('date'));
+    if(isNaN(serverTime)) {
+      return false;
+    }
+    // the server's time is truncated to the second; assume the midpoint
+    const offset = serverTime + 500 - Date.now();
+    const current = this._clockOffsets.get(origin) ?? this.clockOffset;
+    if(Math.abs(offset - current) < MIN_CLOCK_SKEW) {
+      return false;
+    }
+    this._clockOffsets.set(
+      origin, Math.abs(offset) < MIN_CLOCK_SKEW ? 0 : offset);
+    return true;
+  }
+
+  // finds a stored zcap that this client can invoke now
+  async _findCapability({url, action}) {
+    const capability = await this.zcapStore.find({
+      url, action, controller: this.invocationSigner?.controller,
+      now: this.now()
+    });
+    return capability || undefined;
+  }
+
+  // gets the controller that this client invokes zcaps as
+  _getController() {
+    const {invocationSigner, delegationSigner} = this;
+    return (invocationSigner || delegationSigner).controller;
+  }
+}
+
+// loads each document once; failed loads are not cached
+function _createCachingDocumentLoader({documentLoader}) {
+  const cache = new Map();
+  return async function cachingDocumentLoader(url) {
+    let promise = cache.get(url);
+    if(!promise) {
+      promise = documentLoader(url);
+      cache.set(url, promise);
+      promise.catch(() => cache.delete(url));
+    }
+    return promise;
+  };
+}
+
+// calls `fn` for each item, with at most `concurrency` calls pending at once,
+// and resolves to the settled results in the same order as `items`
+async function _mapConcurrently({items, concurrency, fn}) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function work() {
+    while(next < items.length) {
+      const index = next++;
+      try {
+        results[index] = {status: 'fulfilled', value: await fn(items[index])};
+      } catch(reason) {
+        results[index] = {status: 'rejected', reason};
+      }
+    }
+  }
+  const workers = [];
+  for(let i = 0; i < Math.min(concurrency, items.length); ++i) {
+    workers.push(work());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// decodes a capability that was encoded via `encodeCapability()`; any other
+// value is returned as is
+async function _decodeCapability({capability}) {
+  return isEncodedCapability(capability) ?
+    decodeCapability({encodedCapability: capability}) : capability;
+}
+
+function _getSigners({
+  didDocument, keyPairs, invocationKey, delegationKey,
+  invocationSigner, delegationSigner
+}) {
+  if(didDocument && keyPairs) {
+    return getCapabilitySigners(
+      {didDocument, keyPairs, invocationKey, delegationKey});
+  }
+  if(!(invocationSigner || delegationSigner)) {
+    throw new TypeError(
+      'Either `didDocument` and `keyPairs`, or `invocationSigner` and/or ' +
+      '`delegationSigner` must be provided.');
+  }
+  for(const [name, signer] of Object.entries(
+    {invocationSigner, delegationSigner})) {
+    if(signer !== undefined && !(typeof signer.sign === 'function' &&
+      typeof signer.id === 'string')) {
+      throw new TypeError(
+        `"${name}" must have a "sign" function and an "id" string.`);
+    }
+  }
+  return {invocationSigner, delegationSigner};
+}
+
+// signs a capability invocation, adding any `additionalSignedHeaders` to
+// the signature as `signCapabilityInvocation` only signs a fixed set
+async function _signCapabilityInvocation({
+  additionalSignedHeaders = [], ...options
+}) {
+  if(additionalSignedHeaders.length === 0) {
+    return signCapabilityInvocation(options);
+  }
+  // build the invocation headers without signing them, so that the signer,
+  // e.g., a remote KMS, is only called once with the full set of headers
+  const {url, method, invocationSigner, created} = options;
+  const {id: keyId} = invocationSigner;
+  const expires = created + 600;
+  const signed = await signCapabilityInvocation({
+    ...options, created, expires,
+    invocationSigner: {id: keyId, sign: async () => new Uint8Array()}
+  });
+  const {params} = parseSignatureHeader(signed.authorization);
+  const includeHeaders = [
+    ...params.headers.split(' '), ...additionalSignedHeaders];
+  const plaintext = createSignatureString({
+    includeHeaders,
+    requestOptions: {
+      url, method, created, expires, keyId,
+      headers: {host: new URL(url).host, ...signed}
+    }
+  });
+  const signature = await invocationSigner.sign(
+    {data: new TextEncoder().encode(plaintext)});
+  signed.authorization = createAuthzHeader({
+    includeHeaders, keyId, signature: encodeBase64({data: signature}),
+    created, expires
+  });
+  return signed;
+}
+
+function _checkTimeout({timeout}) {
+  if(timeout !== undefined && !(Number.isFinite(timeout) && timeout > 0)) {
+    throw new TypeError('"timeout" must be a positive number.');
+  }
+}
+
+// creates a signal that is aborted when any of `signals` is aborted or when
+// `timeout` milliseconds have passed; `clear()` must be called once the
+// signal is no longer needed
+function _createRequestSignal({signals, timeout}) {
+  signals = signals.filter(signal => signal !== undefined);
+  if(signals.length === 0 && timeout === undefined) {
+    return {signal: undefined, clear() {}};
+  }
+
+  const controller = new AbortController();
+  const listeners = [];
+  for(const signal of signals) {
+    if(signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, {once: true});
+    listeners.push({signal, onAbort});
+  }
+  let timer;
+  if(timeout !== undefined && !controller.signal.aborted) {
+    timer = setTimeout(() => {
+      const error = new Error(`The request timed out after ${timeout} ms.`);
+      error.name = 'TimeoutError';
+      controller.abort(error);
+    }, timeout);
+  }
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      listeners.forEach(({signal, onAbort}) =>
+        signal.removeEventListener('abort', onAbort));
+    }
+  };
+}
+
+function _throwIfAborted({signal}) {
+  if(signal?.aborted) {
+    throw signal.reason;
+  }
+}
+
+async function _sleep({delay, signal}) {
+  _throwIfAborted({signal});
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, {once: true});
+  });
+}
+
+function _isLocalhostUrl({url}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch(e) {
+    return false;
+  }
+  const {protocol, hostname} = parsed;
+  return protocol === 'http:' && (hostname === 'localhost' ||
+    hostname.endsWith('.localhost') || hostname === '127.0.0.1' ||
+    hostname === '[::1]');
+}
+
+function _isBody(body) {
+  return body instanceof Uint8Array ||
+    (typeof Blob !== 'undefined' && body instanceof Blob) ||
+    _isStream(body);
+}
+
+function _isStream(body) {
+  return typeof body?.getReader === 'function';
 }
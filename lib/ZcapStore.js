@@ -0,0 +1,134 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {isValidTarget} from './capabilityChain.js';
+
+export class ZcapStore {
+  /**
+   * Base class for storage of Authorization Capabilities (zcaps) that a
+   * `ZcapClient` can invoke. Implementations must override `get()`,
+   * `getAll()`, `save()`, and `delete()`; they may override `find()` to
+   * provide a more efficient query.
+   *
+   * @class ZcapStore
+   */
+  constructor() {}
+
+  /**
+   * Gets a capability by its ID. Implementations are passed `{id}`.
+   *
+   * @returns {Promise<object>} - A promise that resolves to the capability
+   *   or `null` if it is not found.
+   */
+  async get() {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Gets all stored capabilities.
+   *
+   * @returns {Promise<Array>} - A promise that resolves to an array of all
+   *   stored capabilities.
+   */
+  async getAll() {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Saves a capability, replacing any existing capability with the same ID.
+   * Implementations are passed `{capability}`.
+   *
+   * @returns {Promise<undefined>} - A promise that resolves once the
+   *   capability has been saved.
+   */
+  async save() {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Deletes a capability by its ID. Implementations are passed `{id}`.
+   *
+   * @returns {Promise<boolean>} - A promise that resolves to `true` if a
+   *   capability was deleted and `false` if it was not found.
+   */
+  async delete() {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Finds the best capability to invoke against a URL for an action. A
+   * matching capability must not be expired, its `invocationTarget` must be
+   * a RESTful prefix of or equivalent to `url`, its `allowedAction` must
+   * permit `action`, and, if `controller` is given, it must be (one of) the
+   * capability's `controller`. If more than one capability matches, the one
+   * with the most specific `invocationTarget` is returned and, of those, the
+   * one that expires last.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.url - The URL the capability will be invoked
+   *   against.
+   * @param {string} options.action - The action that will be invoked.
+   * @param {string} [options.controller] - The controller that will invoke
+   *   the capability.
+   * @param {number} [options.now] - Optional timestamp for the current time.
+   *
+   * @returns {Promise<object>} - A promise that resolves to the capability
+   *   or `null` if none matches.
+   */
+  async find({url, action, controller, now = Date.now()} = {}) {
+    const capabilities = await this.getAll();
+    let best = null;
+    for(const capability of capabilities) {
+      if(!_matches({capability, url, action, controller, now})) {
+        continue;
+      }
+      if(!best || _compare({a: capability, b: best}) > 0) {
+        best = capability;
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Asserts that a capability can be stored in a `ZcapStore`.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The capability to check.
+ */
+export function assertStorableCapability({capability}) {
+  if(!(capability && typeof capability === 'object' &&
+    typeof capability.id === 'string')) {
+    throw new TypeError('"capability" must be an object with an "id".');
+  }
+}
+
+function _matches({capability, url, action, controller, now}) {
+  const {allowedAction, expires, invocationTarget} = capability;
+  if(!(Date.parse(expires) > now)) {
+    return false;
+  }
+  if(controller !== undefined &&
+    ![].concat(capability.controller).includes(controller)) {
+    return false;
+  }
+  if(allowedAction !== undefined) {
+    const allowedActions = Array.isArray(allowedAction) ?
+      allowedAction : [allowedAction];
+    if(!allowedActions.includes(action)) {
+      return false;
+    }
+  }
+  return isValidTarget(
+    {invocationTarget: url, baseInvocationTarget: invocationTarget});
+}
+
+// returns a positive number if `a` is a better match than `b`
+function _compare({a, b}) {
+  const lengthDiff = a.invocationTarget.length - b.invocationTarget.length;
+  if(lengthDiff !== 0) {
+    return lengthDiff;
+  }
+  return Date.parse(a.expires) - Date.parse(b.expires);
+}
@@ -0,0 +1,340 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  createRootCapabilityLoader, createSuiteDocumentLoader, generateZcapUri
+} from './util.js';
+import {createSuiteFactory, getSuiteVerifier} from './suites.js';
+import {CapabilityInvocation} from '@digitalbazaar/zcap';
+import jsigs from 'jsonld-signatures';
+import {
+  verifyCapabilityInvocation
+} from '@digitalbazaar/http-signature-zcap-verify';
+import {verifyHeaderValue} from '@digitalbazaar/http-digest-header';
+
+// HTTP methods that map to the `read` action by default; all others map
+// to `write`
+const READ_METHODS = new Set(['get', 'head', 'options']);
+
+export class ZcapVerifier {
+  /**
+   * Creates a new ZcapVerifier instance that can be used to verify
+   * Authorization Capability (zcap) invocations that were made via HTTP
+   * signatures, e.g., by a `ZcapClient`.
+   *
+   * @class ZcapVerifier
+   *
+   * @param {object} options - The options to use.
+   * @param {Function} [options.SuiteClass] - The LD signature suite class to
+   *   use to verify delegations and to load invocation keys; exactly one of
+   *   `SuiteClass`, `createSuite`, or `cryptosuite` must be given.
+   * @param {Function} [options.createSuite] - A function that returns an LD
+   *   signature suite to verify delegations with; `getVerifier` must also
+   *   be given unless the suite has an `LDKeyClass`.
+   * @param {object} [options.cryptosuite] - A Data Integrity cryptosuite,
+   *   e.g., `eddsa-rdfc-2022` or `ecdsa-rdfc-2019`, to verify delegations
+   *   with using `DataIntegrityProof` and to create invocation key
+   *   verifiers with.
+   * @param {Function} [options.documentLoader] - Optional document loader
+   *   to load suite-related contexts and verification methods. If none is
+   *   provided, one will be auto-generated via `createDocumentLoader()` that
+   *   also loads the suite class' context if it expresses it; it can only
+   *   resolve `did:key` verification methods.
+   * @param {Function} [options.getRootController] - An optional async
+   *   function that is passed `{rootCapabilityId, rootInvocationTarget}` and
+   *   returns the controller of the identified root zcap; if given, root
+   *   zcaps will be generated from it instead of being loaded via the
+   *   `documentLoader`.
+   * @param {Function} [options.getVerifier] - An optional async function
+   *   that is passed `{keyId, documentLoader}` and returns
+   *   `{verifier, verificationMethod}`; the default uses the suite to load
+   *   the key.
+   * @param {boolean} [options.allowTargetAttenuation=true] - Allow the
+   *   invocation target of a delegation chain to be increasingly restrictive
+   *   based on a hierarchical RESTful URL structure.
+   * @param {number} [options.maxChainLength] - The maximum length of the
+   *   capability delegation chain.
+   * @param {number} [options.maxClockSkew=300] - The maximum number of
+   *   seconds that clocks may be skewed.
+   * @param {number} [options.maxDelegationTtl] - The maximum milliseconds to
+   *   live for a delegated zcap.
+   *
+   * @returns {ZcapVerifier} - The new ZcapVerifier instance.
+   */
+  constructor({
+    SuiteClass, createSuite, cryptosuite, documentLoader, getRootController,
+    getVerifier,
+    allowTargetAttenuation = true, maxChainLength, maxClockSkew = 300,
+    maxDelegationTtl
+  } = {}) {
+    const suiteFactory = createSuiteFactory(
+      {SuiteClass, createSuite, cryptosuite});
+    if(getRootController !== undefined &&
+      typeof getRootController !== 'function') {
+      throw new TypeError('"getRootController" must be a function.');
+    }
+    if(getVerifier !== undefined && typeof getVerifier !== 'function') {
+      throw new TypeError('"getVerifier" must be a function.');
+    }
+
+    this.SuiteClass = SuiteClass;
+    this.createSuite = suiteFactory;
+    this.allowTargetAttenuation = allowTargetAttenuation;
+    this.maxChainLength = maxChainLength;
+    this.maxClockSkew = maxClockSkew;
+    this.maxDelegationTtl = maxDelegationTtl;
+    this.getVerifier = getVerifier ||
+      _createGetVerifier({createSuite: suiteFactory, cryptosuite});
+
+    documentLoader = createSuiteDocumentLoader({SuiteClass, documentLoader});
+    if(getRootController) {
+      documentLoader = createRootCapabilityLoader(
+        {documentLoader, getRootController});
+    }
+    this.documentLoader = documentLoader;
+  }
+
+  /**
+   * Verifies a capability invocation that was made via an HTTP request. An
+   * error will be thrown if the invocation, or the delegation chain of the
+   * invoked capability, cannot be verified.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.url - The URL of the request; if it is relative
+   *   then `expectedHost` must be given.
+   * @param {string} [options.method] - The HTTP method of the request.
+   *   Default: 'get'.
+   * @param {object} options.headers - The headers from the request.
+   * @param {Uint8Array|string|object} [options.body] - The request body; it
+   *   must be given if the request includes a `digest` header and a
+   *   non-empty body is rejected unless it matches a signed `digest` header.
+   * @param {string} [options.expectedAction] - The expected capability
+   *   action. Default: 'read' for GET, HEAD and OPTIONS requests and
+   *   'write' for all others.
+   * @param {string|Array} [options.expectedHost] - The expected host(s) of
+   *   the request. Default: the host from `url`.
+   * @param {string|Array} [options.expectedTarget] - The expected
+   *   invocation target(s). Default: the absolute request URL.
+   * @param {string|Array} [options.expectedRootCapability] - The expected
+   *   root capability ID(s). Default: the root capability for
+   *   `expectedTarget`.
+   * @param {Function} [options.inspectCapabilityChain] - An optional async
+   *   function that can be used to check for revocations related to any of
+   *   the verified capabilities.
+   * @param {number|Date} [options.now] - Optional current time; useful for
+   *   testing.
+   *
+   * @returns {Promise<object>} - A promise that resolves to an object with
+   *   the `invoker`, the invoked `capability`, the invoked `action`, the
+   *   `dereferencedChain` and the invoker's `verificationMethod`.
+   */
+  async verify({
+    url, method = 'get', headers, body,
+    expectedAction, expectedHost, expectedTarget, expectedRootCapability,
+    inspectCapabilityChain, now
+  } = {}) {
+    if(typeof url !== 'string') {
+      throw new TypeError('"url" must be a string.');
+    }
+    if(!(headers && typeof headers === 'object')) {
+      throw new TypeError('"headers" must be an object.');
+    }
+
+    headers = _lowerCaseObjectKeys(headers);
+    // a body that is not covered by a signed digest could have been replaced
+    if(headers.digest === undefined && !_isEmptyBody({body})) {
+      const error = new Error(
+        'Request body must be covered by a signed "digest" header.');
+      error.name = 'NotAllowedError';
+      throw error;
+    }
+    if(url.startsWith('/')) {
+      if(expectedHost === undefined) {
+        throw new TypeError(
+          '"expectedHost" must be given when "url" is relative.');
+      }
+      url = `https://${headers.host}${url}`;
+    } else if(expectedHost === undefined) {
+      expectedHost = new URL(url).host;
+    }
+    if(expectedAction === undefined) {
+      expectedAction = READ_METHODS.has(method.toLowerCase()) ?
+        'read' : 'write';
+    }
+    if(expectedTarget === undefined) {
+      expectedTarget = url;
+    }
+    if(expectedRootCapability === undefined) {
+      const targets = Array.isArray(expectedTarget) ?
+        expectedTarget : [expectedTarget];
+      expectedRootCapability = await Promise.all(
+        targets.map(target => generateZcapUri({url: target})));
+    }
+
+    const {
+      allowTargetAttenuation, documentLoader, getVerifier,
+      maxChainLength, maxClockSkew, maxDelegationTtl
+    } = this;
+    // the `digest` header must be signed even without a `content-type`
+    const additionalHeaders = headers.digest !== undefined &&
+      headers['content-type'] === undefined ? ['digest'] : [];
+    const result = await verifyCapabilityInvocation({
+      url, method, headers, getVerifier, documentLoader, additionalHeaders,
+      expectedHost, expectedAction, expectedRootCapability, expectedTarget,
+      suite: this.createSuite(),
+      allowTargetAttenuation, inspectCapabilityChain,
+      maxChainLength, maxClockSkew, maxDelegationTtl, now
+    });
+    if(!result.verified) {
+      const error = new Error('Capability invocation could not be verified.');
+      error.name = 'NotAllowedError';
+      error.cause = result.error;
+      throw error;
+    }
+
+    // the signed `digest` header must match the body that was received
+    if(headers.digest !== undefined) {
+      await _verifyDigest({body, headerValue: headers.digest});
+    }
+
+    const {
+      capabilityAction: action, dereferencedChain, invoker, verificationMethod
+    } = result;
+    return {
+      invoker,
+      capability: dereferencedChain[dereferencedChain.length - 1],
+      action,
+      dereferencedChain,
+      verificationMethod
+    };
+  }
+
+  /**
+   * Verifies a capability invocation that was made by signing a JSON-LD
+   * document with a capability invocation proof, e.g., via
+   * `ZcapClient.invokeDocument()`. An error will be thrown if the
+   * invocation, or the delegation chain of the invoked capability, cannot be
+   * verified.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.document - The signed document.
+   * @param {string|Array} options.expectedTarget - The expected invocation
+   *   target(s).
+   * @param {string} options.expectedAction - The expected capability action.
+   * @param {string|Array} [options.expectedRootCapability] - The expected
+   *   root capability ID(s). Default: the root capability for
+   *   `expectedTarget`.
+   * @param {Function} [options.inspectCapabilityChain] - An optional async
+   *   function that can be used to check for revocations related to any of
+   *   the verified capabilities.
+   * @param {number|Date} [options.now] - Optional current time; useful for
+   *   testing.
+   *
+   * @returns {Promise<object>} - A promise that resolves to an object with
+   *   the `invoker`, the invoked `capability`, the invoked `action`, the
+   *   `dereferencedChain` and the invoker's `verificationMethod`.
+   */
+  async verifyDocument({
+    document, expectedTarget, expectedAction, expectedRootCapability,
+    inspectCapabilityChain, now
+  } = {}) {
+    if(!(document && typeof document === 'object')) {
+      throw new TypeError('"document" must be an object.');
+    }
+    if(!(typeof expectedTarget === 'string' ||
+      Array.isArray(expectedTarget))) {
+      throw new TypeError('"expectedTarget" must be a string or an array.');
+    }
+    if(typeof expectedAction !== 'string') {
+      throw new TypeError('"expectedAction" must be a string.');
+    }
+    if(expectedRootCapability === undefined) {
+      expectedRootCapability = await Promise.all([].concat(expectedTarget)
+        .map(target => generateZcapUri({url: target})));
+    }
+
+    const {
+      allowTargetAttenuation, documentLoader,
+      maxChainLength, maxClockSkew, maxDelegationTtl
+    } = this;
+    const result = await jsigs.verify(document, {
+      documentLoader,
+      suite: this.createSuite(),
+      purpose: new CapabilityInvocation({
+        allowTargetAttenuation,
+        date: now === undefined ? undefined : new Date(now),
+        expectedAction,
+        expectedRootCapability,
+        expectedTarget,
+        inspectCapabilityChain,
+        maxChainLength,
+        maxClockSkew,
+        maxDelegationTtl,
+        suite: this.createSuite()
+      })
+    });
+    if(!result.verified) {
+      const error = new Error('Capability invocation could not be verified.');
+      error.name = 'NotAllowedError';
+      error.cause = result.error;
+      throw error;
+    }
+
+    const {proof, purposeResult, verificationMethod} = result.results.find(
+      ({verified}) => verified);
+    const {dereferencedChain} = purposeResult;
+    return {
+      invoker: verificationMethod.controller,
+      capability: dereferencedChain[dereferencedChain.length - 1],
+      action: proof.capabilityAction,
+      dereferencedChain,
+      verificationMethod
+    };
+  }
+}
+
+function _createGetVerifier({createSuite, cryptosuite}) {
+  return async function getVerifier({keyId, documentLoader}) {
+    return getSuiteVerifier(
+      {suite: createSuite(), cryptosuite, keyId, documentLoader});
+  };
+}
+
+async function _verifyDigest({body, headerValue}) {
+  if(body === undefined) {
+    const error = new Error(
+      '"body" must be given to verify the request "digest" header.');
+    error.name = 'NotAllowedError';
+    throw error;
+  }
+  if(typeof body === 'string') {
+    body = new TextEncoder().encode(body);
+  }
+  const {verified, error: cause} = await verifyHeaderValue(
+    {data: body, headerValue});
+  if(!verified) {
+    const error = new Error(
+      'Request body does not match the "digest" header.');
+    error.name = 'NotAllowedError';
+    error.cause = cause;
+    throw error;
+  }
+}
+
+function _isEmptyBody({body}) {
+  if(body === undefined || body === null) {
+    return true;
+  }
+  if(typeof body === 'string' || body instanceof Uint8Array) {
+    return body.length === 0;
+  }
+  return false;
+}
+
+function _lowerCaseObjectKeys(obj) {
+  const newObject = {};
+  for(const [k, v] of Object.entries(obj)) {
+    newObject[k.toLowerCase()] = v;
+  }
+  return newObject;
+}
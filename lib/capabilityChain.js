@@ -0,0 +1,316 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  CapabilityDelegation,
+  constants as zCapConstants
+} from '@digitalbazaar/zcap';
+import {createRootCapabilityLoader, getDelegationProofs} from './util.js';
+import jsigs from 'jsonld-signatures';
+
+const {MAX_CHAIN_LENGTH, ZCAP_CONTEXT_URL} = zCapConstants;
+
+/**
+ * Gets the capability chain for a delegated capability from the capability
+ * chains embedded in its delegation proof and in the delegation proofs of
+ * each of its ancestors. No signatures are verified.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The delegated capability.
+ *
+ * @returns {Array} - The capability chain, ordered from root to tail; the
+ *   first entry is the ID of the root capability and the remaining entries
+ *   are the delegated capability objects.
+ */
+export function getEmbeddedCapabilityChain({capability}) {
+  if(!(capability && typeof capability === 'object' &&
+    capability.parentCapability)) {
+    throw new TypeError('"capability" must be a delegated capability object.');
+  }
+
+  const chain = [];
+  let current = capability;
+  while(typeof current === 'object') {
+    if(chain.length >= MAX_CHAIN_LENGTH) {
+      throw new Error(
+        'The capability chain exceeds the maximum allowed length ' +
+        `of ${MAX_CHAIN_LENGTH}.`);
+    }
+    chain.unshift(current);
+    const [proof] = getDelegationProofs({capability: current});
+    const capabilityChain = proof?.capabilityChain;
+    if(!(Array.isArray(capabilityChain) && capabilityChain.length > 0)) {
+      throw new Error(
+        `Capability "${current.id}" does not have a "capabilityChain" in ` +
+        'its delegation proof.');
+    }
+    const parent = capabilityChain[capabilityChain.length - 1];
+    const parentId = typeof parent === 'string' ? parent : parent?.id;
+    if(parentId !== current.parentCapability) {
+      throw new Error(
+        `Capability "${current.id}" has a "capabilityChain" that does not ` +
+        'end with its parent capability.');
+    }
+    if(typeof parent === 'string' && capabilityChain.length > 1) {
+      throw new Error(
+        `Capability "${current.id}" has a "capabilityChain" that does not ` +
+        'embed its delegated parent capability.');
+    }
+    current = parent;
+  }
+  chain.unshift(current);
+  return chain;
+}
+
+/**
+ * Checks that a capability is well-formed, e.g., that a delegated
+ * capability has a zcap `@context`, a `parentCapability`, a delegation
+ * proof, and a valid `expires` date. No signatures are verified.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The capability to check.
+ *
+ * @throws {Error} - If the capability is not well-formed.
+ */
+export function checkCapability({capability}) {
+  const {
+    '@context': context,
+    id, parentCapability, invocationTarget, allowedAction, expires
+  } = capability;
+
+  const isRoot = parentCapability === undefined;
+  if(isRoot) {
+    if(context !== ZCAP_CONTEXT_URL) {
+      throw new Error(
+        'Root capability must have an "@context" value of ' +
+        `"${ZCAP_CONTEXT_URL}".`);
+    }
+    if(capability.expires !== undefined) {
+      throw new Error(
+        'Root capability must not have an "expires" field.');
+    }
+  } else {
+    if(!((Array.isArray(context) && context[0] === ZCAP_CONTEXT_URL))) {
+      throw new Error(
+        'Delegated capability must have an "@context" array ' +
+        `with "${ZCAP_CONTEXT_URL}" in its first position.`);
+    }
+    if(!(typeof parentCapability === 'string' &&
+      parentCapability.includes(':'))) {
+      throw new Error(
+        'Delegated capability must have a "parentCapability" with a string ' +
+        'value that expresses an absolute URI.');
+    }
+    const [proof] = getDelegationProofs({capability});
+    if(!proof) {
+      throw new Error('Delegated capability must have a "proof".');
+    }
+    if(isNaN(Date.parse(proof.created))) {
+      throw new Error(
+        'Delegated capability must have a valid proof "created" date.');
+    }
+    if(isNaN(Date.parse(expires))) {
+      throw new Error('Delegated capability must have a valid expires date.');
+    }
+  }
+
+  if(!(typeof id === 'string' && id.includes(':'))) {
+    throw new Error(
+      'Capability must have an "id" with a string value that expresses an ' +
+      'absolute URI.');
+  }
+  if(!(typeof invocationTarget === 'string' &&
+    invocationTarget.includes(':'))) {
+    throw new Error(
+      'Capability must have an "invocationTarget" with a string value that ' +
+      'expresses an absolute URI.');
+  }
+  if(allowedAction !== undefined && !(
+    typeof allowedAction === 'string' ||
+    (Array.isArray(allowedAction) && allowedAction.length > 0))) {
+    throw new Error(
+      'If present on a capability, "allowedAction" must be a string or a ' +
+      'non-empty array.');
+  }
+}
+
+/**
+ * Checks that a delegated capability attenuates (narrows) its parent: its
+ * `allowedAction` must be a subset of the parent's, its `expires` must not be
+ * later than the parent's, and its `invocationTarget` must be equal to or a
+ * RESTful suffix of the parent's.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The delegated capability.
+ * @param {object} options.parentCapability - The parent capability.
+ *
+ * @returns {object} - An object with boolean `allowedAction`, `expires`, and
+ *   `invocationTarget` properties and an `errors` array.
+ */
+export function checkAttenuation({capability, parentCapability}) {
+  const errors = [];
+
+  const allowedActions = _getAllowedActions({capability});
+  const parentAllowedActions = _getAllowedActions(
+    {capability: parentCapability});
+  const allowedAction = parentAllowedActions.length === 0 ||
+    (allowedActions.length > 0 &&
+    allowedActions.every(a => parentAllowedActions.includes(a)));
+  if(!allowedAction) {
+    errors.push(new Error(
+      `Capability "${capability.id}" allows actions that are not allowed ` +
+      'by its parent.'));
+  }
+
+  const expires = parentCapability.expires === undefined ||
+    Date.parse(capability.expires) <= Date.parse(parentCapability.expires);
+  if(!expires) {
+    errors.push(new Error(
+      `Capability "${capability.id}" expires after its parent.`));
+  }
+
+  const invocationTarget = isValidTarget({
+    invocationTarget: capability.invocationTarget,
+    baseInvocationTarget: parentCapability.invocationTarget
+  });
+  if(!invocationTarget) {
+    errors.push(new Error(
+      `Capability "${capability.id}" has an invocation target that is not ` +
+      'equal to or a RESTful suffix of its parent\'s invocation target.'));
+  }
+
+  return {allowedAction, expires, invocationTarget, errors};
+}
+
+/**
+ * Determines whether `invocationTarget` is equal to `baseInvocationTarget`
+ * or is a RESTful suffix of it, i.e., it only adds path segments or query
+ * parameters.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {string} options.invocationTarget - The invocation target to check.
+ * @param {string} options.baseInvocationTarget - The base invocation target.
+ *
+ * @returns {boolean} - `true` if the target is valid, `false` if not.
+ */
+export function isValidTarget({invocationTarget, baseInvocationTarget}) {
+  if(!(typeof invocationTarget === 'string' &&
+    typeof baseInvocationTarget === 'string')) {
+    return false;
+  }
+  if(invocationTarget === baseInvocationTarget) {
+    return true;
+  }
+  // if the base target already has a query, only new query variables may
+  // be added
+  const prefixes = baseInvocationTarget.includes('?') ?
+    [`${baseInvocationTarget}&`] :
+    [`${baseInvocationTarget}/`, `${baseInvocationTarget}?`];
+  return prefixes.some(prefix => invocationTarget.startsWith(prefix));
+}
+
+/**
+ * Verifies the delegation chain of a capability without invoking it. Every
+ * delegation proof in the chain is verified and every delegated capability
+ * is checked to ensure that it attenuates its parent and has not expired.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The delegated capability to verify.
+ * @param {Function} options.createSuite - A function that creates an LD
+ *   signature suite for verifying.
+ * @param {Function} options.documentLoader - The document loader to use.
+ * @param {string|Array} [options.rootController] - The controller of the
+ *   root capability; if not given, the root capability will be loaded via
+ *   the `documentLoader`.
+ * @param {number} [options.now] - Optional timestamp for the current time.
+ *
+ * @returns {Promise<object>} - A promise that resolves to a report with
+ *   `verified`, `rootCapability`, `links`, and `errors` properties.
+ */
+export async function verifyCapabilityChain({
+  capability, createSuite, documentLoader, rootController, now = Date.now()
+} = {}) {
+  const chain = getEmbeddedCapabilityChain({capability});
+  const [rootCapabilityId] = chain;
+
+  if(rootController !== undefined) {
+    documentLoader = createRootCapabilityLoader({
+      documentLoader, getRootController: async () => rootController
+    });
+  }
+
+  const report = {
+    verified: false,
+    rootCapability: rootCapabilityId,
+    links: [],
+    errors: []
+  };
+
+  // the root capability must be dereferenced by a trusted mechanism
+  let parentCapability;
+  try {
+    ({document: parentCapability} = await documentLoader(rootCapabilityId));
+    if(typeof parentCapability === 'string') {
+      parentCapability = JSON.parse(parentCapability);
+    }
+  } catch(cause) {
+    const error = new Error(
+      `Root capability "${rootCapabilityId}" could not be loaded.`);
+    error.cause = cause;
+    report.errors.push(error);
+    return report;
+  }
+
+  for(const link of chain.slice(1)) {
+    const errors = [];
+
+    const {verified: proof, error} = await jsigs.verify(link, {
+      documentLoader,
+      suite: createSuite(),
+      purpose: new CapabilityDelegation({
+        allowTargetAttenuation: true,
+        date: new Date(now),
+        expectedRootCapability: rootCapabilityId,
+        suite: createSuite()
+      })
+    });
+    if(!proof) {
+      errors.push(...(error?.errors || [error]));
+    }
+
+    const {errors: attenuationErrors, ...attenuation} = checkAttenuation(
+      {capability: link, parentCapability});
+    errors.push(...attenuationErrors);
+
+    const unexpired = Date.parse(link.expires) > now;
+    if(!unexpired) {
+      errors.push(new Error(`Capability "${link.id}" has expired.`));
+    }
+
+    report.links.push({
+      id: link.id,
+      parentCapability: link.parentCapability,
+      controller: link.controller,
+      verified: errors.length === 0,
+      checks: {proof, ...attenuation, unexpired},
+      errors
+    });
+    parentCapability = link;
+  }
+
+  report.verified = report.links.every(({verified}) => verified);
+  return report;
+}
+
+function _getAllowedActions({capability}) {
+  const {allowedAction} = capability;
+  if(allowedAction === undefined) {
+    return [];
+  }
+  return Array.isArray(allowedAction) ? allowedAction : [allowedAction];
+}
@@ -0,0 +1,497 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as didKey from '@digitalbazaar/did-method-key';
+import {createSuiteDocumentLoader, getDelegationProofs} from './util.js';
+import {decodeCapability, encodeCapability} from './encoding.js';
+import {
+  getEmbeddedCapabilityChain, verifyCapabilityChain
+} from './capabilityChain.js';
+import {createSuiteFactory} from './suites.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+import {explainCapability} from './explain.js';
+import {parseArgs} from 'node:util';
+import {readFile} from 'node:fs/promises';
+import {ZcapClient} from './ZcapClient.js';
+import {constants as zCapConstants} from '@digitalbazaar/zcap';
+
+const {ZCAP_ROOT_PREFIX} = zCapConstants;
+
+const SuiteClass = Ed25519Signature2020;
+
+const didKeyDriver = didKey.driver();
+
+// milliseconds per unit of relative `--expires` values, e.g., `30m`
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const USAGE = `Usage: ezcap <command> [options]
+
+Commands:
+  delegate             Delegate a capability to another controller.
+  request [url]        Invoke a capability via an HTTP request.
+  read [url]           Invoke a capability via a GET request.
+  write [url]          Invoke a capability via a POST request.
+  inspect <capability> Show and verify the delegation chain of a capability.
+
+Key options (delegate, request, read, write):
+  --seed <hex>             A 32-byte did:key seed as hex; prefer the
+                           EZCAP_SEED environment variable or --key-file
+                           as arguments are visible to other processes.
+  --key-file <path>        A JSON file with a "seed" or an exported
+                           Ed25519VerificationKey2020 key pair.
+
+Delegate options:
+  --capability <zcap>      The parent capability; default: the root
+                           capability for --target.
+  --controller <did>       The controller of the new capability (required);
+                           may be repeated for many controllers.
+  --target <url>           The invocation target; default: the parent's.
+  --actions <a,b,...>      The allowed actions; default: the parent's.
+  --expires <time>         An ISO 8601 date or a duration, e.g., 30m, 12h,
+                           or 7d; default: 5 minutes.
+  --encode                 Output the capability in its compact encoding.
+
+Request options:
+  --capability <zcap>      The capability to invoke; default: the root
+                           capability for the URL.
+  --method <method>        The HTTP method (request only); default: get.
+  --action <action>        The action to invoke; default: read for GET
+                           requests, otherwise write.
+  --data <json>            A JSON body to send.
+  --data-file <path>       A file with a JSON body to send.
+  --header <name:value>    A header to sign and send; may be repeated.
+
+Inspect options:
+  --root-controller <did>  The controller of the root capability; required
+                           to verify the chain's signatures. Malformed,
+                           expired, or widened links are always reported.
+
+Options:
+  --json                   Output JSON for scripting.
+  -h, --help               Show this help.
+
+A <capability> or <zcap> is a path to a file with a JSON or encoded
+capability, "-" for stdin, an encoded capability, or a root capability ID.
+`;
+
+const GLOBAL_OPTIONS = {
+  json: {type: 'boolean'},
+  help: {type: 'boolean', short: 'h'}
+};
+
+const KEY_OPTIONS = {
+  seed: {type: 'string'},
+  'key-file': {type: 'string'}
+};
+
+const REQUEST_OPTIONS = {
+  ...KEY_OPTIONS,
+  capability: {type: 'string'},
+  action: {type: 'string'},
+  header: {type: 'string', multiple: true}
+};
+
+const COMMANDS = {
+  delegate: {
+    options: {
+      ...KEY_OPTIONS,
+      capability: {type: 'string'},
+      controller: {type: 'string', multiple: true},
+      target: {type: 'string'},
+      actions: {type: 'string'},
+      expires: {type: 'string'},
+      encode: {type: 'boolean'}
+    },
+    run: _delegate
+  },
+  request: {
+    options: {
+      ...REQUEST_OPTIONS,
+      method: {type: 'string'},
+      data: {type: 'string'},
+      'data-file': {type: 'string'}
+    },
+    run: _request
+  },
+  read: {
+    options: REQUEST_OPTIONS,
+    run: ({options, ...rest}) => _request(
+      {options: {...options, method: 'get'}, ...rest})
+  },
+  write: {
+    options: {
+      ...REQUEST_OPTIONS,
+      data: {type: 'string'},
+      'data-file': {type: 'string'}
+    },
+    run: ({options, ...rest}) => _request(
+      {options: {...options, method: 'post'}, ...rest})
+  },
+  inspect: {
+    options: {'root-controller': {type: 'string'}},
+    run: _inspect
+  }
+};
+
+/**
+ * Runs the `ezcap` command-line tool.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {Array<string>} options.args - The command-line arguments, not
+ *   including the node executable and script.
+ * @param {object} [options.stdout=process.stdout] - The stream to write
+ *   output to.
+ * @param {object} [options.stderr=process.stderr] - The stream to write
+ *   errors to.
+ * @param {object} [options.stdin=process.stdin] - The stream to read
+ *   a capability given as "-" from.
+ * @param {object} [options.env=process.env] - The environment variables.
+ *
+ * @returns {Promise<number>} - A promise that resolves to the exit code:
+ *   `0` on success, `1` if the command failed, and `2` for usage errors.
+ */
+export async function run({
+  args, stdout = process.stdout, stderr = process.stderr,
+  stdin = process.stdin, env = process.env
+} = {}) {
+  const [name, ...rest] = args;
+  if(name === undefined || name === '-h' || name === '--help') {
+    stdout.write(USAGE);
+    return name === undefined ? 2 : 0;
+  }
+
+  const command = COMMANDS[name];
+  let json = rest.includes('--json');
+  try {
+    if(!command) {
+      throw _createUsageError(`Unknown command "${name}".`);
+    }
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: rest,
+        options: {...GLOBAL_OPTIONS, ...command.options},
+        allowPositionals: true
+      });
+    } catch(cause) {
+      throw _createUsageError(cause.message);
+    }
+    const {values: options, positionals} = parsed;
+    json = options.json === true;
+    if(options.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    const {result, text, exitCode = 0} = await command.run(
+      {options, positionals, stdin, stderr, env});
+    stdout.write(json ? _formatJson(result) : text);
+    return exitCode;
+  } catch(error) {
+    if(json) {
+      const {name, message, status, data} = error;
+      stdout.write(_formatJson({error: {name, message, status, data}}));
+    } else {
+      stderr.write(`Error: ${error.message}\n`);
+      if(error.data !== undefined) {
+        stderr.write(_formatJson(error.data));
+      }
+      if(error.name === 'UsageError') {
+        stderr.write('Run "ezcap --help" for usage.\n');
+      }
+    }
+    return error.name === 'UsageError' ? 2 : 1;
+  }
+}
+
+async function _delegate({options, positionals, stdin, stderr, env}) {
+  _assertPositionals({positionals, max: 0});
+  const {target: invocationTarget} = options;
+  if(options.controller === undefined) {
+    throw _createUsageError('"--controller" is required.');
+  }
+  const controller = options.controller.length === 1 ?
+    options.controller[0] : options.controller;
+  if(options.capability === undefined && invocationTarget === undefined) {
+    throw _createUsageError('"--capability" or "--target" is required.');
+  }
+  const zcapClient = await _createClient({options, stderr, env});
+  const capability = options.capability === undefined ? undefined :
+    await _readCapability({value: options.capability, stdin});
+  const expires = options.expires === undefined ? undefined :
+    _parseExpires({value: options.expires, now: zcapClient.now()});
+  const allowedActions = options.actions?.split(',').map(a => a.trim());
+
+  const delegated = await zcapClient.delegate({
+    capability, controller, invocationTarget, expires, allowedActions
+  });
+  if(options.encode) {
+    const encodedCapability = await encodeCapability({capability: delegated});
+    return {result: encodedCapability, text: `${encodedCapability}\n`};
+  }
+  return {result: delegated, text: _formatJson(delegated)};
+}
+
+async function _request({options, positionals, stdin, stderr, env}) {
+  _assertPositionals({positionals, max: 1});
+  const [url] = positionals;
+  if(url === undefined && options.capability === undefined) {
+    throw _createUsageError('A URL or "--capability" is required.');
+  }
+  if(options.data !== undefined && options['data-file'] !== undefined) {
+    throw _createUsageError(
+      'Only one of "--data" or "--data-file" may be given.');
+  }
+  const method = (options.method ?? 'get').toLowerCase();
+  const action = options.action ?? (method === 'get' ? 'read' : 'write');
+  const headers = {};
+  for(const header of options.header ?? []) {
+    const index = header.indexOf(':');
+    if(index < 1) {
+      throw _createUsageError(
+        `Header "${header}" must be formatted as "name:value".`);
+    }
+    headers[header.slice(0, index).trim().toLowerCase()] =
+      header.slice(index + 1).trim();
+  }
+  let json;
+  if(options.data !== undefined) {
+    json = _parseJson({text: options.data, name: '--data'});
+  } else if(options['data-file'] !== undefined) {
+    json = _parseJson({
+      text: await readFile(options['data-file'], 'utf8'),
+      name: options['data-file']
+    });
+  }
+
+  const zcapClient = await _createClient({options, stderr, env});
+  const capability = options.capability === undefined ? undefined :
+    await _readCapability({value: options.capability, stdin});
+  const response = await zcapClient.request(
+    {url, capability, method, action, headers, json});
+  let {data} = response;
+  if(data === undefined && !response.bodyUsed) {
+    data = await response.text() || undefined;
+  }
+  return {
+    result: {
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      data
+    },
+    // like `curl`, only output the response body
+    text: typeof data === 'string' ? `${data}\n` :
+      (data === undefined ? '' : _formatJson(data))
+  };
+}
+
+async function _inspect({options, positionals, stdin}) {
+  _assertPositionals({positionals, min: 1, max: 1});
+  const capability = await _readCapability({value: positionals[0], stdin});
+  const chain = (typeof capability === 'string' ?
+    [capability] : getEmbeddedCapabilityChain({capability})).map(zcap => {
+    if(typeof zcap === 'string') {
+      return {
+        id: zcap,
+        invocationTarget: decodeURIComponent(
+          zcap.slice(ZCAP_ROOT_PREFIX.length))
+      };
+    }
+    const [proof] = getDelegationProofs({capability: zcap});
+    const {id, controller, invocationTarget, allowedAction, expires} = zcap;
+    return {
+      id, controller, invocationTarget, allowedAction, expires,
+      delegator: proof?.verificationMethod
+    };
+  });
+
+  // malformed, expired or widened links are always reported; signatures
+  // can only be verified against a known root controller
+  const {problems} = await explainCapability({capability});
+  const rootController = options['root-controller'];
+  if(typeof capability === 'string' || rootController === undefined) {
+    const result = {chain, verified: null, errors: problems};
+    return {
+      result, text: _formatChain(result), exitCode: problems.length > 0 ? 1 : 0
+    };
+  }
+  const report = await verifyCapabilityChain({
+    capability,
+    createSuite: createSuiteFactory({SuiteClass}),
+    documentLoader: createSuiteDocumentLoader({SuiteClass}),
+    rootController
+  });
+  const errors = [...new Set([
+    ...problems,
+    ...[
+      ...report.errors,
+      ...report.links.flatMap(({errors}) => errors)
+    ].map(({message}) => message)
+  ])];
+  const verified = report.verified && problems.length === 0;
+  const result = {chain, verified, errors};
+  return {result, text: _formatChain(result), exitCode: verified ? 0 : 1};
+}
+
+async function _createClient({options, stderr, env}) {
+  const {didDocument, keyPairs} = await _loadKeys({options, stderr, env});
+  return new ZcapClient({SuiteClass, didDocument, keyPairs});
+}
+
+// loads `did:key` keys from a seed or a key file
+async function _loadKeys({options, stderr, env}) {
+  const keyFile = options['key-file'];
+  if(options.seed !== undefined) {
+    stderr.write(
+      'Warning: "--seed" exposes the secret seed to other processes and ' +
+      'shell history; use EZCAP_SEED or "--key-file" instead.\n');
+  }
+  const seed = options.seed ?? (keyFile === undefined ?
+    env.EZCAP_SEED : undefined);
+  if(seed !== undefined && keyFile !== undefined) {
+    throw _createUsageError(
+      'Only one of "--seed" or "--key-file" may be given.');
+  }
+  if(seed !== undefined) {
+    return didKeyDriver.generate({seed: _parseSeed({seed})});
+  }
+  if(keyFile === undefined) {
+    throw _createUsageError(
+      'A key is required; use "--seed", "--key-file", or EZCAP_SEED.');
+  }
+
+  const key = _parseJson(
+    {text: await readFile(keyFile, 'utf8'), name: keyFile});
+  if(key.seed !== undefined) {
+    return didKeyDriver.generate({seed: _parseSeed({seed: key.seed})});
+  }
+  if(key.type !== Ed25519VerificationKey2020.suite ||
+    typeof key.privateKeyMultibase !== 'string') {
+    throw new Error(
+      `Key file "${keyFile}" must contain a "seed" or an ` +
+      'Ed25519VerificationKey2020 key pair with a private key.');
+  }
+  const keyPair = await Ed25519VerificationKey2020.from(key);
+  const {didDocument} = await didKeyDriver.publicKeyToDidDoc(
+    {publicKeyDescription: keyPair});
+  keyPair.controller = didDocument.id;
+  keyPair.id = `${didDocument.id}#${keyPair.fingerprint()}`;
+  return {didDocument, keyPairs: new Map([[keyPair.id, keyPair]])};
+}
+
+// reads a capability from a file or stdin, unless it is given as an
+// encoded capability or root capability ID
+async function _readCapability({value, stdin}) {
+  let text = value;
+  if(!(value.startsWith('zcap1.') || value.startsWith(ZCAP_ROOT_PREFIX))) {
+    text = value === '-' ?
+      await _readStream({stream: stdin}) : await readFile(value, 'utf8');
+    text = text.trim();
+  }
+  if(text.startsWith('{')) {
+    const json = _parseJson({text, name: value});
+    return json;
+  }
+  if(text.startsWith('"')) {
+    text = _parseJson({text, name: value});
+  }
+  if(text.startsWith(ZCAP_ROOT_PREFIX)) {
+    return text;
+  }
+  return decodeCapability({encodedCapability: text});
+}
+
+async function _readStream({stream}) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function _parseExpires({value, now}) {
+  const match = value.match(/^(\d+)([smhd])$/);
+  if(match) {
+    const [, count, unit] = match;
+    return new Date(now + Number(count) * DURATION_UNITS[unit]);
+  }
+  const date = new Date(value);
+  if(isNaN(date)) {
+    throw _createUsageError(
+      `"--expires" must be a date or a duration, e.g., "30m"; got ` +
+      `"${value}".`);
+  }
+  return date;
+}
+
+function _parseSeed({seed}) {
+  if(!/^[0-9a-fA-F]{64}$/.test(seed)) {
+    throw _createUsageError('A seed must be 32 bytes encoded as hex.');
+  }
+  return Uint8Array.from(Buffer.from(seed, 'hex'));
+}
+
+function _parseJson({text, name}) {
+  try {
+    return JSON.parse(text);
+  } catch(cause) {
+    const error = new Error(`"${name}" is not valid JSON.`);
+    error.cause = cause;
+    throw error;
+  }
+}
+
+function _assertPositionals({positionals, min = 0, max}) {
+  if(positionals.length < min) {
+    throw _createUsageError('Missing argument.');
+  }
+  if(positionals.length > max) {
+    throw _createUsageError(`Unexpected argument "${positionals[max]}".`);
+  }
+}
+
+function _formatChain({chain, verified, errors}) {
+  const count = chain.length - 1;
+  const lines = [
+    `Capability chain (${count} delegation${count === 1 ? '' : 's'}):`
+  ];
+  chain.forEach((zcap, index) => {
+    lines.push(`[${index}] ${zcap.id}`);
+    for(const key of [
+      'controller', 'invocationTarget', 'allowedAction', 'expires', 'delegator'
+    ]) {
+      if(zcap[key] !== undefined) {
+        lines.push(`    ${key}: ${[].concat(zcap[key]).join(', ')}`);
+      }
+    }
+  });
+  if(verified === null) {
+    if(errors.length > 0) {
+      lines.push('Problems:', ...errors.map(message => `  - ${message}`));
+    }
+    lines.push('Not verified; use "--root-controller" to verify the chain.');
+  } else if(verified) {
+    lines.push('Verified.');
+  } else {
+    lines.push('NOT verified:', ...errors.map(message => `  - ${message}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function _formatJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+function _createUsageError(message) {
+  const error = new Error(message);
+  error.name = 'UsageError';
+  return error;
+}
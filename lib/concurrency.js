@@ -0,0 +1,83 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Creates a limiter of the number of concurrent operations per key, e.g.,
+ * per host. Operations over the limit wait in a first-in, first-out queue
+ * for their key, so each is started in the order it was queued.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {number} [options.maxConcurrency=Infinity] - The maximum number of
+ *   concurrent operations per key.
+ *
+ * @returns {object} - The limiter; its `acquire({key, signal})` function
+ *   returns a promise that resolves to a `release()` function once an
+ *   operation for `key` may start, or that rejects with the reason of
+ *   `signal` if it is aborted first, in which case the operation is removed
+ *   from the queue.
+ */
+export function createConcurrencyLimiter({maxConcurrency = Infinity} = {}) {
+  if(!(maxConcurrency === Infinity ||
+    (Number.isInteger(maxConcurrency) && maxConcurrency > 0))) {
+    throw new TypeError('"maxConcurrency" must be a positive integer.');
+  }
+
+  // maps key to `{active, queue}` where `queue` holds waiting operations
+  const slots = new Map();
+
+  function release({key}) {
+    const slot = slots.get(key);
+    const next = slot.queue.shift();
+    if(next) {
+      // pass the slot on to the next operation
+      next.signal?.removeEventListener('abort', next.onAbort);
+      next.resolve(_once(() => release({key})));
+      return;
+    }
+    if(--slot.active === 0) {
+      slots.delete(key);
+    }
+  }
+
+  return {
+    maxConcurrency,
+    async acquire({key, signal} = {}) {
+      if(signal?.aborted) {
+        throw signal.reason;
+      }
+      if(maxConcurrency === Infinity) {
+        return () => {};
+      }
+      let slot = slots.get(key);
+      if(!slot) {
+        slot = {active: 0, queue: []};
+        slots.set(key, slot);
+      }
+      if(slot.active < maxConcurrency) {
+        slot.active++;
+        return _once(() => release({key}));
+      }
+      return new Promise((resolve, reject) => {
+        const waiting = {resolve, signal, onAbort};
+        function onAbort() {
+          slot.queue.splice(slot.queue.indexOf(waiting), 1);
+          reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, {once: true});
+        slot.queue.push(waiting);
+      });
+    }
+  };
+}
+
+function _once(fn) {
+  let called = false;
+  return () => {
+    if(!called) {
+      called = true;
+      fn();
+    }
+  };
+}
@@ -0,0 +1,190 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getDelegationProofs} from './util.js';
+import {isValidTarget} from './capabilityChain.js';
+import {constants as zCapConstants} from '@digitalbazaar/zcap';
+
+const {ZCAP_ROOT_PREFIX} = zCapConstants;
+
+const ATTENUATION_MODES = new Set(['clamp', 'throw']);
+
+/**
+ * Creates a delegation policy from the given options.
+ *
+ * @private
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.attenuation='throw'] - Either 'throw' to throw
+ *   when a delegation would not attenuate its parent or exceeds `maxTtl`, or
+ *   'clamp' to narrow its `expires` and `allowedAction` instead.
+ * @param {number} [options.maxTtl] - The maximum number of milliseconds that
+ *   a delegated zcap may be valid for.
+ * @param {number} [options.maxChainLength] - The maximum length of the
+ *   capability chain of a delegated zcap, including the root zcap.
+ * @param {Array|Function} [options.allowedControllers] - The controllers
+ *   that zcaps may be delegated to, as strings and regular expressions or
+ *   as a function that is passed `{controller}` and returns a boolean; a
+ *   zcap with many controllers may only be delegated if each is allowed.
+ *
+ * @returns {object} - The delegation policy.
+ */
+export function createDelegationPolicy({
+  attenuation = 'throw', maxTtl, maxChainLength, allowedControllers
+} = {}) {
+  if(!ATTENUATION_MODES.has(attenuation)) {
+    throw new TypeError('"attenuation" must be "clamp" or "throw".');
+  }
+  if(maxTtl !== undefined && !(Number.isFinite(maxTtl) && maxTtl > 0)) {
+    throw new TypeError('"maxTtl" must be a positive number.');
+  }
+  if(maxChainLength !== undefined &&
+    !(Number.isInteger(maxChainLength) && maxChainLength > 1)) {
+    throw new TypeError('"maxChainLength" must be an integer greater than 1.');
+  }
+  if(allowedControllers !== undefined &&
+    !(typeof allowedControllers === 'function' ||
+    (Array.isArray(allowedControllers) && allowedControllers.every(
+      c => typeof c === 'string' || c instanceof RegExp)))) {
+    throw new TypeError(
+      '"allowedControllers" must be a function or an array of strings and ' +
+      'regular expressions.');
+  }
+  return Object.freeze(
+    {attenuation, maxTtl, maxChainLength, allowedControllers});
+}
+
+/**
+ * Applies a delegation policy to the properties of a zcap that is about to
+ * be delegated from `capability`, i.e., it checks that the new zcap will
+ * attenuate its parent and meet the policy's limits.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.policy - The delegation policy.
+ * @param {string} [options.attenuation] - Overrides `policy.attenuation`.
+ * @param {string|object} options.capability - The parent capability.
+ * @param {string|Array<string>} options.controller - The controller(s) of
+ *   the new zcap.
+ * @param {string} options.invocationTarget - The new zcap's target.
+ * @param {string} options.expires - The new zcap's expiration date.
+ * @param {boolean} options.defaultExpires - Whether `expires` is the
+ *   default, in which case it is always clamped.
+ * @param {Array<string>} options.allowedActions - The new zcap's actions.
+ * @param {number} options.now - The current time.
+ *
+ * @returns {object} - The possibly clamped `expires` and `allowedActions`.
+ */
+export function applyDelegationPolicy({
+  policy, attenuation = policy.attenuation, capability, controller,
+  invocationTarget, expires, defaultExpires, allowedActions, now
+}) {
+  if(!ATTENUATION_MODES.has(attenuation)) {
+    throw new TypeError('"attenuation" must be "clamp" or "throw".');
+  }
+  const clamp = attenuation === 'clamp';
+  const {allowedControllers, maxChainLength, maxTtl} = policy;
+
+  if(allowedControllers !== undefined) {
+    const disallowed = [].concat(controller).find(
+      controller => !_isAllowedController({allowedControllers, controller}));
+    if(disallowed !== undefined) {
+      throw _createPolicyError(
+        `Delegating to controller "${disallowed}" is not allowed.`);
+    }
+  }
+
+  // a parent given by ID must be a root zcap, whose target is in its ID
+  if(typeof capability === 'string' &&
+    !capability.startsWith(ZCAP_ROOT_PREFIX)) {
+    throw new TypeError(
+      `"capability" must be a root capability ID ("${ZCAP_ROOT_PREFIX}...") ` +
+      'or a capability object.');
+  }
+  const parent = typeof capability === 'string' ?
+    {
+      id: capability,
+      invocationTarget: decodeURIComponent(
+        capability.slice(ZCAP_ROOT_PREFIX.length))
+    } : capability;
+
+  if(maxChainLength !== undefined) {
+    const [parentProof] = getDelegationProofs({capability: parent});
+    // the parent's chain is the chain in its proof plus the parent itself
+    const chainLength = parentProof ?
+      (parentProof.capabilityChain?.length ?? 0) + 2 : 2;
+    if(chainLength > maxChainLength) {
+      throw _createPolicyError(
+        `The capability chain length (${chainLength}) would exceed the ` +
+        `maximum allowed length (${maxChainLength}).`);
+    }
+  }
+
+  if(!isValidTarget({
+    invocationTarget, baseInvocationTarget: parent.invocationTarget
+  })) {
+    throw _createPolicyError(
+      `"invocationTarget" ("${invocationTarget}") must be equal to or a ` +
+      'RESTful suffix of the parent capability\'s invocation target ' +
+      `("${parent.invocationTarget}").`);
+  }
+
+  let expiresTime = Date.parse(expires);
+  const limits = [];
+  if(parent.expires !== undefined) {
+    limits.push({
+      time: Date.parse(parent.expires),
+      message: '"expires" must not be after the parent capability expires.'
+    });
+  }
+  if(maxTtl !== undefined) {
+    limits.push({
+      time: now + maxTtl,
+      message: `"expires" must not be more than ${maxTtl} ms from now.`
+    });
+  }
+  for(const {time, message} of limits) {
+    if(expiresTime > time) {
+      if(!(clamp || defaultExpires)) {
+        throw _createPolicyError(message);
+      }
+      expiresTime = time;
+    }
+  }
+  if(expiresTime !== Date.parse(expires)) {
+    // use second precision, rounding down
+    expires = new Date(expiresTime).toISOString().slice(0, -5) + 'Z';
+  }
+
+  const parentActions = parent.allowedAction === undefined ?
+    [] : [].concat(parent.allowedAction);
+  if(parentActions.length > 0) {
+    const wider = allowedActions.length === 0 ||
+      allowedActions.some(a => !parentActions.includes(a));
+    if(wider) {
+      const narrowed = allowedActions.length === 0 ? parentActions :
+        allowedActions.filter(a => parentActions.includes(a));
+      if(!clamp || narrowed.length === 0) {
+        throw _createPolicyError(
+          '"allowedActions" must be a subset of the parent capability\'s ' +
+          `allowed actions (${parentActions.join(', ')}).`);
+      }
+      allowedActions = narrowed;
+    }
+  }
+
+  return {expires, allowedActions};
+}
+
+function _createPolicyError(message) {
+  const error = new Error(message);
+  error.name = 'ConstraintError';
+  return error;
+}
+
+function _isAllowedController({allowedControllers, controller}) {
+  if(typeof allowedControllers === 'function') {
+    return allowedControllers({controller});
+  }
+  return allowedControllers.some(allowed => typeof allowed === 'string' ?
+    allowed === controller : allowed.test(controller));
+}
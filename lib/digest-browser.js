@@ -0,0 +1,34 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createHeaderValue} from '@digitalbazaar/http-digest-header';
+
+// Web Crypto does not support incremental hashing, so in the browser the
+// stream is read and copied once into the body, which is then hashed
+export async function digestStream({stream} = {}) {
+  const chunks = [];
+  let length = 0;
+  const reader = stream.getReader();
+  try {
+    while(true) {
+      const {done, value} = await reader.read();
+      if(done) {
+        break;
+      }
+      const chunk =
+        typeof value === 'string' ? new TextEncoder().encode(value) : value;
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+  const body = new Uint8Array(length);
+  let offset = 0;
+  for(const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  }
+  const digest = await createHeaderValue({data: body, useMultihash: true});
+  return {digest, body};
+}
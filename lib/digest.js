@@ -0,0 +1,47 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createHash} from 'node:crypto';
+
+/**
+ * Reads a request body stream and computes the value for its HTTP `Digest`
+ * header. Each chunk is hashed as it is read; the chunks are then copied
+ * once into the body that is sent after its digest has been signed.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {ReadableStream} options.stream - The request body stream.
+ *
+ * @returns {Promise<object>} - A promise that resolves to an object with the
+ *   `digest` header value and the `body` to send, as a `Uint8Array`.
+ */
+export async function digestStream({stream} = {}) {
+  const hash = createHash('sha256');
+  const chunks = [];
+  for await (const chunk of _readChunks({stream})) {
+    hash.update(chunk);
+    chunks.push(chunk);
+  }
+  // format as a base64url-encoded sha2-256 multihash: 0x12, length: 0x20
+  const multihash = Buffer.concat([Buffer.from([0x12, 0x20]), hash.digest()]);
+  const body = Buffer.concat(chunks);
+  return {
+    digest: `mh=u${multihash.toString('base64url')}`,
+    body: new Uint8Array(body.buffer, body.byteOffset, body.length)
+  };
+}
+
+async function* _readChunks({stream}) {
+  const reader = stream.getReader();
+  try {
+    while(true) {
+      const {done, value} = await reader.read();
+      if(done) {
+        return;
+      }
+      yield typeof value === 'string' ? new TextEncoder().encode(value) : value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,151 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as didKey from '@digitalbazaar/did-method-key';
+import dataIntegrityContext from '@digitalbazaar/data-integrity-context';
+import ed25519Signature2020Context from 'ed25519-signature-2020-context';
+import {extendDocumentLoader} from '@digitalbazaar/zcap';
+import jsigs from 'jsonld-signatures';
+
+// contexts that are bundled in addition to the zcap and security contexts
+// (which are loaded by `extendDocumentLoader()` and
+// `jsigs.strictDocumentLoader`, respectively)
+const BUNDLED_CONTEXTS = new Map([
+  ...dataIntegrityContext.contexts,
+  ...ed25519Signature2020Context.contexts
+]);
+
+/**
+ * Creates a document loader that works offline and deterministically. It
+ * loads the zcap, security, Data Integrity, and `Ed25519Signature2020`
+ * contexts and any given `documents` from memory and resolves `did:key`
+ * DIDs and verification methods locally. DIDs of other methods are
+ * resolved via the given `resolvers`, e.g., `did-io` compatible drivers,
+ * and any other URL is passed to the given `documentLoader`. If no
+ * `documentLoader` is given, loading any other URL fails, i.e., no network
+ * requests are made.
+ *
+ * Resolved DID documents and documents loaded via `documentLoader` are
+ * cached in a least recently used (LRU) cache; concurrent loads of the same
+ * URL share one resolution and failures are not cached.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {Map|object} [options.documents] - Additional documents, e.g.,
+ *   JSON-LD contexts, to load from memory, by URL.
+ * @param {Array<object>} [options.resolvers] - DID resolvers, each with a
+ *   `method` property, e.g., 'web', and a `get({did, url})` function that
+ *   returns the DID document or verification method for a DID URL; a
+ *   resolver for the `key` method replaces the built-in one.
+ * @param {Function} [options.documentLoader] - The document loader to use
+ *   for any other URL.
+ * @param {number} [options.cacheSize=1000] - The maximum number of
+ *   resolved documents to cache; `0` disables caching.
+ * @param {number} [options.cacheTtl=3600000] - The number of milliseconds
+ *   to cache each resolved document.
+ *
+ * @returns {Function} - The document loader.
+ */
+export function createDocumentLoader({
+  documents = new Map(), resolvers = [], documentLoader,
+  cacheSize = 1000, cacheTtl = 60 * 60 * 1000
+} = {}) {
+  if(!(documents && typeof documents === 'object')) {
+    throw new TypeError('"documents" must be a Map or an object.');
+  }
+  if(!(Array.isArray(resolvers) && resolvers.every(
+    r => typeof r?.method === 'string' && typeof r.get === 'function'))) {
+    throw new TypeError(
+      '"resolvers" must be an array of objects with a "method" and a ' +
+      '"get" function.');
+  }
+  if(documentLoader !== undefined && typeof documentLoader !== 'function') {
+    throw new TypeError('"documentLoader" must be a function.');
+  }
+  if(!(Number.isInteger(cacheSize) && cacheSize >= 0)) {
+    throw new TypeError('"cacheSize" must be a non-negative integer.');
+  }
+  if(!(Number.isFinite(cacheTtl) && cacheTtl >= 0)) {
+    throw new TypeError('"cacheTtl" must be a non-negative number.');
+  }
+
+  const staticDocuments = new Map([
+    ...BUNDLED_CONTEXTS,
+    ...(documents instanceof Map ? documents : Object.entries(documents))
+  ]);
+  const resolversByMethod = new Map([
+    ['key', didKey.driver()],
+    ...resolvers.map(resolver => [resolver.method, resolver])
+  ]);
+  const load = documentLoader ?? jsigs.strictDocumentLoader;
+  const cache = _createCache({maxSize: cacheSize, ttl: cacheTtl});
+
+  return extendDocumentLoader(async function offlineDocumentLoader(url) {
+    const document = staticDocuments.get(url);
+    if(document) {
+      return {contextUrl: null, document, documentUrl: url, tag: 'static'};
+    }
+
+    const cached = cache.get(url);
+    if(cached) {
+      return cached;
+    }
+    const resolver = url.startsWith('did:') ?
+      resolversByMethod.get(url.split(':')[1]) : undefined;
+    const promise = resolver ?
+      _resolve({resolver, url}) : _load({load, url});
+    cache.set(url, promise);
+    return promise;
+  });
+}
+
+async function _resolve({resolver, url}) {
+  const document = await resolver.get({did: url, url});
+  if(!document) {
+    const error = new Error(`DID URL "${url}" could not be resolved.`);
+    error.name = 'NotFoundError';
+    throw error;
+  }
+  return {contextUrl: null, document, documentUrl: url};
+}
+
+async function _load({load, url}) {
+  return load(url);
+}
+
+// creates an LRU cache of promises; rejected promises are removed
+function _createCache({maxSize, ttl}) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if(!entry) {
+        return;
+      }
+      entries.delete(key);
+      if(entry.expires <= Date.now()) {
+        return;
+      }
+      // mark as most recently used
+      entries.set(key, entry);
+      return entry.promise;
+    },
+    set(key, promise) {
+      if(maxSize === 0 || ttl === 0) {
+        return;
+      }
+      entries.delete(key);
+      entries.set(key, {promise, expires: Date.now() + ttl});
+      for(const oldest of entries.keys()) {
+        if(entries.size <= maxSize) {
+          break;
+        }
+        entries.delete(oldest);
+      }
+      promise.catch(() => {
+        if(entries.get(key)?.promise === promise) {
+          entries.delete(key);
+        }
+      });
+    }
+  };
+}
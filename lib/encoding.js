@@ -0,0 +1,239 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {constants as zCapConstants} from '@digitalbazaar/zcap';
+
+const {ZCAP_CONTEXT_URL, ZCAP_ROOT_PREFIX} = zCapConstants;
+
+const VERSION_1_PREFIX = 'zcap1.';
+
+// the default maximum size, in bytes, of a decoded capability's JSON text;
+// encoded capabilities are untrusted and a small one can inflate to a very
+// large one
+const MAX_DECODED_SIZE = 1024 * 1024;
+
+// well-known terms that are replaced by a single control character in the
+// JSON text of a zcap before it is compressed; `JSON.stringify()` escapes
+// every control character so the replacements are unambiguous; this
+// dictionary is part of the version 1 format and must never change; terms
+// are ordered such that no term is replaced before a longer one that
+// includes it
+const VERSION_1_DICTIONARY = [
+  ZCAP_CONTEXT_URL,
+  'https://w3id.org/security/suites/ed25519-2020/v1',
+  'https://w3id.org/security/data-integrity/v2',
+  'https://w3id.org/security/multikey/v1',
+  ZCAP_ROOT_PREFIX,
+  'urn:uuid:',
+  'did:key:z6Mk',
+  'did:key:zDn',
+  'did:key:',
+  '"@context":',
+  '"id":',
+  '"controller":',
+  '"parentCapability":',
+  '"invocationTarget":',
+  '"allowedAction":',
+  '"expires":',
+  '"proof":',
+  '"type":',
+  '"created":',
+  '"verificationMethod":',
+  '"proofPurpose":"capabilityDelegation"',
+  '"capabilityChain":',
+  '"proofValue":',
+  '"cryptosuite":',
+  'Ed25519Signature2020',
+  'DataIntegrityProof',
+  'eddsa-rdfc-2022',
+  'ecdsa-rdfc-2019'
+];
+
+/**
+ * Encodes an Authorization Capability (zcap) as a compact, versioned,
+ * URL-safe string, e.g., for transport in a URL query, an HTTP header or a
+ * QR code. The zcap's JSON is compacted using a dictionary of well-known
+ * terms and compressed; the encoding is lossless.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The capability to encode.
+ *
+ * @returns {Promise<string>} - A promise that resolves to the encoded
+ *   capability.
+ */
+export async function encodeCapability({capability} = {}) {
+  if(!(capability && typeof capability === 'object' &&
+    !Array.isArray(capability))) {
+    throw new TypeError('"capability" must be an object.');
+  }
+  let json = JSON.stringify(capability);
+  VERSION_1_DICTIONARY.forEach((term, index) => {
+    json = json.replaceAll(term, _getToken({index}));
+  });
+  const compressed = await _transform({
+    data: new TextEncoder().encode(json),
+    stream: new CompressionStream('deflate')
+  });
+  return VERSION_1_PREFIX + encodeBase64Url({data: compressed});
+}
+
+/**
+ * Decodes a capability that was encoded via `encodeCapability()`. A
+ * `DataError` is thrown if the decoded capability would be larger than
+ * `maxSize`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.encodedCapability - The encoded capability.
+ * @param {number} [options.maxSize=1048576] - The maximum size, in bytes,
+ *   of the decoded capability's JSON text.
+ *
+ * @returns {Promise<object>} - A promise that resolves to the capability.
+ */
+export async function decodeCapability({
+  encodedCapability, maxSize = MAX_DECODED_SIZE
+} = {}) {
+  if(!isEncodedCapability(encodedCapability)) {
+    const version = /^zcap(\d+)\./.exec(encodedCapability)?.[1];
+    if(version !== undefined) {
+      throw new Error(
+        `Unsupported encoded capability version "${version}".`);
+    }
+    throw new TypeError(
+      '"encodedCapability" must be a string that was encoded via ' +
+      '"encodeCapability()".');
+  }
+  if(!(Number.isInteger(maxSize) && maxSize > 0)) {
+    throw new TypeError('"maxSize" must be a positive integer.');
+  }
+  try {
+    const compressed = decodeBase64Url(
+      {text: encodedCapability.slice(VERSION_1_PREFIX.length)});
+    const data = await _inflate({data: compressed, maxSize});
+    // each token is replaced by its term, so check the size of the result
+    // before replacing them
+    let size = data.length;
+    for(const byte of data) {
+      if(byte > 0 && byte <= VERSION_1_DICTIONARY.length) {
+        size += VERSION_1_DICTIONARY[byte - 1].length - 1;
+      }
+    }
+    if(size > maxSize) {
+      throw _createSizeError({maxSize});
+    }
+    let json = new TextDecoder().decode(data);
+    VERSION_1_DICTIONARY.forEach((term, index) => {
+      json = json.replaceAll(_getToken({index}), term);
+    });
+    return JSON.parse(json);
+  } catch(cause) {
+    if(cause.name === 'DataError') {
+      throw cause;
+    }
+    const error = new Error('"encodedCapability" could not be decoded.');
+    error.cause = cause;
+    throw error;
+  }
+}
+
+/**
+ * Determines whether a value is a capability that was encoded via
+ * `encodeCapability()`.
+ *
+ * @private
+ * @param {*} value - The value to check.
+ *
+ * @returns {boolean} - `true` if the value is an encoded capability, `false`
+ *   if not.
+ */
+export function isEncodedCapability(value) {
+  return typeof value === 'string' && value.startsWith(VERSION_1_PREFIX);
+}
+
+/**
+ * Encodes bytes as padded base64.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.data - The bytes to encode.
+ *
+ * @returns {string} - The base64-encoded bytes.
+ */
+export function encodeBase64({data}) {
+  let binary = '';
+  for(const byte of data) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Encodes bytes as unpadded base64url.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.data - The bytes to encode.
+ *
+ * @returns {string} - The base64url-encoded bytes.
+ */
+export function encodeBase64Url({data}) {
+  return encodeBase64({data})
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded base64url-encoded bytes.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {string} options.text - The base64url-encoded bytes.
+ *
+ * @returns {Uint8Array} - The decoded bytes.
+ */
+export function decodeBase64Url({text}) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function _getToken({index}) {
+  // control characters 0x01-0x1f; 0x00 is not used
+  return String.fromCharCode(index + 1);
+}
+
+// decompresses data, stopping once more than `maxSize` bytes are output
+async function _inflate({data, maxSize}) {
+  const reader = new Blob([data]).stream()
+    .pipeThrough(new DecompressionStream('deflate')).getReader();
+  const chunks = [];
+  let length = 0;
+  while(true) {
+    const {done, value} = await reader.read();
+    if(done) {
+      break;
+    }
+    length += value.length;
+    if(length > maxSize) {
+      await reader.cancel();
+      throw _createSizeError({maxSize});
+    }
+    chunks.push(value);
+  }
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for(const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+function _createSizeError({maxSize}) {
+  const error = new Error(
+    `The decoded capability is larger than ${maxSize} bytes.`);
+  error.name = 'DataError';
+  return error;
+}
+
+async function _transform({data, stream}) {
+  const response = new Response(new Blob([data]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
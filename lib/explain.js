@@ -0,0 +1,203 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  checkAttenuation, checkCapability, getEmbeddedCapabilityChain
+} from './capabilityChain.js';
+import {decodeCapability} from './encoding.js';
+import {getDelegationProofs} from './util.js';
+import {constants as zCapConstants} from '@digitalbazaar/zcap';
+
+const {ZCAP_ROOT_PREFIX} = zCapConstants;
+
+/**
+ * Explains a capability and its delegation chain, from its root capability
+ * to the capability itself, for people who do not read zcap JSON-LD, e.g.,
+ * support and audit staff. The chain is taken from the `parentCapability`
+ * of each capability and the `capabilityChain` embedded in its delegation
+ * proof. For each link, the explanation states who delegated it to whom,
+ * for which invocation target and actions, and when it was created and
+ * expires. Links that have expired, that allow more than their parent
+ * (i.e., more actions, a later expiration, or a target outside of the
+ * parent's), or that are malformed are flagged as problems.
+ *
+ * No signatures are verified and no documents are loaded; use
+ * `ZcapClient.verifyCapabilityChain()` to verify a chain.
+ *
+ * @param {object} options - The options to use.
+ * @param {object|string} options.capability - The capability to explain;
+ *   a delegated or root capability object, an object encoded via
+ *   `encodeCapability()`, or a root capability ID.
+ * @param {number} [options.now=Date.now()] - The timestamp, in
+ *   milliseconds, to check expiration against.
+ *
+ * @returns {Promise<object>} - A promise that resolves to an explanation
+ *   with `id` (the ID of the capability), `links` (a summary of each
+ *   capability in the chain, ordered from root to `capability`), `problems`
+ *   (an array of problem descriptions), and `text` (a plain-text summary).
+ */
+export async function explainCapability({capability, now = Date.now()} = {}) {
+  if(typeof capability === 'string' &&
+    !capability.startsWith(ZCAP_ROOT_PREFIX)) {
+    capability = await decodeCapability({encodedCapability: capability});
+  }
+  if(!(typeof capability === 'string' ||
+    (capability && typeof capability === 'object'))) {
+    throw new TypeError(
+      '"capability" must be a capability object, an encoded capability, or ' +
+      'a root capability ID.');
+  }
+
+  const problems = [];
+  let chain;
+  if(typeof capability === 'string' || !capability.parentCapability) {
+    chain = [capability];
+  } else {
+    try {
+      chain = getEmbeddedCapabilityChain({capability});
+    } catch(e) {
+      // explain the capability itself without its chain
+      problems.push(e.message);
+      chain = [capability];
+    }
+  }
+
+  const links = [];
+  chain.forEach((zcap, index) => {
+    const link = typeof zcap === 'string' ?
+      _explainRootId({id: zcap}) : _explainCapability({capability: zcap, now});
+    link.index = index;
+    if(index > 0 && typeof zcap === 'object') {
+      _checkParent(
+        {link, capability: zcap, parentCapability: chain[index - 1]});
+    }
+    problems.push(...link.problems);
+    links.push(link);
+  });
+
+  const id = typeof capability === 'string' ? capability : capability.id;
+  return {id, links, problems, text: _formatText({links, problems})};
+}
+
+function _explainRootId({id}) {
+  const link = {
+    id,
+    root: true,
+    controller: undefined,
+    invocationTarget: undefined,
+    allowedActions: [],
+    delegator: undefined,
+    verificationMethod: undefined,
+    created: undefined,
+    expires: undefined,
+    expired: false,
+    widerThanParent: false,
+    problems: []
+  };
+  if(id.startsWith(ZCAP_ROOT_PREFIX)) {
+    link.invocationTarget = decodeURIComponent(
+      id.slice(ZCAP_ROOT_PREFIX.length));
+  } else {
+    link.problems.push(
+      `Root capability "${id}" is not a "${ZCAP_ROOT_PREFIX}" ID.`);
+  }
+  return link;
+}
+
+function _explainCapability({capability, now}) {
+  const {id, controller, invocationTarget, allowedAction, expires} =
+    capability;
+  const root = capability.parentCapability === undefined;
+  const [proof] = root ? [] : getDelegationProofs({capability});
+  const link = {
+    id,
+    root,
+    controller,
+    invocationTarget,
+    allowedActions: allowedAction === undefined ? [] : [].concat(allowedAction),
+    // the delegator is the controller of the verification method, which is
+    // assumed to be expressed by its DID URL
+    delegator: typeof proof?.verificationMethod === 'string' ?
+      proof.verificationMethod.split('#')[0] : undefined,
+    verificationMethod: proof?.verificationMethod,
+    created: proof?.created,
+    expires,
+    expired: false,
+    widerThanParent: false,
+    problems: []
+  };
+  try {
+    checkCapability({capability});
+  } catch(e) {
+    link.problems.push(`Capability "${id}" is malformed: ${e.message}`);
+  }
+  if(!root && Date.parse(expires) <= now) {
+    link.expired = true;
+    link.problems.push(`Capability "${id}" expired at ${expires}.`);
+  }
+  return link;
+}
+
+function _checkParent({link, capability, parentCapability}) {
+  if(typeof parentCapability === 'string') {
+    const {invocationTarget} = _explainRootId({id: parentCapability});
+    parentCapability = {id: parentCapability, invocationTarget};
+  }
+  const {errors} = checkAttenuation({capability, parentCapability});
+  if(errors.length > 0) {
+    link.widerThanParent = true;
+    link.problems.push(...errors.map(({message}) => message));
+  }
+  // a delegated parent must be controlled by the delegator
+  const {controller} = parentCapability;
+  if(controller !== undefined && link.delegator !== undefined &&
+    ![].concat(controller).includes(link.delegator)) {
+    link.problems.push(
+      `Capability "${link.id}" was delegated by "${link.delegator}", which ` +
+      'does not control its parent.');
+  }
+}
+
+function _formatText({links, problems}) {
+  const lines = [];
+  for(const link of links) {
+    const number = `${link.index + 1}.`;
+    const indent = ' '.repeat(number.length + 1);
+    if(link.root) {
+      lines.push(`${number} Root capability ${link.id}`);
+      if(link.controller !== undefined) {
+        lines.push(`${indent}Controlled by ${_list(link.controller)}`);
+      }
+    } else {
+      lines.push(
+        `${number} ${link.delegator ?? 'An unknown delegator'} delegated ` +
+        `${link.id} to ${_list(link.controller) || 'an unknown controller'}`);
+    }
+    lines.push(
+      `${indent}Target: ${link.invocationTarget ?? 'unknown'}`,
+      `${indent}Actions: ${link.allowedActions.length > 0 ?
+        link.allowedActions.join(', ') : 'all actions'}`);
+    if(!link.root) {
+      lines.push(
+        `${indent}Created: ${link.created ?? 'unknown'}`,
+        `${indent}Expires: ${link.expires ?? 'unknown'}` +
+        (link.expired ? ' (EXPIRED)' : ''));
+    }
+    if(link.widerThanParent) {
+      lines.push(`${indent}WIDER THAN ITS PARENT`);
+    }
+  }
+  if(problems.length === 0) {
+    lines.push('No problems found. Signatures were not verified.');
+  } else {
+    lines.push(
+      `${problems.length} problem${problems.length === 1 ? '' : 's'} found:`,
+      ...problems.map(problem => `  - ${problem}`),
+      'Signatures were not verified.');
+  }
+  return lines.join('\n');
+}
+
+function _list(value) {
+  return value === undefined ? '' : [].concat(value).join(', ');
+}
@@ -1,5 +1,18 @@
 /*!
- * Copyright (c) 2020 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
+export {CapabilityRefresher} from './CapabilityRefresher.js';
+export {FileZcapStore} from './FileZcapStore.js';
+export {MemoryZcapStore} from './MemoryZcapStore.js';
+export {RemoteKeyManager} from './RemoteKeyManager.js';
 export {ZcapClient} from './ZcapClient.js';
-export {getCapabilitySigners} from './util.js';
+export {ZcapStore} from './ZcapStore.js';
+export {ZcapVerifier} from './ZcapVerifier.js';
+export {createZcapMiddleware} from './middleware.js';
+export {decodeCapability, encodeCapability} from './encoding.js';
+export {createDocumentLoader} from './documentLoader.js';
+export {explainCapability} from './explain.js';
+export {createTracingHooks} from './tracing.js';
+export {createHttpTransport, createWebSocketTransport} from './transports.js';
+export {createUnixSocketTransport} from './unixSocketTransport.js';
+export {createRootCapability, getCapabilitySigners} from './util.js';
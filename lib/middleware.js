@@ -0,0 +1,176 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Creates a middleware function that verifies the Authorization Capability
+ * (zcap) invocation on every request it handles. The middleware has the
+ * signature `(req, res, next)` so that it can be used both with Express (and
+ * compatible frameworks) and with a plain node.js `http` request listener.
+ *
+ * On success, the verification result (`invoker`, `capability`, `action`,
+ * `dereferencedChain`) is set on `req.zcap` and `next()` is called. Any
+ * request body is read to verify its digest and is made available as
+ * `req.rawBody`; JSON bodies are also parsed into `req.body`. A non-empty
+ * body that is not covered by a signed `digest` header is rejected.
+ *
+ * If a body parser has already read the body, its raw bytes should be
+ * preserved as `req.rawBody`, e.g., via the `verify` option of
+ * `express.json()`. Otherwise a `req.body` that is a `Uint8Array` or a
+ * string is verified as-is and a parsed JSON `req.body` is serialized via
+ * `JSON.stringify()`, which only matches the signed digest if the client
+ * serialized the body the same way, as `ZcapClient` does.
+ *
+ * On failure, a JSON error response is sent unless `onError` is given: a
+ * `400` with a `DataError` if the body is malformed, a `403` with a
+ * `NotAllowedError` if the invocation could not be verified, and a `500`
+ * with an `OperationError` for any other error, e.g., if a document could
+ * not be loaded.
+ *
+ * Each of the `expected*` options may be given as a value or as a function
+ * that is passed `{req}` and returns the value (or a promise for it).
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.verifier - The `ZcapVerifier` instance to use.
+ * @param {string} options.baseUrl - The public base URL (scheme and host) of
+ *   the service, e.g., `https://api.example`; it is used to build the
+ *   absolute request URL and the expected host.
+ * @param {string|Function} [options.expectedAction] - The expected
+ *   capability action. Default: based on the request method.
+ * @param {string|Array|Function} [options.expectedTarget] - The expected
+ *   invocation target(s). Default: the absolute request URL.
+ * @param {string|Array|Function} [options.expectedRootCapability] - The
+ *   expected root capability ID(s). Default: the root capability for
+ *   `expectedTarget`.
+ * @param {Function} [options.inspectCapabilityChain] - An optional async
+ *   function that can be used to check for revocations.
+ * @param {Function} [options.onError] - An optional function that is passed
+ *   `{req, res, next, error}` when verification fails.
+ *
+ * @returns {Function} - The middleware function.
+ */
+export function createZcapMiddleware({
+  verifier, baseUrl, expectedAction, expectedTarget, expectedRootCapability,
+  inspectCapabilityChain, onError
+} = {}) {
+  if(!(verifier && typeof verifier.verify === 'function')) {
+    throw new TypeError('"verifier" must be a ZcapVerifier instance.');
+  }
+  if(typeof baseUrl !== 'string') {
+    throw new TypeError('"baseUrl" must be a string.');
+  }
+  const {origin, host: expectedHost} = new URL(baseUrl);
+
+  return async function zcapMiddleware(req, res, next) {
+    let result;
+    try {
+      const body = await _readBody({req});
+      const url = origin + (req.originalUrl ?? req.url);
+      result = await verifier.verify({
+        url,
+        method: req.method,
+        headers: req.headers,
+        body,
+        expectedHost,
+        expectedAction: await _getValue({value: expectedAction, req}),
+        expectedTarget: await _getValue({value: expectedTarget, req}),
+        expectedRootCapability: await _getValue(
+          {value: expectedRootCapability, req}),
+        inspectCapabilityChain
+      });
+    } catch(error) {
+      if(onError) {
+        return onError({req, res, next, error});
+      }
+      return _sendError({res, error});
+    }
+    req.zcap = result;
+    return next();
+  };
+}
+
+async function _getValue({value, req}) {
+  return typeof value === 'function' ? value({req}) : value;
+}
+
+async function _readBody({req}) {
+  // body already read by another middleware that preserved the raw bytes
+  if(req.rawBody !== undefined) {
+    return req.rawBody;
+  }
+  const {headers} = req;
+  const hasBody = headers['transfer-encoding'] !== undefined ||
+    (headers['content-length'] !== undefined &&
+    headers['content-length'] !== '0');
+  if(!hasBody) {
+    return;
+  }
+  // body already read by a body parser that did not preserve the raw bytes
+  if(req.body !== undefined) {
+    const {body} = req;
+    if(body instanceof Uint8Array || typeof body === 'string') {
+      return body;
+    }
+    return JSON.stringify(body);
+  }
+  // body already consumed; its digest cannot be verified, so it must not
+  // reach the handler
+  if(req.readableEnded) {
+    const error = new Error(
+      'Request body was consumed before its "digest" could be verified.');
+    error.name = 'NotAllowedError';
+    throw error;
+  }
+
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of req) {
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+  const rawBody = new Uint8Array(length);
+  let offset = 0;
+  for(const chunk of chunks) {
+    rawBody.set(chunk, offset);
+    offset += chunk.length;
+  }
+  req.rawBody = rawBody;
+
+  const contentType = headers['content-type'] || '';
+  if(contentType.includes('json') && rawBody.length > 0) {
+    try {
+      req.body = JSON.parse(new TextDecoder().decode(rawBody));
+    } catch(cause) {
+      const error = new Error('Request body is not valid JSON.');
+      error.name = 'DataError';
+      error.cause = cause;
+      throw error;
+    }
+    // signal to Express body parsers that the body has been parsed
+    req._body = true;
+  }
+  return rawBody;
+}
+
+function _sendError({res, error}) {
+  let status;
+  let body;
+  if(error.name === 'DataError') {
+    status = 400;
+    body = {name: 'DataError', message: error.message};
+  } else if(['NotAllowedError', 'NotFoundError'].includes(error.name)) {
+    status = 403;
+    body = {name: 'NotAllowedError', message: error.message};
+  } else {
+    // do not expose the details of internal errors
+    status = 500;
+    body = {
+      name: 'OperationError',
+      message: 'The capability invocation could not be verified due to an ' +
+        'internal error.'
+    };
+  }
+  res.statusCode = status;
+  res.setHeader('content-type', 'application/json');
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,105 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// JSON body fields, as dot-separated paths, that commonly hold the URL of
+// the next page
+export const DEFAULT_NEXT_FIELDS = Object.freeze(
+  ['next', 'nextUrl', 'links.next', '_links.next.href']);
+
+// JSON body fields, as dot-separated paths, that commonly hold a cursor for
+// the next page
+export const DEFAULT_CURSOR_FIELDS = Object.freeze(
+  ['nextCursor', 'next_cursor', 'nextPageToken', 'pageInfo.endCursor']);
+
+/**
+ * Gets the URL of the page that follows a page of a paginated collection.
+ * The URL is taken from the first of: a `Link` response header with a
+ * `rel="next"` link, a `nextFields` field in the JSON response body, or a
+ * `cursorFields` field in the JSON response body, which is set as the
+ * `cursorParam` query parameter of the collection URL. Relative URLs are
+ * resolved against the URL of the page.
+ *
+ * The next page must have the same origin as the collection and a path
+ * that is the collection's path or below it; otherwise a server could make
+ * the client invoke capabilities against arbitrary URLs.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.response - The HTTP response for the page.
+ * @param {string} options.url - The URL of the page.
+ * @param {string} options.collectionUrl - The URL of the first page.
+ * @param {Array<string>} options.nextFields - The next page URL fields.
+ * @param {Array<string>} options.cursorFields - The cursor fields.
+ * @param {string} options.cursorParam - The cursor query parameter.
+ *
+ * @returns {string|undefined} - The URL of the next page or `undefined` if
+ *   the page is the last one.
+ */
+export function getNextPageUrl({
+  response, url, collectionUrl, nextFields, cursorFields, cursorParam
+}) {
+  const link = _getNextLink({header: response.headers.get('link')});
+  if(link) {
+    return _checkNextPageUrl({nextUrl: new URL(link, url), collectionUrl});
+  }
+
+  const {data} = response;
+  if(!(data && typeof data === 'object')) {
+    return;
+  }
+  const next = _getFirstValue({data, paths: nextFields});
+  if(next !== undefined) {
+    return _checkNextPageUrl({nextUrl: new URL(next, url), collectionUrl});
+  }
+  const cursor = _getFirstValue({data, paths: cursorFields});
+  if(cursor !== undefined) {
+    const nextUrl = new URL(collectionUrl);
+    nextUrl.searchParams.set(cursorParam, cursor);
+    return nextUrl.href;
+  }
+}
+
+// throws if the next page is not within the collection
+function _checkNextPageUrl({nextUrl, collectionUrl}) {
+  const {origin, pathname} = new URL(collectionUrl);
+  const base = pathname.endsWith('/') ? pathname : `${pathname}/`;
+  if(!(nextUrl.origin === origin &&
+    (nextUrl.pathname === pathname || nextUrl.pathname.startsWith(base)))) {
+    const error = new Error(
+      `The next page URL "${nextUrl.href}" is not within the collection ` +
+      `"${collectionUrl}".`);
+    error.name = 'NotAllowedError';
+    throw error;
+  }
+  return nextUrl.href;
+}
+
+// gets the target of the first `rel="next"` link in a `Link` header
+function _getNextLink({header}) {
+  if(!header) {
+    return;
+  }
+  for(const match of header.matchAll(/<([^>]*)>([^,<]*)/g)) {
+    const [, target, params] = match;
+    const rel = params.match(/;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;]+))/i);
+    const rels = (rel?.[1] ?? rel?.[2] ?? '').toLowerCase().split(/\s+/);
+    if(rels.includes('next')) {
+      return target;
+    }
+  }
+}
+
+// gets the first non-empty string or number at any of the given paths
+function _getFirstValue({data, paths}) {
+  for(const path of paths) {
+    let value = data;
+    for(const key of path.split('.')) {
+      value = value?.[key];
+    }
+    if((typeof value === 'string' && value !== '') ||
+      typeof value === 'number') {
+      return String(value);
+    }
+  }
+}
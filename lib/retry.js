@@ -0,0 +1,127 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// HTTP methods that can be safely repeated; the default retryable methods
+export const IDEMPOTENT_METHODS = Object.freeze(
+  ['get', 'head', 'options', 'put', 'delete', 'trace']);
+
+// the defaults match the retry behavior of the underlying HTTP client
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  minDelay: 300,
+  maxDelay: 30 * 1000,
+  factor: 2,
+  jitter: true,
+  statuses: Object.freeze([408, 413, 429, 500, 502, 503, 504]),
+  methods: IDEMPOTENT_METHODS
+});
+
+/**
+ * Creates a retry policy from the given options and the default policy.
+ *
+ * @private
+ * @param {object} [options] - The options to use; any option that is not
+ *   given is set to its default.
+ * @param {number} [options.maxAttempts=3] - The maximum number of attempts,
+ *   including the first; `1` disables retries.
+ * @param {number} [options.minDelay=300] - The delay, in milliseconds,
+ *   before the first retry.
+ * @param {number} [options.maxDelay=30000] - The maximum delay, in
+ *   milliseconds, before any retry.
+ * @param {number} [options.factor=2] - The factor by which the delay grows
+ *   with each retry.
+ * @param {boolean} [options.jitter=true] - Whether to randomize each delay
+ *   between half of and the full computed delay.
+ * @param {Array<number>} [options.statuses] - The HTTP response statuses
+ *   that can be retried.
+ * @param {Array<string>} [options.methods] - The HTTP methods that can be
+ *   retried. Default: the idempotent methods.
+ *
+ * @returns {object} - The retry policy.
+ */
+export function createRetryPolicy({
+  maxAttempts = DEFAULT_RETRY_POLICY.maxAttempts,
+  minDelay = DEFAULT_RETRY_POLICY.minDelay,
+  maxDelay = DEFAULT_RETRY_POLICY.maxDelay,
+  factor = DEFAULT_RETRY_POLICY.factor,
+  jitter = DEFAULT_RETRY_POLICY.jitter,
+  statuses = DEFAULT_RETRY_POLICY.statuses,
+  methods = DEFAULT_RETRY_POLICY.methods
+} = {}) {
+  if(!(Number.isInteger(maxAttempts) && maxAttempts > 0)) {
+    throw new TypeError('"retry.maxAttempts" must be a positive integer.');
+  }
+  for(const [name, value] of Object.entries({minDelay, maxDelay, factor})) {
+    if(!(typeof value === 'number' && value >= 0)) {
+      throw new TypeError(`"retry.${name}" must be a non-negative number.`);
+    }
+  }
+  if(!(Array.isArray(statuses) && statuses.every(Number.isInteger))) {
+    throw new TypeError('"retry.statuses" must be an array of integers.');
+  }
+  if(!(Array.isArray(methods) && methods.every(m => typeof m === 'string'))) {
+    throw new TypeError('"retry.methods" must be an array of strings.');
+  }
+  return Object.freeze({
+    maxAttempts, minDelay, maxDelay, factor, jitter: !!jitter,
+    statuses: Object.freeze([...statuses]),
+    methods: Object.freeze(methods.map(m => m.toLowerCase()))
+  });
+}
+
+/**
+ * Gets the number of milliseconds to wait before retrying a failed request.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.policy - The retry policy.
+ * @param {number} options.attempt - The number of the failed attempt,
+ *   starting at `1`.
+ * @param {string} options.method - The HTTP method of the request.
+ * @param {Error} options.error - The error from the failed attempt.
+ *
+ * @returns {number|undefined} - The delay or `undefined` if the request
+ *   must not be retried.
+ */
+export function getRetryDelay({policy, attempt, method, error}) {
+  if(attempt >= policy.maxAttempts ||
+    !policy.methods.includes(method.toLowerCase())) {
+    return;
+  }
+  const {response} = error;
+  if(response) {
+    if(!policy.statuses.includes(response.status)) {
+      return;
+    }
+    const retryAfter = _parseRetryAfter(response.headers?.get('retry-after'));
+    if(retryAfter !== undefined) {
+      // do not retry if the server asks to wait longer than allowed
+      return retryAfter <= policy.maxDelay ? retryAfter : undefined;
+    }
+  } else if(!_isNetworkError(error)) {
+    return;
+  }
+  const delay = Math.min(
+    policy.maxDelay, policy.minDelay * policy.factor ** (attempt - 1));
+  return policy.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+}
+
+// `fetch` rejects with a `TypeError` when the request could not be sent
+function _isNetworkError(error) {
+  return error.name === 'TypeError';
+}
+
+function _parseRetryAfter(value) {
+  if(!value) {
+    return;
+  }
+  // either a number of seconds or an HTTP date
+  if(/^\d+$/.test(value)) {
+    return Number.parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  if(!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+}
@@ -0,0 +1,84 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {DataIntegrityProof} from '@digitalbazaar/data-integrity';
+
+/**
+ * Creates a function that creates Linked Data signature suites from exactly
+ * one of a legacy suite class, a custom suite factory, or a Data Integrity
+ * cryptosuite. The returned function is passed `{signer, date}` to create
+ * a suite for signing or nothing to create a suite for verifying.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {Function} [options.SuiteClass] - A suite class that is
+ *   constructed with `{signer, date}`, e.g., `Ed25519Signature2020`.
+ * @param {Function} [options.createSuite] - A function that is passed
+ *   `{signer, date}` and returns a suite.
+ * @param {object} [options.cryptosuite] - A Data Integrity cryptosuite,
+ *   e.g., `eddsa-rdfc-2022`, to use with `DataIntegrityProof`.
+ *
+ * @returns {Function} - The suite factory.
+ */
+export function createSuiteFactory({
+  SuiteClass, createSuite, cryptosuite
+} = {}) {
+  const count = [SuiteClass, createSuite, cryptosuite]
+    .filter(x => x !== undefined).length;
+  if(count === 0) {
+    throw new TypeError(
+      '"SuiteClass", "createSuite", or "cryptosuite" must be provided.');
+  }
+  if(count > 1) {
+    throw new TypeError(
+      'Only one of "SuiteClass", "createSuite", or "cryptosuite" may be ' +
+      'provided.');
+  }
+  if(SuiteClass) {
+    return ({signer, date} = {}) => new SuiteClass({signer, date});
+  }
+  if(createSuite) {
+    if(typeof createSuite !== 'function') {
+      throw new TypeError('"createSuite" must be a function.');
+    }
+    return ({signer, date} = {}) => createSuite({signer, date});
+  }
+  if(!(cryptosuite && typeof cryptosuite.name === 'string')) {
+    throw new TypeError('"cryptosuite" must be a Data Integrity cryptosuite.');
+  }
+  return ({signer, date} = {}) =>
+    new DataIntegrityProof({signer, date, cryptosuite});
+}
+
+/**
+ * Gets a verifier for the key identified by `keyId`; the key is loaded via
+ * `documentLoader` and a verifier is created for it by the given Data
+ * Integrity cryptosuite or, if none is given, by the suite's key class.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.suite - The suite to load the key with.
+ * @param {object} [options.cryptosuite] - The Data Integrity cryptosuite.
+ * @param {string} options.keyId - The ID of the key.
+ * @param {Function} options.documentLoader - The document loader to use.
+ *
+ * @returns {Promise<object>} - A promise that resolves to
+ *   `{verifier, verificationMethod}`.
+ */
+export async function getSuiteVerifier({
+  suite, cryptosuite, keyId, documentLoader
+}) {
+  const verificationMethod = await suite.getVerificationMethod(
+    {proof: {verificationMethod: keyId}, documentLoader});
+  if(cryptosuite) {
+    const verifier = await cryptosuite.createVerifier({verificationMethod});
+    return {verifier, verificationMethod};
+  }
+  if(!suite.LDKeyClass) {
+    throw new Error(
+      'A verifier cannot be created for the suite; "getVerifier" must be ' +
+      'provided.');
+  }
+  const key = await suite.LDKeyClass.from(verificationMethod);
+  return {verifier: key.verifier(), verificationMethod};
+}
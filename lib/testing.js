@@ -0,0 +1,4 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+export {MockZcapServer} from './MockZcapServer.js';
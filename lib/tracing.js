@@ -0,0 +1,102 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {constants as zCapConstants} from '@digitalbazaar/zcap';
+
+const {ZCAP_ROOT_PREFIX} = zCapConstants;
+
+// OpenTelemetry `SpanStatusCode` values
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Creates `ZcapClient` hooks that trace each request as a span using an
+ * OpenTelemetry-compatible tracer, e.g., one from `trace.getTracer()` in
+ * `@opentelemetry/api`. Each span records the invoked capability ID,
+ * action, and invocation target, the HTTP method, URL, and response status,
+ * the number of attempts, the total time spent signing and the latency of
+ * the request.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.tracer - The tracer; it must have a
+ *   `startSpan(name, {attributes})` method that returns a span with
+ *   `setAttribute()`, `setStatus()`, `recordException()`, and `end()`
+ *   methods.
+ * @param {string} [options.spanName='zcap.request'] - The name of each span.
+ *
+ * @returns {object} - A map of hook name to hook function to pass as the
+ *   `hooks` option of a `ZcapClient`.
+ */
+export function createTracingHooks({tracer, spanName = 'zcap.request'} = {}) {
+  if(!(tracer && typeof tracer.startSpan === 'function')) {
+    throw new TypeError('"tracer" must be an OpenTelemetry-compatible tracer.');
+  }
+
+  // the state of each traced request by hook context
+  const traces = new WeakMap();
+
+  return {
+    beforeSign(context) {
+      let trace = traces.get(context);
+      if(!trace) {
+        const {url, method, action, capability} = context;
+        const span = tracer.startSpan(spanName, {
+          attributes: {
+            'zcap.capability.id': typeof capability === 'string' ?
+              capability : capability.id,
+            'zcap.action': action,
+            'zcap.invocation_target': _getInvocationTarget({capability}),
+            'http.request.method': method.toUpperCase(),
+            'url.full': url
+          }
+        });
+        trace = {span, signingTime: 0};
+        traces.set(context, trace);
+      }
+      trace.signStart = Date.now();
+    },
+    afterSign(context) {
+      const trace = traces.get(context);
+      trace.signingTime += Date.now() - trace.signStart;
+    },
+    response(context) {
+      const {response} = context;
+      _endSpan({
+        trace: traces.get(context), context, status: response.status,
+        spanStatus: {code: SPAN_STATUS_OK}
+      });
+    },
+    error(context) {
+      const trace = traces.get(context);
+      // the request may have failed before it was signed
+      if(!trace) {
+        return;
+      }
+      const {error} = context;
+      trace.span.recordException(error);
+      _endSpan({
+        trace, context, status: error.status ?? error.response?.status,
+        spanStatus: {code: SPAN_STATUS_ERROR, message: error.message}
+      });
+    }
+  };
+}
+
+function _endSpan({trace, context, status, spanStatus}) {
+  const {span, signingTime} = trace;
+  if(status !== undefined) {
+    span.setAttribute('http.response.status_code', status);
+  }
+  span.setAttribute('zcap.attempts', context.attempt);
+  span.setAttribute('zcap.signing_time_ms', signingTime);
+  span.setAttribute('zcap.latency_ms', context.duration);
+  span.setStatus(spanStatus);
+  span.end();
+}
+
+function _getInvocationTarget({capability}) {
+  if(typeof capability === 'string') {
+    return decodeURIComponent(capability.slice(ZCAP_ROOT_PREFIX.length));
+  }
+  return capability.invocationTarget;
+}
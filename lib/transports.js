@@ -0,0 +1,257 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {encodeBase64Url} from './encoding.js';
+import {httpClient} from '@digitalbazaar/http-client';
+import {v4 as uuid} from 'uuid';
+
+// the `readyState` of an open WebSocket
+const WEBSOCKET_OPEN = 1;
+
+/**
+ * A transport delivers zcap invocations that have been signed by a
+ * `ZcapClient` to a service. Its `send()` function is passed `{url, method,
+ * headers, json, body, signal, timeout, agent}`, where `headers` include the
+ * signature headers, and must resolve to a response with a numeric
+ * `status`, a `headers` object with a `get()` function, e.g., a `Headers`
+ * instance, and the parsed JSON body, if any, as `data`. If the service
+ * responds with a status other than 2xx, `send()` must reject with an error
+ * that has the `response` and its `status`; it must reject with a
+ * `TypeError` if the invocation could not be delivered, e.g., due to a
+ * network error, so that it may be retried, and with the reason of `signal`
+ * if it is aborted.
+ *
+ * @typedef {object} Transport
+ * @property {Function} send - The function that sends a signed invocation.
+ */
+
+/**
+ * Creates a transport that sends zcap invocations as HTTP(S) requests. It is
+ * the default transport of a `ZcapClient`.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {object} [options.agent] - An optional HttpsAgent to use when
+ *   performing HTTPS requests; the client's `agent` takes precedence.
+ *
+ * @returns {Transport} - The transport.
+ */
+export function createHttpTransport({agent} = {}) {
+  return {
+    async send({
+      url, method, headers, json, body, signal, timeout,
+      agent: clientAgent
+    } = {}) {
+      // retries are performed by the client so that each attempt is signed
+      // again
+      const options = {
+        method, json, body, agent: clientAgent ?? agent, retry: 0, headers,
+        signal
+      };
+      if(timeout !== undefined) {
+        // the request's timeout replaces the HTTP client's own timeout
+        options.timeout = false;
+      }
+      return httpClient(url, options);
+    }
+  };
+}
+
+/**
+ * Creates a transport that sends zcap invocations as messages over a
+ * WebSocket connection, which is opened when the first invocation is sent
+ * and opened again if it closes. Each invocation is sent as a JSON message
+ * with a `type` of 'request', a unique `id`, and the `url`, `method`, and
+ * `headers` of the equivalent HTTP request; its body is sent as `json` or
+ * as a base64url-encoded `body`. The service must respond with a JSON
+ * message with a `type` of 'response', the same `id`, a `status`, and
+ * optional `headers` and `data`. The service can verify an invocation by
+ * passing its `url`, `method`, `headers`, and body to
+ * `ZcapVerifier.verify()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.url - The `ws:` or `wss:` URL to connect to.
+ * @param {Function} [options.WebSocket=globalThis.WebSocket] - The
+ *   WebSocket class to connect with, e.g., from the `ws` package.
+ * @param {string|Array<string>} [options.protocols] - The subprotocols to
+ *   request when connecting.
+ *
+ * @returns {Transport} - The transport; it also has a `close()` function
+ *   that closes the connection.
+ */
+export function createWebSocketTransport({
+  url, WebSocket = globalThis.WebSocket, protocols
+} = {}) {
+  if(!(typeof url === 'string' && /^wss?:\/\//.test(url))) {
+    throw new TypeError('"url" must be a "ws:" or "wss:" URL.');
+  }
+  if(typeof WebSocket !== 'function') {
+    throw new TypeError('"WebSocket" must be a WebSocket class.');
+  }
+
+  let socket;
+  let opening;
+  // maps message ID to `{resolve, reject, url}` of a pending invocation
+  const pending = new Map();
+
+  function connect() {
+    if(socket?.readyState === WEBSOCKET_OPEN) {
+      return socket;
+    }
+    if(!opening) {
+      opening = new Promise((resolve, reject) => {
+        const newSocket = new WebSocket(url, protocols);
+        newSocket.addEventListener('open', () => {
+          socket = newSocket;
+          resolve(newSocket);
+        });
+        newSocket.addEventListener('error', () => {
+          reject(new TypeError(`Could not connect to "${url}".`));
+        });
+        newSocket.addEventListener('message', receive);
+        newSocket.addEventListener('close', () => {
+          reject(new TypeError(`Could not connect to "${url}".`));
+          if(socket === newSocket) {
+            socket = undefined;
+          }
+          // the responses to pending invocations will never be received
+          for(const {reject} of pending.values()) {
+            reject(new TypeError(`The connection to "${url}" was closed.`));
+          }
+          pending.clear();
+        });
+      }).finally(() => {
+        opening = undefined;
+      });
+    }
+    return opening;
+  }
+
+  function receive({data}) {
+    let message;
+    try {
+      message = JSON.parse(
+        typeof data === 'string' ? data : new TextDecoder().decode(data));
+    } catch(e) {
+      // ignore messages that are not JSON
+      return;
+    }
+    const invocation = pending.get(message?.id);
+    if(!(invocation && message.type === 'response')) {
+      return;
+    }
+    pending.delete(message.id);
+    const response = createResponse({
+      url: invocation.url, status: message.status,
+      headers: message.headers, data: message.data
+    });
+    if(response.ok) {
+      invocation.resolve(response);
+    } else {
+      invocation.reject(createHttpError({response}));
+    }
+  }
+
+  return {
+    async send({
+      url: requestUrl, method, headers, json, body, signal
+    } = {}) {
+      _throwIfAborted({signal});
+      const openSocket = await connect();
+      _throwIfAborted({signal});
+
+      const id = uuid();
+      const message = {
+        type: 'request',
+        id,
+        url: requestUrl,
+        method: method.toUpperCase(),
+        // browsers do not include the signed `host` header
+        headers: {host: new URL(requestUrl).host, ...headers}
+      };
+      if(json !== undefined) {
+        message.json = json;
+      } else if(body !== undefined) {
+        const data = body instanceof Uint8Array ?
+          body : new Uint8Array(await body.arrayBuffer());
+        message.body = encodeBase64Url({data});
+      }
+
+      return new Promise((resolve, reject) => {
+        function onAbort() {
+          pending.delete(id);
+          reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, {once: true});
+        pending.set(id, {
+          url: requestUrl,
+          resolve(response) {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(response);
+          },
+          reject(error) {
+            signal?.removeEventListener('abort', onAbort);
+            reject(error);
+          }
+        });
+        openSocket.send(JSON.stringify(message));
+      });
+    },
+    close() {
+      socket?.close();
+      socket = undefined;
+    }
+  };
+}
+
+/**
+ * Creates a response like the ones the HTTP transport resolves to.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {string} options.url - The URL of the request.
+ * @param {number} options.status - The response status.
+ * @param {object} [options.headers] - The response headers.
+ * @param {*} [options.data] - The parsed JSON response body, if any.
+ *
+ * @returns {object} - The response.
+ */
+export function createResponse({url, status, headers = {}, data}) {
+  return {
+    url,
+    status,
+    ok: status >= 200 && status < 300,
+    headers: new Headers(headers),
+    data
+  };
+}
+
+/**
+ * Creates the error that a transport rejects with when a service responds
+ * with a status other than 2xx, like the errors that the HTTP transport
+ * rejects with.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.response - The response.
+ *
+ * @returns {Error} - The error.
+ */
+export function createHttpError({response}) {
+  const {status, data, url} = response;
+  const error = new Error(
+    data?.message ?? `Request failed with status code ${status}.`);
+  error.name = 'HTTPError';
+  error.requestUrl = url;
+  error.response = response;
+  error.status = status;
+  if(data !== undefined) {
+    error.data = data;
+  }
+  return error;
+}
+
+function _throwIfAborted({signal}) {
+  if(signal?.aborted) {
+    throw signal.reason;
+  }
+}
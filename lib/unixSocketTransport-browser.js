@@ -0,0 +1,7 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+export function createUnixSocketTransport() {
+  throw new Error(
+    '"createUnixSocketTransport" is not supported in the browser.');
+}
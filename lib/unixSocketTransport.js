@@ -0,0 +1,87 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createHttpError, createResponse} from './transports.js';
+import http from 'node:http';
+
+/**
+ * Creates a transport that sends zcap invocations as HTTP requests over a
+ * Unix domain socket, e.g., to a local daemon. The path and query of each
+ * invocation's URL are requested via the socket and its host is sent in
+ * the signed `host` header; the invocation targets of such services are
+ * typically `http://localhost` URLs, which require the `ZcapClient` to be
+ * created with `allowInsecureLocalhost` when invoking root zcaps by ID.
+ * This transport is only available in node.js.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.socketPath - The path of the Unix domain socket.
+ *
+ * @returns {object} - The transport.
+ */
+export function createUnixSocketTransport({socketPath} = {}) {
+  if(typeof socketPath !== 'string') {
+    throw new TypeError('"socketPath" must be a string.');
+  }
+  return {
+    async send({url, method, headers, json, body, signal} = {}) {
+      const {host, pathname, search} = new URL(url);
+      headers = {host, ...headers};
+      let data;
+      if(json !== undefined) {
+        data = JSON.stringify(json);
+        headers['content-type'] = headers['content-type'] ??
+          'application/json';
+      } else if(body !== undefined) {
+        data = body instanceof Uint8Array ?
+          body : new Uint8Array(await body.arrayBuffer());
+      }
+
+      return new Promise((resolve, reject) => {
+        const request = http.request({
+          socketPath, method: method.toUpperCase(), path: pathname + search,
+          headers, signal
+        }, async res => {
+          try {
+            const chunks = [];
+            for await (const chunk of res) {
+              chunks.push(chunk);
+            }
+            const text = Buffer.concat(chunks).toString('utf8');
+            const response = createResponse({
+              url, status: res.statusCode,
+              headers: _getHeaders({res}),
+              data: res.headers['content-type']?.includes('json') && text ?
+                JSON.parse(text) : undefined
+            });
+            if(response.ok) {
+              resolve(response);
+            } else {
+              reject(createHttpError({response}));
+            }
+          } catch(e) {
+            reject(e);
+          }
+        });
+        request.on('error', cause => {
+          if(signal?.aborted) {
+            reject(signal.reason);
+            return;
+          }
+          const error = new TypeError(
+            `Could not send a request to "${url}" via "${socketPath}".`);
+          error.cause = cause;
+          reject(error);
+        });
+        request.end(data);
+      });
+    }
+  };
+}
+
+function _getHeaders({res}) {
+  const headers = new Headers();
+  for(const [name, value] of Object.entries(res.headers)) {
+    [].concat(value).forEach(value => headers.append(name, value));
+  }
+  return headers;
+}
@@ -1,30 +1,50 @@
 /*!
- * Copyright (c) 2021-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
  */
-import {constants} from '@digitalbazaar/zcap';
+import {
+  constants, createRootCapability as createZcapRootCapability
+} from '@digitalbazaar/zcap';
+import {createDocumentLoader} from './documentLoader.js';
 import {v4 as uuid} from 'uuid';
 
 const {ZCAP_ROOT_PREFIX} = constants;
 
+// signature algorithms of key types whose signers do not express one; Data
+// Integrity cryptosuites require it
+export const KEY_TYPE_ALGORITHMS = new Map([
+  ['Ed25519VerificationKey2018', 'Ed25519'],
+  ['Ed25519VerificationKey2020', 'Ed25519']
+]);
+
 /**
- * Retrieves the first set of capability invocation and delegation signers
- * associated with the `didDocument` from the `keyPairs`.
+ * Retrieves a set of capability invocation and delegation signers
+ * associated with the `didDocument` from the `keyPairs`. For each of the
+ * `capabilityInvocation` and `capabilityDelegation` verification
+ * relationships, the first key that matches the given key selector (if any)
+ * and that has a key pair in `keyPairs` is used. An error is thrown if a
+ * key selector is given but no key with a key pair matches it.
  *
  * @param {object} options - The options to use.
  * @param {string} options.didDocument - A DID Document containing
  *   verification relationships for capability invocation and delegation.
  * @param {string} options.keyPairs - A map containing keypairs indexed by
  *   key ID.
+ * @param {string|Function} [options.invocationKey] - The ID of the key to
+ *   use for capability invocation or a function that is passed
+ *   `{id, verificationMethod, keyPair}` and returns `true` if the key may
+ *   be used. Default: any key.
+ * @param {string|Function} [options.delegationKey] - The ID of the key to
+ *   use for capability delegation or a function that is passed
+ *   `{id, verificationMethod, keyPair}` and returns `true` if the key may
+ *   be used. Default: any key.
  *
  * @returns {object} - A valid `invocationSigner` and `delegationSigner`
  *   associated with the didDocument.
  */
-export function getCapabilitySigners({didDocument, keyPairs}) {
+export function getCapabilitySigners({
+  didDocument, keyPairs, invocationKey, delegationKey
+}) {
   const {capabilityDelegation, capabilityInvocation} = didDocument;
-  const capabilityDelegationId = (typeof capabilityDelegation[0] === 'string') ?
-    capabilityDelegation[0] : capabilityDelegation[0].id;
-  const capabilityInvocationId = (typeof capabilityInvocation[0] === 'string') ?
-    capabilityInvocation[0] : capabilityInvocation[0].id;
 
   // ensure didDocument and keyPairs contain the information necessary
   if(!(capabilityDelegation || capabilityInvocation)) {
@@ -32,49 +52,92 @@ export function getCapabilitySigners({didDocument, keyPairs}) {
       'didDocument must include "capabilityInvocation" or ' +
       '"capabilityDelegation" properties.');
   }
-  if(capabilityDelegation && !capabilityDelegationId) {
-    throw new Error(
-      'Could not determine didDocument capabilityDelegation identifier.');
-  }
-  if(capabilityInvocation && !capabilityInvocationId) {
-    throw new Error(
-      'Could not determine didDocument capabilityInvocation identifier.');
-  }
 
-  let delegationKeyPair;
-  if(capabilityDelegation) {
-    delegationKeyPair = keyPairs.get(capabilityDelegationId);
-  }
+  const delegationKeys = _getRelationshipKeys(
+    {didDocument, relationship: 'capabilityDelegation'});
+  const invocationKeys = _getRelationshipKeys(
+    {didDocument, relationship: 'capabilityInvocation'});
 
-  let invocationKeyPair;
-  if(capabilityInvocation) {
-    invocationKeyPair = keyPairs.get(capabilityInvocationId);
-  }
+  const delegation = _selectKey({
+    keys: delegationKeys, keyPairs, select: delegationKey,
+    name: 'delegationKey', relationship: 'capabilityDelegation'
+  });
+  const invocation = _selectKey({
+    keys: invocationKeys, keyPairs, select: invocationKey,
+    name: 'invocationKey', relationship: 'capabilityInvocation'
+  });
 
-  if(!(delegationKeyPair || invocationKeyPair)) {
+  if(!(delegation || invocation)) {
+    const delegationIds = delegationKeys.map(({id}) => id).join(', ');
+    const invocationIds = invocationKeys.map(({id}) => id).join(', ');
     throw new Error(
-      `didDocument keyPairs contains neither capabilityDelegation key ` +
-      `(${capabilityDelegationId}) nor capabilityInvocation key ` +
-      `(${capabilityInvocationId}).`);
+      `didDocument keyPairs contains neither a matching ` +
+      `capabilityDelegation key (${delegationIds}) nor a matching ` +
+      `capabilityInvocation key (${invocationIds}).`);
   }
 
   let delegationSigner;
-  if(delegationKeyPair) {
-    delegationSigner = delegationKeyPair.signer();
-    delegationSigner.id = capabilityDelegationId;
-    delegationSigner.controller = didDocument.id;
+  if(delegation) {
+    delegationSigner = _createSigner(
+      {...delegation, controller: didDocument.id});
   }
 
   let invocationSigner;
-  if(invocationKeyPair) {
-    invocationSigner = invocationKeyPair.signer();
-    invocationSigner.id = capabilityInvocationId;
-    invocationSigner.controller = didDocument.id;
+  if(invocation) {
+    invocationSigner = _createSigner(
+      {...invocation, controller: didDocument.id});
   }
 
   return {invocationSigner, delegationSigner};
 }
 
+/**
+ * Creates a root capability (zcap) object for an invocation target, e.g.,
+ * to express which controller(s) a service's resource has when delegating
+ * from it or when returning it from a `documentLoader`. Its ID is
+ * `urn:zcap:root:` followed by the URL-encoded invocation target.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.invocationTarget - The invocation target; an
+ *   absolute URI.
+ * @param {string|Array<string>} options.controller - The controller(s) of
+ *   the root capability; each an absolute URI, e.g., a DID.
+ *
+ * @returns {object} - The root capability.
+ */
+export function createRootCapability({invocationTarget, controller} = {}) {
+  if(!(typeof invocationTarget === 'string' &&
+    invocationTarget.includes(':'))) {
+    throw new Error(
+      '"invocationTarget" must be a string expressing an absolute URI.');
+  }
+  checkController({controller});
+  return createZcapRootCapability({controller, invocationTarget});
+}
+
+/**
+ * Checks that a zcap controller is an absolute URI or a non-empty array of
+ * them, as the zcap data model allows multiple controllers.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {string|Array<string>} options.controller - The controller(s).
+ *
+ * @throws {Error} - If the controller is invalid.
+ */
+export function checkController({controller}) {
+  if(Array.isArray(controller)) {
+    if(!(controller.length > 0 && controller.every(_isAbsoluteUri))) {
+      throw new Error(
+        '"controller" must be a non-empty array of strings expressing ' +
+        'absolute URIs.');
+    }
+  } else if(!_isAbsoluteUri(controller)) {
+    throw new Error(
+      '"controller" must be a string expressing an absolute URI.');
+  }
+}
+
 /**
  * Generate a zcap URI given a root capability URL or a delegated flag.
  *
@@ -89,3 +152,153 @@ export async function generateZcapUri({url} = {}) {
   }
   return `urn:uuid:${uuid()}`;
 }
+
+/**
+ * Creates a document loader that can load the contexts required by the given
+ * suite class and the contexts and DID documents that `createDocumentLoader()`
+ * loads offline, e.g., `did:key` DIDs. If a `documentLoader` is given, it is
+ * returned as-is.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {Function} [options.SuiteClass] - The LD signature suite class; its
+ *   context is included if it expresses it.
+ * @param {Function} [options.documentLoader] - An optional document loader.
+ *
+ * @returns {Function} - A document loader.
+ */
+export function createSuiteDocumentLoader({SuiteClass, documentLoader} = {}) {
+  if(documentLoader) {
+    return documentLoader;
+  }
+  const documents = new Map();
+  if(SuiteClass?.CONTEXT && SuiteClass?.CONTEXT_URL) {
+    documents.set(SuiteClass.CONTEXT_URL, SuiteClass.CONTEXT);
+  }
+  return createDocumentLoader({documents});
+}
+
+/**
+ * Creates a document loader that generates root capabilities using the
+ * controller returned from `getRootController` and passes all other URLs
+ * to the given `documentLoader`.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {Function} options.documentLoader - The document loader to extend.
+ * @param {Function} options.getRootController - An async function that is
+ *   passed `{rootCapabilityId, rootInvocationTarget}` and returns the
+ *   controller of the identified root capability.
+ *
+ * @returns {Function} - A document loader.
+ */
+export function createRootCapabilityLoader({
+  documentLoader, getRootController
+} = {}) {
+  return async function rootCapabilityLoader(url) {
+    if(!url.startsWith(ZCAP_ROOT_PREFIX)) {
+      return documentLoader(url);
+    }
+    const rootInvocationTarget = decodeURIComponent(
+      url.substring(ZCAP_ROOT_PREFIX.length));
+    const controller = await getRootController(
+      {rootCapabilityId: url, rootInvocationTarget});
+    return {
+      contextUrl: null,
+      documentUrl: url,
+      document: createZcapRootCapability({
+        controller, invocationTarget: rootInvocationTarget
+      })
+    };
+  };
+}
+
+/**
+ * Retrieves the delegation proof(s) for a capability that is associated with
+ * its parent capability. A capability that has no parent or no associated
+ * delegation proofs will cause this function to return an empty array.
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {object} options.capability - The authorization capability.
+ *
+ * @returns {object} Any `capabilityDelegation` proof objects attached to the
+ *   given capability.
+ */
+export function getDelegationProofs({capability}) {
+  // capability is root or capability has no `proof`, then it has no relevant
+  // delegation proofs
+  if(!capability.parentCapability || !capability.proof) {
+    return [];
+  }
+  let {proof} = capability;
+  if(!Array.isArray(proof)) {
+    proof = [proof];
+  }
+  return proof.filter(p => p && p.proofPurpose === 'capabilityDelegation');
+}
+
+function _getRelationshipKeys({didDocument, relationship}) {
+  const value = didDocument[relationship];
+  if(value === undefined) {
+    return [];
+  }
+  return [].concat(value).map(verificationMethod => {
+    const id = typeof verificationMethod === 'string' ?
+      verificationMethod : verificationMethod?.id;
+    if(!id) {
+      throw new Error(
+        `Could not determine didDocument ${relationship} identifier.`);
+    }
+    return {id, verificationMethod};
+  });
+}
+
+function _selectKey({keys, keyPairs, select, name, relationship}) {
+  if(select !== undefined &&
+    !(typeof select === 'string' || typeof select === 'function')) {
+    throw new TypeError(`"${name}" must be a key ID or a function.`);
+  }
+  const key = _findKey({keys, keyPairs, select});
+  // an explicitly selected key must exist rather than silently be omitted
+  if(!key && select !== undefined) {
+    const ids = keys.map(({id}) => id).join(', ');
+    throw new Error(
+      `"${name}" does not match any ${relationship} key that has a key ` +
+      `pair (${ids}).`);
+  }
+  return key;
+}
+
+function _findKey({keys, keyPairs, select}) {
+  // fall back to the next matching key if there is no key pair for a key
+  for(const {id, verificationMethod} of keys) {
+    const keyPair = keyPairs.get(id);
+    if(!keyPair) {
+      continue;
+    }
+    if(typeof select === 'string' && id !== select) {
+      continue;
+    }
+    if(typeof select === 'function' &&
+      !select({id, verificationMethod, keyPair})) {
+      continue;
+    }
+    return {id, keyPair};
+  }
+}
+
+function _createSigner({id, keyPair, controller}) {
+  const signer = keyPair.signer();
+  signer.id = id;
+  signer.controller = controller;
+  if(signer.algorithm === undefined &&
+    KEY_TYPE_ALGORITHMS.has(keyPair.type)) {
+    signer.algorithm = KEY_TYPE_ALGORITHMS.get(keyPair.type);
+  }
+  return signer;
+}
+
+function _isAbsoluteUri(value) {
+  return typeof value === 'string' && value.includes(':');
+}
@@ -0,0 +1,62 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as didKey from '@digitalbazaar/did-method-key';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import dataIntegrityContext from '@digitalbazaar/data-integrity-context';
+import {extendDocumentLoader} from '@digitalbazaar/zcap';
+import jsigs from 'jsonld-signatures';
+
+export const didKeyDriver = didKey.driver();
+
+// documents, e.g., DID documents, that `createDocumentLoader` loaders load
+const documents = new Map(dataIntegrityContext.contexts);
+
+// creates a document loader that loads `SuiteClass` and Data Integrity
+// contexts, resolves `did:key` DIDs and verification methods, and loads
+// DID documents created by `generateEcdsaDid`
+export function createDocumentLoader({SuiteClass} = {}) {
+  return extendDocumentLoader(async function documentLoader(url) {
+    if(url === SuiteClass?.CONTEXT_URL) {
+      return {
+        contextUrl: null,
+        document: SuiteClass.CONTEXT,
+        documentUrl: url,
+        tag: 'static'
+      };
+    }
+    if(documents.has(url)) {
+      return {contextUrl: null, document: documents.get(url), documentUrl: url};
+    }
+    if(url.startsWith('did:key:')) {
+      const document = await didKeyDriver.get({url});
+      return {contextUrl: null, document, documentUrl: url};
+    }
+    return jsigs.strictDocumentLoader(url);
+  });
+}
+
+// generates a `did:example` DID document with an ECDSA key for the given
+// curve; the DID document and key are loadable via `createDocumentLoader`
+export async function generateEcdsaDid({curve = 'P-256'} = {}) {
+  const did = `did:example:${curve}:${globalThis.crypto.randomUUID()}`;
+  const keyPair = await EcdsaMultikey.generate(
+    {curve, id: `${did}#key-1`, controller: did});
+  const verificationMethod = await keyPair.export({publicKey: true});
+  const didDocument = {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/multikey/v1'
+    ],
+    id: did,
+    verificationMethod: [verificationMethod],
+    capabilityInvocation: [keyPair.id],
+    capabilityDelegation: [keyPair.id]
+  };
+  documents.set(did, didDocument);
+  documents.set(keyPair.id, {
+    '@context': 'https://w3id.org/security/multikey/v1',
+    ...verificationMethod
+  });
+  return {didDocument, keyPairs: new Map([[keyPair.id, keyPair]])};
+}
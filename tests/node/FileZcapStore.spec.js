@@ -0,0 +1,68 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+import {FileZcapStore} from '../../lib/index.js';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+chai.should();
+const {expect} = chai;
+
+describe('FileZcapStore', () => {
+  let dir;
+  let file;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ezcap-'));
+    file = path.join(dir, 'zcaps.json');
+  });
+  afterEach(async () => {
+    await fs.rm(dir, {recursive: true, force: true});
+  });
+
+  it('should persist zcaps to a JSON file', async () => {
+    const zcap = {
+      id: 'urn:uuid:1',
+      invocationTarget: 'https://zcap.example/items',
+      expires: new Date(Date.now() + 60 * 1000).toISOString()
+    };
+    const store = new FileZcapStore({path: file});
+    (await store.getAll()).should.have.length(0);
+    await store.save({capability: zcap});
+
+    JSON.parse(await fs.readFile(file, 'utf8')).should.eql([zcap]);
+
+    const reopened = new FileZcapStore({path: file});
+    (await reopened.get({id: zcap.id})).should.eql(zcap);
+    (await reopened.find({
+      url: 'https://zcap.example/items/1', action: 'read'
+    })).should.eql(zcap);
+
+    (await reopened.delete({id: zcap.id})).should.equal(true);
+    JSON.parse(await fs.readFile(file, 'utf8')).should.eql([]);
+  });
+  it('should serialize concurrent saves', async () => {
+    const store = new FileZcapStore({path: file});
+    await Promise.all([1, 2, 3].map(i => store.save({
+      capability: {id: `urn:uuid:${i}`}
+    })));
+    const reopened = new FileZcapStore({path: file});
+    (await reopened.getAll()).should.have.length(3);
+  });
+  it('should throw if the file does not contain an array', async () => {
+    await fs.writeFile(file, '{}');
+    const store = new FileZcapStore({path: file});
+    let err;
+    try {
+      await store.getAll();
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+
+    // the file is read again once it is fixed
+    await fs.writeFile(file, '[]');
+    (await store.getAll()).should.have.length(0);
+  });
+});
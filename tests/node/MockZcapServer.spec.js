@@ -0,0 +1,167 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {MockZcapServer} from '../../lib/testing.js';
+import {ZcapClient} from '../../lib/index.js';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+describe('MockZcapServer', () => {
+  let server;
+  let baseUrl;
+  let rootClient;
+  let rootDid;
+  let delegateClient;
+  let delegateDid;
+  before(async () => {
+    ({client: rootClient, did: rootDid} = await _createClient());
+    ({client: delegateClient, did: delegateDid} = await _createClient());
+    server = new MockZcapServer({
+      rootController: rootDid,
+      SuiteClass,
+      documentLoader: createDocumentLoader({SuiteClass})
+    });
+    baseUrl = await server.start();
+  });
+  after(async () => {
+    await server.close();
+  });
+  beforeEach(() => {
+    server.reset();
+    server.clockOffset = 0;
+  });
+
+  it('should verify and record a read', async () => {
+    const url = `${baseUrl}/items`;
+    const response = await rootClient.read({url});
+    response.status.should.equal(200);
+    response.data.should.eql({
+      invoker: rootDid,
+      action: 'read',
+      capability: 'urn:zcap:root:' + encodeURIComponent(url)
+    });
+
+    server.invocations.should.have.length(1);
+    const [invocation] = server.invocations;
+    invocation.method.should.equal('GET');
+    invocation.url.should.equal(url);
+    invocation.verified.should.equal(true);
+    invocation.invoker.should.equal(rootDid);
+    invocation.status.should.equal(200);
+  });
+  it('should verify a write with a delegated zcap', async () => {
+    const capability = await rootClient.delegate({
+      invocationTarget: `${baseUrl}/items`, controller: delegateDid,
+      allowedActions: ['write']
+    });
+    const json = {label: 'Widget'};
+    const response = await delegateClient.write(
+      {url: `${baseUrl}/items/123`, capability, json});
+    response.status.should.equal(200);
+
+    const [invocation] = server.invocations;
+    invocation.verified.should.equal(true);
+    invocation.invoker.should.equal(delegateDid);
+    invocation.action.should.equal('write');
+    invocation.capability.id.should.equal(capability.id);
+    invocation.json.should.eql(json);
+  });
+  it('should verify a request with a binary body', async () => {
+    const response = await rootClient.request({
+      url: `${baseUrl}/files`, method: 'put', action: 'write',
+      body: new Uint8Array([1, 2, 3]), contentType: 'application/x-example'
+    });
+    response.status.should.equal(200);
+
+    const [invocation] = server.invocations;
+    invocation.verified.should.equal(true);
+    invocation.body.should.eql(new Uint8Array([1, 2, 3]));
+  });
+  it('should reject and record an unauthorized invocation', async () => {
+    let err;
+    try {
+      await delegateClient.read({url: `${baseUrl}/items`});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.status.should.equal(403);
+
+    const [invocation] = server.invocations;
+    invocation.verified.should.equal(false);
+    invocation.error.name.should.equal('NotAllowedError');
+    invocation.status.should.equal(403);
+  });
+  it('should inject faults', async () => {
+    server.injectFault({status: 503, count: 2});
+
+    const response = await rootClient.read({url: `${baseUrl}/items`});
+    response.status.should.equal(200);
+    server.invocations.map(({status}) => status).should.eql([503, 503, 200]);
+
+    server.injectFault({status: 401});
+    let err;
+    try {
+      await rootClient.read({url: `${baseUrl}/items`});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.status.should.equal(401);
+  });
+  it('should simulate clock skew', async () => {
+    server.clockOffset = 60 * 60 * 1000;
+    const {client} = await _createClient();
+
+    let err;
+    try {
+      await client.read({url: `${baseUrl}/items`});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.status.should.equal(403);
+
+    // a client that compensates for clock skew succeeds
+    const compensatingClient = new ZcapClient({
+      SuiteClass, invocationSigner: rootClient.invocationSigner,
+      compensateClockSkew: true
+    });
+    const response = await compensatingClient.read(
+      {url: `${baseUrl}/items`});
+    response.status.should.equal(200);
+    server.invocations.at(-1).verified.should.equal(true);
+  });
+  it('should use "respond" for verified invocations', async () => {
+    const respondingServer = new MockZcapServer({
+      rootController: rootDid,
+      SuiteClass,
+      documentLoader: createDocumentLoader({SuiteClass}),
+      respond: async ({invocation}) => ({
+        status: 201, json: {id: `${invocation.url}/1`}
+      })
+    });
+    const url = `${await respondingServer.start()}/items`;
+    try {
+      const response = await rootClient.write({url, json: {}});
+      response.status.should.equal(201);
+      response.data.id.should.equal(`${url}/1`);
+    } finally {
+      await respondingServer.close();
+    }
+  });
+});
+
+async function _createClient(options = {}) {
+  const {didDocument, keyPairs} = await didKeyDriver.generate();
+  const client = new ZcapClient({
+    SuiteClass, didDocument, keyPairs, retry: {minDelay: 10}, ...options
+  });
+  return {client, did: didDocument.id};
+}
@@ -0,0 +1,174 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import {RemoteKeyManager, ZcapClient} from '../../lib/index.js';
+import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {MockZcapServer} from '../../lib/testing.js';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+describe('RemoteKeyManager', () => {
+  let kms;
+  let keystoreUrl;
+  let kmsClient;
+  // the key pairs kept in the stand-in KMS by key name
+  const keyPairs = new Map();
+  before(async () => {
+    const {didDocument, keyPairs: clientKeyPairs} =
+      await didKeyDriver.generate();
+    kmsClient = new ZcapClient({
+      SuiteClass, didDocument, keyPairs: clientKeyPairs,
+      retry: {maxAttempts: 1}
+    });
+    for(const name of ['a', 'b']) {
+      const [keyPair] = (await didKeyDriver.generate()).keyPairs.values();
+      keyPairs.set(name, keyPair);
+    }
+    // a stand-in KMS that only allows `kmsClient` to use its keys
+    kms = new MockZcapServer({
+      rootController: didDocument.id,
+      SuiteClass,
+      documentLoader: createDocumentLoader({SuiteClass}),
+      getExpectedAction: ({method}) => method === 'GET' ? 'read' : 'sign',
+      respond: _respond
+    });
+    keystoreUrl = `${await kms.start()}/keystores/1`;
+  });
+  after(async () => {
+    await kms.close();
+  });
+  beforeEach(() => {
+    kms.reset();
+  });
+
+  it('should sign delegations with a remote key', async () => {
+    const keyManager = new RemoteKeyManager({zcapClient: kmsClient});
+    const signer = await keyManager.getSigner(
+      {keyId: `${keystoreUrl}/keys/a`});
+    const keyPair = keyPairs.get('a');
+    signer.id.should.equal(keyPair.id);
+    signer.controller.should.equal(keyPair.controller);
+    signer.algorithm.should.equal('Ed25519');
+
+    // a client that signs with the remote key
+    const zcapClient = new ZcapClient({
+      SuiteClass, invocationSigner: signer, delegationSigner: signer,
+      documentLoader: createDocumentLoader({SuiteClass})
+    });
+    const capability = await zcapClient.delegate({
+      invocationTarget: 'https://zcap.example/items',
+      controller: keyPair.controller
+    });
+    const report = await zcapClient.verifyCapabilityChain(
+      {capability, rootController: keyPair.controller});
+    report.verified.should.equal(true);
+
+    kms.invocations.map(({method, action}) => [method, action]).should.eql([
+      ['GET', 'read'], ['POST', 'sign']
+    ]);
+    kms.invocations[1].json.type.should.equal('SignOperation');
+  });
+  it('should cache and share key descriptions', async () => {
+    const keyManager = new RemoteKeyManager({zcapClient: kmsClient});
+    const keys = ['a', 'b', 'a', 'b', 'a'].map(
+      name => ({keyId: `${keystoreUrl}/keys/${name}`}));
+    const signers = await keyManager.getSigners({keys});
+    signers.map(({id}) => id).should.eql(
+      ['a', 'b', 'a', 'b', 'a'].map(name => keyPairs.get(name).id));
+    kms.invocations.should.have.length(2);
+
+    await keyManager.getSigner({keyId: `${keystoreUrl}/keys/a`});
+    kms.invocations.should.have.length(2);
+
+    keyManager.clearCache();
+    await keyManager.getSigner({keyId: `${keystoreUrl}/keys/a`});
+    kms.invocations.should.have.length(3);
+
+    const uncached = new RemoteKeyManager({zcapClient: kmsClient, cacheTtl: 0});
+    await uncached.getSigner({keyId: `${keystoreUrl}/keys/a`});
+    await uncached.getSigner({keyId: `${keystoreUrl}/keys/a`});
+    kms.invocations.should.have.length(5);
+  });
+  it('should use configured signer properties', async () => {
+    const keyManager = new RemoteKeyManager({zcapClient: kmsClient});
+    const signer = await keyManager.getSigner({
+      keyId: `${keystoreUrl}/keys/b`, id: 'did:example:1234#key-1',
+      controller: 'did:example:1234'
+    });
+    signer.id.should.equal('did:example:1234#key-1');
+    signer.controller.should.equal('did:example:1234');
+    signer.keyId.should.equal(`${keystoreUrl}/keys/b`);
+
+    const data = new TextEncoder().encode('test');
+    const signature = await signer.sign({data});
+    const verifier = keyPairs.get('b').verifier();
+    (await verifier.verify({data, signature})).should.equal(true);
+  });
+  it('should map errors', async () => {
+    const keyManager = new RemoteKeyManager({zcapClient: kmsClient});
+
+    let err = await _getError(() => keyManager.getKeyDescription(
+      {keyId: `${keystoreUrl}/keys/unknown`}));
+    err.name.should.equal('NotFoundError');
+    err.status.should.equal(404);
+    expect(err.cause).to.exist;
+
+    const {didDocument, keyPairs: otherKeyPairs} =
+      await didKeyDriver.generate();
+    const otherClient = new ZcapClient(
+      {SuiteClass, didDocument, keyPairs: otherKeyPairs});
+    err = await _getError(() => new RemoteKeyManager({
+      zcapClient: otherClient
+    }).getSigner({keyId: `${keystoreUrl}/keys/a`}));
+    err.name.should.equal('NotAllowedError');
+    err.status.should.equal(403);
+
+    const signer = await keyManager.getSigner(
+      {keyId: `${keystoreUrl}/keys/a`});
+    kms.injectFault({status: 500});
+    err = await _getError(() => signer.sign({data: new Uint8Array(1)}));
+    err.name.should.equal('OperationError');
+    err.status.should.equal(500);
+    err.message.should.include('Could not sign');
+
+    // failures are not cached
+    kms.injectFault({status: 503});
+    err = await _getError(() => keyManager.getKeyDescription(
+      {keyId: `${keystoreUrl}/keys/b`}));
+    err.name.should.equal('OperationError');
+    await keyManager.getKeyDescription({keyId: `${keystoreUrl}/keys/b`});
+  });
+
+  async function _respond({invocation}) {
+    const name = invocation.url.split('/').pop();
+    const keyPair = keyPairs.get(name);
+    if(!keyPair) {
+      return {status: 404, json: {name: 'NotFoundError'}};
+    }
+    if(invocation.method === 'GET') {
+      return {
+        json: await keyPair.export({publicKey: true, includeContext: true})
+      };
+    }
+    const {verifyData} = invocation.json;
+    const signature = await keyPair.signer().sign(
+      {data: Buffer.from(verifyData, 'base64url')});
+    return {
+      json: {signatureValue: Buffer.from(signature).toString('base64url')}
+    };
+  }
+});
+
+async function _getError(fn) {
+  try {
+    await fn();
+  } catch(e) {
+    return e;
+  }
+  throw new Error('Expected an error.');
+}
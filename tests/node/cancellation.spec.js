@@ -0,0 +1,170 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+import {didKeyDriver} from '../helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import http from 'node:http';
+import {ZcapClient} from '../../lib/index.js';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+describe('ZcapClient cancellation and concurrency', () => {
+  const servers = [];
+  const baseUrls = [];
+  let requests;
+  let active;
+  let maxActive;
+  let delay;
+  let onRequest;
+  let signatures;
+  let signer;
+  before(async () => {
+    for(let i = 0; i < 2; ++i) {
+      const server = http.createServer(async (req, res) => {
+        requests.push({url: `${baseUrls[i]}${req.url}`});
+        onRequest?.();
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        active--;
+        res.writeHead(200, {'content-type': 'application/json'});
+        res.end('{}');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      servers.push(server);
+      baseUrls.push(`http://127.0.0.1:${server.address().port}`);
+    }
+
+    const {keyPairs} = await didKeyDriver.generate();
+    const [keyPair] = keyPairs.values();
+    // counts the signed invocations
+    const keySigner = keyPair.signer();
+    signer = {
+      id: keySigner.id,
+      controller: keyPair.controller,
+      algorithm: keySigner.algorithm,
+      async sign(options) {
+        signatures++;
+        return keySigner.sign(options);
+      }
+    };
+  });
+  after(async () => {
+    for(const server of servers) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+  beforeEach(() => {
+    requests = [];
+    active = 0;
+    maxActive = 0;
+    delay = 0;
+    onRequest = undefined;
+    signatures = 0;
+  });
+
+  it('should not sign a request that is already cancelled', async () => {
+    const zcapClient = _createClient();
+    const controller = new AbortController();
+    controller.abort();
+    const err = await _getError(() => zcapClient.read(
+      {url: `${baseUrls[0]}/items`, signal: controller.signal}));
+    err.name.should.equal('AbortError');
+    signatures.should.equal(0);
+    requests.should.have.length(0);
+  });
+  it('should cancel a request that is in flight', async () => {
+    delay = 300;
+    const errors = [];
+    const zcapClient = _createClient({hooks: {error: ({error}) => {
+      errors.push(error);
+    }}});
+    const controller = new AbortController();
+    const reason = new Error('Cancelled.');
+    onRequest = () => controller.abort(reason);
+    const err = await _getError(() => zcapClient.write({
+      url: `${baseUrls[0]}/items`, json: {}, signal: controller.signal,
+      retry: {methods: ['post']}
+    }));
+    err.should.equal(reason);
+    errors.should.eql([reason]);
+    // cancelled requests are not retried
+    requests.should.have.length(1);
+  });
+  it('should time out requests', async () => {
+    delay = 300;
+    const zcapClient = _createClient({timeout: 50});
+    zcapClient.timeout.should.equal(50);
+    let err = await _getError(() => zcapClient.read(
+      {url: `${baseUrls[0]}/items`}));
+    err.name.should.equal('TimeoutError');
+
+    // the request's timeout overrides the client's
+    const response = await zcapClient.read(
+      {url: `${baseUrls[0]}/items`, timeout: 1000});
+    response.status.should.equal(200);
+
+    err = await _getError(() => _createClient().read(
+      {url: `${baseUrls[0]}/items`, timeout: 0}));
+    err.should.be.instanceof(TypeError);
+  });
+  it('should cancel all requests via the client signal', async () => {
+    delay = 300;
+    const controller = new AbortController();
+    const zcapClient = _createClient({signal: controller.signal});
+    onRequest = () => requests.length === 2 && controller.abort();
+    const errors = await Promise.all([0, 1].map(i => _getError(
+      () => zcapClient.read({url: `${baseUrls[i]}/items`}))));
+    errors.map(({name}) => name).should.eql(['AbortError', 'AbortError']);
+  });
+  it('should limit concurrent requests per host', async () => {
+    delay = 100;
+    const zcapClient = _createClient({maxConcurrency: 2});
+    const urls = [0, 1, 2, 3, 4].map(i => `${baseUrls[0]}/items/${i}`);
+    const otherUrls = [0, 1].map(i => `${baseUrls[1]}/items/${i}`);
+    const responses = await Promise.all(
+      [...urls, ...otherUrls].map(url => zcapClient.read({url})));
+    responses.should.have.length(7);
+    maxActive.should.equal(4);
+  });
+  it('should queue requests in order and skip cancelled ones', async () => {
+    delay = 100;
+    const zcapClient = _createClient({maxConcurrency: 1});
+    const controller = new AbortController();
+    // cancel the second request while it waits for the first
+    onRequest = () => controller.abort();
+    const first = zcapClient.read({url: `${baseUrls[0]}/items/1`});
+    const second = _getError(() => zcapClient.read(
+      {url: `${baseUrls[0]}/items/2`, signal: controller.signal}));
+    const third = zcapClient.read(
+      {url: `${baseUrls[0]}/items/3`, timeout: 1000});
+
+    (await second).name.should.equal('AbortError');
+    (await first).status.should.equal(200);
+    (await third).status.should.equal(200);
+    requests.map(({url}) => url).should.eql(
+      [`${baseUrls[0]}/items/1`, `${baseUrls[0]}/items/3`]);
+    signatures.should.equal(2);
+    maxActive.should.equal(1);
+  });
+
+  function _createClient(options) {
+    return new ZcapClient({
+      SuiteClass, invocationSigner: signer, retry: {minDelay: 10}, ...options
+    });
+  }
+});
+
+async function _getError(fn) {
+  try {
+    await fn();
+  } catch(e) {
+    expect(e).to.exist;
+    return e;
+  }
+  throw new Error('Expected an error.');
+}
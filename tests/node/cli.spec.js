@@ -0,0 +1,247 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import {mkdtemp, rm, writeFile} from 'node:fs/promises';
+import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {MockZcapServer} from '../../lib/testing.js';
+import os from 'node:os';
+import path from 'node:path';
+import {Readable} from 'node:stream';
+import {run} from '../../lib/cli.js';
+
+chai.should();
+
+const SuiteClass = Ed25519Signature2020;
+
+const ROOT_SEED = '01'.repeat(32);
+const DELEGATE_SEED = '02'.repeat(32);
+
+describe('ezcap CLI', () => {
+  let server;
+  let baseUrl;
+  let rootDid;
+  let delegateDid;
+  let dir;
+  before(async () => {
+    rootDid = await _getDid({seed: ROOT_SEED});
+    delegateDid = await _getDid({seed: DELEGATE_SEED});
+    server = new MockZcapServer({
+      rootController: rootDid,
+      SuiteClass,
+      documentLoader: createDocumentLoader({SuiteClass})
+    });
+    baseUrl = await server.start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'ezcap-cli-'));
+  });
+  after(async () => {
+    await server.close();
+    await rm(dir, {recursive: true, force: true});
+  });
+  beforeEach(() => {
+    server.reset();
+  });
+
+  it('should read and write with a root capability', async () => {
+    const url = `${baseUrl}/items`;
+    const read = await _run({args: ['read', url, '--seed', ROOT_SEED]});
+    read.code.should.equal(0);
+    // a seed given as an argument is visible to other processes
+    read.stderr.should.include('Warning: "--seed"');
+    JSON.parse(read.stdout).should.eql({
+      invoker: rootDid,
+      action: 'read',
+      capability: 'urn:zcap:root:' + encodeURIComponent(url)
+    });
+
+    const write = await _run({
+      args: ['write', url, '--data', '{"label":"Widget"}', '--json'],
+      env: {EZCAP_SEED: ROOT_SEED}
+    });
+    write.code.should.equal(0);
+    write.stderr.should.equal('');
+    const output = JSON.parse(write.stdout);
+    output.status.should.equal(200);
+    output.headers['content-type'].should.equal('application/json');
+    output.data.action.should.equal('write');
+    server.invocations.map(({action}) => action).should.eql(['read', 'write']);
+    server.invocations[1].json.should.eql({label: 'Widget'});
+  });
+  it('should delegate, inspect, and invoke a capability', async () => {
+    const delegated = await _run({args: [
+      'delegate', '--seed', ROOT_SEED, '--target', `${baseUrl}/items`,
+      '--controller', delegateDid, '--actions', 'read', '--expires', '1h'
+    ]});
+    delegated.code.should.equal(0);
+    const capability = JSON.parse(delegated.stdout);
+    capability.controller.should.equal(delegateDid);
+    capability.allowedAction.should.eql(['read']);
+    const expires = Date.parse(capability.expires);
+    expires.should.be.within(
+      Date.now() + 59 * 60 * 1000, Date.now() + 60 * 60 * 1000);
+
+    const file = path.join(dir, 'zcap.json');
+    await writeFile(file, delegated.stdout);
+    const inspected = await _run({
+      args: ['inspect', file, '--root-controller', rootDid, '--json']
+    });
+    inspected.code.should.equal(0);
+    const report = JSON.parse(inspected.stdout);
+    report.verified.should.equal(true);
+    report.chain.map(({id}) => id).should.eql(
+      [capability.parentCapability, capability.id]);
+    report.chain[1].delegator.should.include(rootDid);
+
+    const text = await _run({args: ['inspect', file]});
+    text.code.should.equal(0);
+    text.stdout.should.include('Capability chain (1 delegation):');
+    text.stdout.should.include(`controller: ${delegateDid}`);
+    text.stdout.should.include('Not verified');
+
+    const read = await _run({args: [
+      'request', `${baseUrl}/items/123`, '--capability', file,
+      '--seed', DELEGATE_SEED, '--header', 'x-example: 1'
+    ]});
+    read.code.should.equal(0);
+    const [invocation] = server.invocations;
+    invocation.verified.should.equal(true);
+    invocation.invoker.should.equal(delegateDid);
+    invocation.headers['x-example'].should.equal('1');
+  });
+  it('should delegate an encoded capability from stdin', async () => {
+    const parent = await _run({args: [
+      'delegate', '--seed', ROOT_SEED, '--target', `${baseUrl}/items`,
+      '--controller', rootDid, '--encode'
+    ]});
+    parent.code.should.equal(0);
+    parent.stdout.should.match(/^zcap1\.[A-Za-z0-9_-]+\n$/);
+
+    const child = await _run({
+      args: [
+        'delegate', '--seed', ROOT_SEED, '--capability', '-',
+        '--target', `${baseUrl}/items/123`, '--controller', delegateDid,
+        '--json'
+      ],
+      stdin: Readable.from([parent.stdout])
+    });
+    child.code.should.equal(0);
+    const capability = JSON.parse(child.stdout);
+    capability.invocationTarget.should.equal(`${baseUrl}/items/123`);
+    capability.proof.capabilityChain.should.have.length(2);
+  });
+  it('should load a key from a key file', async () => {
+    const {keyPairs} = await didKeyDriver.generate();
+    const [keyPair] = keyPairs.values();
+    const keyFile = path.join(dir, 'key.json');
+    await writeFile(keyFile, JSON.stringify(await keyPair.export(
+      {publicKey: true, privateKey: true, includeContext: true})));
+
+    const delegated = await _run({args: [
+      'delegate', '--key-file', keyFile, '--controller', delegateDid,
+      '--controller', keyPair.controller,
+      '--capability', 'urn:zcap:root:' + encodeURIComponent(baseUrl),
+      '--target', `${baseUrl}/items`
+    ]});
+    delegated.code.should.equal(0);
+    const capability = JSON.parse(delegated.stdout);
+    capability.proof.verificationMethod.should.equal(keyPair.id);
+    capability.controller.should.eql([delegateDid, keyPair.controller]);
+
+    const seedFile = path.join(dir, 'seed.json');
+    await writeFile(seedFile, JSON.stringify({seed: ROOT_SEED}));
+    const read = await _run(
+      {args: ['read', `${baseUrl}/items`, '--key-file', seedFile]});
+    read.code.should.equal(0);
+    server.invocations[0].invoker.should.equal(rootDid);
+  });
+  it('should fail if a chain cannot be verified', async () => {
+    const delegated = await _run({args: [
+      'delegate', '--seed', ROOT_SEED, '--target', `${baseUrl}/items`,
+      '--controller', delegateDid, '--encode'
+    ]});
+    const inspected = await _run({args: [
+      'inspect', delegated.stdout.trim(), '--root-controller', delegateDid
+    ]});
+    inspected.code.should.equal(1);
+    inspected.stdout.should.include('NOT verified:');
+  });
+  it('should report problems without a root controller', async () => {
+    const delegated = await _run({args: [
+      'delegate', '--seed', ROOT_SEED, '--target', `${baseUrl}/items`,
+      '--controller', delegateDid
+    ]});
+    const capability = JSON.parse(delegated.stdout);
+    capability.expires = new Date(Date.now() - 60 * 1000).toISOString();
+    const file = path.join(dir, 'expired.json');
+    await writeFile(file, JSON.stringify(capability));
+
+    const text = await _run({args: ['inspect', file]});
+    text.code.should.equal(1);
+    text.stdout.should.include('Problems:');
+    text.stdout.should.include(
+      `Capability "${capability.id}" expired at ${capability.expires}.`);
+
+    const json = await _run({args: ['inspect', file, '--json']});
+    json.code.should.equal(1);
+    const report = JSON.parse(json.stdout);
+    (report.verified === null).should.equal(true);
+    report.errors.should.have.length(1);
+  });
+  it('should report request errors', async () => {
+    const text = await _run(
+      {args: ['read', `${baseUrl}/items`, '--seed', DELEGATE_SEED]});
+    text.code.should.equal(1);
+    text.stdout.should.equal('');
+    text.stderr.should.include('Error: ');
+    text.stderr.should.include('NotAllowedError');
+
+    const json = await _run({
+      args: ['read', `${baseUrl}/items`, '--seed', DELEGATE_SEED, '--json']
+    });
+    json.code.should.equal(1);
+    const {error} = JSON.parse(json.stdout);
+    error.status.should.equal(403);
+    error.data.name.should.equal('NotAllowedError');
+  });
+  it('should report usage errors', async () => {
+    for(const args of [
+      [],
+      ['bogus'],
+      ['read', '--unknown'],
+      ['read', `${baseUrl}/items`],
+      ['read', `${baseUrl}/items`, '--seed', 'abcd'],
+      ['delegate', '--seed', ROOT_SEED, '--target', baseUrl],
+      [
+        'delegate', '--seed', ROOT_SEED, '--target', baseUrl,
+        '--controller', delegateDid, '--expires', 'tomorrow'
+      ],
+      ['inspect']
+    ]) {
+      const {code} = await _run({args});
+      code.should.equal(2, args.join(' '));
+    }
+    server.invocations.should.have.length(0);
+
+    const help = await _run({args: ['--help']});
+    help.code.should.equal(0);
+    help.stdout.should.include('Usage: ezcap <command> [options]');
+  });
+});
+
+async function _run({args, env = {}, stdin = Readable.from([])}) {
+  let stdout = '';
+  let stderr = '';
+  const code = await run({
+    args, env, stdin,
+    stdout: {write: chunk => stdout += chunk},
+    stderr: {write: chunk => stderr += chunk}
+  });
+  return {code, stdout, stderr};
+}
+
+async function _getDid({seed}) {
+  const {didDocument} = await didKeyDriver.generate(
+    {seed: Uint8Array.from(Buffer.from(seed, 'hex'))});
+  return didDocument.id;
+}
@@ -0,0 +1,95 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+import {didKeyDriver} from '../helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import http from 'node:http';
+import {ZcapClient} from '../../lib/index.js';
+
+chai.should();
+const {expect} = chai;
+
+// the server's clock is one hour ahead of the local clock
+const SERVER_CLOCK_OFFSET = 60 * 60 * 1000;
+
+describe('ZcapClient clock skew compensation', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let didDocument;
+  let keyPairs;
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.headers);
+      // reject signatures created more than 5 minutes from the server time
+      const serverNow = Date.now() + SERVER_CLOCK_OFFSET;
+      const created = Number.parseInt(
+        req.headers.authorization.match(/created="(\d+)"/)[1], 10);
+      const status = Math.abs(created * 1000 - serverNow) > 5 * 60 * 1000 ?
+        401 : 200;
+      res.writeHead(status, {date: new Date(serverNow).toUTCString()});
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    ({didDocument, keyPairs} = await didKeyDriver.generate());
+  });
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('should re-sign a request rejected due to clock skew', async () => {
+    const zcapClient = new ZcapClient({
+      SuiteClass: Ed25519Signature2020, didDocument, keyPairs,
+      compensateClockSkew: true
+    });
+
+    const response = await zcapClient.read({url: `${baseUrl}/items`});
+    response.status.should.equal(200);
+    requests.should.have.length(2);
+    Math.abs(zcapClient.getClockOffset({url: baseUrl}) - SERVER_CLOCK_OFFSET)
+      .should.be.below(2000);
+
+    // later requests to the same origin use the learned offset
+    await zcapClient.read({url: `${baseUrl}/items`});
+    requests.should.have.length(3);
+  });
+  it('should only apply a learned offset to its origin', async () => {
+    const zcapClient = new ZcapClient({
+      SuiteClass: Ed25519Signature2020, didDocument, keyPairs,
+      compensateClockSkew: true
+    });
+    await zcapClient.read({url: `${baseUrl}/items`});
+
+    // other origins and delegations use the local clock
+    zcapClient.clockOffset.should.equal(0);
+    zcapClient.getClockOffset({url: 'https://other.example/items'})
+      .should.equal(0);
+    const capability = await zcapClient.delegate({
+      invocationTarget: `${baseUrl}/items`,
+      controller: 'did:key:z6MkogR2ZPr4ZGvLV2wZ7cWUamNMhpg3bkVeXARDBrKQVn2c'
+    });
+    const created = Date.parse(capability.proof.created);
+    Math.abs(created - Date.now()).should.be.below(5000);
+  });
+  it('should not compensate by default', async () => {
+    const zcapClient = new ZcapClient({
+      SuiteClass: Ed25519Signature2020, didDocument, keyPairs
+    });
+
+    let err;
+    try {
+      await zcapClient.read({url: `${baseUrl}/items`});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.status.should.equal(401);
+    requests.should.have.length(1);
+    zcapClient.getClockOffset({url: baseUrl}).should.equal(0);
+  });
+});
@@ -0,0 +1,259 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createTracingHooks, ZcapClient} from '../../lib/index.js';
+import chai from 'chai';
+import {didKeyDriver} from '../helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import http from 'node:http';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+describe('ZcapClient hooks', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+  let didDocument;
+  let keyPairs;
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({method: req.method, headers: req.headers});
+      const {status} = responses.shift() || {status: 200};
+      res.writeHead(status, {'content-type': 'application/json'});
+      res.end(JSON.stringify({status}));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    ({didDocument, keyPairs} = await didKeyDriver.generate());
+  });
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+  });
+
+  it('should run request hooks in order', async () => {
+    const calls = [];
+    const zcapClient = new ZcapClient({
+      SuiteClass, didDocument, keyPairs, retry: {minDelay: 10},
+      hooks: {
+        beforeSign: context => {
+          calls.push(['beforeSign', context.attempt]);
+          context.headers['x-trace-id'] = 'abc';
+        },
+        afterSign: context => {
+          calls.push(['afterSign', context.attempt]);
+          expect(context.headers.authorization).to.be.a('string');
+          context.headers['x-signed-at'] = 'now';
+        },
+        response: ({response, duration}) => {
+          calls.push(['response', response.status]);
+          duration.should.be.a('number');
+        }
+      }
+    });
+    responses.push({status: 503});
+
+    const url = `${baseUrl}/items`;
+    await zcapClient.read({url});
+    calls.should.eql([
+      ['beforeSign', 1], ['afterSign', 1],
+      ['beforeSign', 2], ['afterSign', 2],
+      ['response', 200]
+    ]);
+    requests.should.have.length(2);
+    for(const {headers} of requests) {
+      headers['x-trace-id'].should.equal('abc');
+      headers['x-signed-at'].should.equal('now');
+    }
+  });
+  it('should run the error hook once', async () => {
+    const errors = [];
+    const zcapClient = new ZcapClient({
+      SuiteClass, didDocument, keyPairs,
+      hooks: {error: [({error}) => errors.push(error)]}
+    });
+    responses.push({status: 404});
+
+    let err;
+    try {
+      await zcapClient.read({url: `${baseUrl}/items`});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    errors.should.eql([err]);
+  });
+  it('should run the error hook for invalid requests', async () => {
+    const errors = [];
+    const zcapClient = new ZcapClient({
+      SuiteClass, didDocument, keyPairs,
+      hooks: {error: [({error}) => errors.push(error)]}
+    });
+    const capability = await zcapClient.delegate({
+      invocationTarget: `${baseUrl}/items`, controller: didDocument.id,
+      allowedActions: ['read']
+    });
+
+    const failures = [
+      () => zcapClient.write({capability, json: {}}),
+      () => zcapClient.read({capability: 'zcap1.invalid'}),
+      () => zcapClient.read({url: `${baseUrl}/items`, timeout: -1})
+    ];
+    const errs = [];
+    for(const fail of failures) {
+      try {
+        await fail();
+      } catch(e) {
+        errs.push(e);
+      }
+    }
+    errs.should.have.length(3);
+    errs[0].name.should.equal('NotAllowedError');
+    errors.should.eql(errs);
+    requests.should.have.length(0);
+  });
+  it('should not mask the request error if an error hook throws', async () => {
+    const zcapClient = new ZcapClient({
+      SuiteClass, didDocument, keyPairs,
+      hooks: {
+        error: [() => {
+          throw new Error('Hook failed.');
+        }, ({error}) => {
+          error.handled = true;
+        }]
+      }
+    });
+    responses.push({status: 404});
+
+    let err;
+    try {
+      await zcapClient.read({url: `${baseUrl}/items`});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.status.should.equal(404);
+    err.handled.should.equal(true);
+  });
+  it('should fail a request if a hook throws', async () => {
+    const zcapClient = new ZcapClient({SuiteClass, didDocument, keyPairs});
+    const remove = zcapClient.addHook({
+      name: 'beforeSign',
+      hook: () => {
+        throw new Error('Denied.');
+      }
+    });
+
+    let err;
+    try {
+      await zcapClient.read({url: `${baseUrl}/items`});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.message.should.equal('Denied.');
+    requests.should.have.length(0);
+
+    remove();
+    zcapClient.removeHook({name: 'beforeSign', hook: remove}).should.equal(
+      false);
+    await zcapClient.read({url: `${baseUrl}/items`});
+    requests.should.have.length(1);
+  });
+  it('should run the delegation hook', async () => {
+    const delegations = [];
+    const zcapClient = new ZcapClient({SuiteClass, didDocument, keyPairs});
+    zcapClient.addHook({
+      name: 'delegation', hook: context => delegations.push(context)
+    });
+
+    const capability = await zcapClient.delegate({
+      invocationTarget: `${baseUrl}/items`, controller: didDocument.id
+    });
+    delegations.should.have.length(1);
+    delegations[0].capability.should.equal(capability);
+    delegations[0].parentCapability.should.equal(capability.parentCapability);
+  });
+  it('should throw if a hook name is unknown', async () => {
+    let err;
+    try {
+      new ZcapClient({
+        SuiteClass, didDocument, keyPairs, hooks: {beforeSend: () => {}}
+      });
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.be.an.instanceOf(TypeError);
+  });
+
+  describe('createTracingHooks', () => {
+    it('should record a span for each request', async () => {
+      const spans = [];
+      const tracer = {
+        startSpan(name, {attributes}) {
+          const span = {
+            name, attributes: {...attributes}, exceptions: [],
+            setAttribute(key, value) {
+              this.attributes[key] = value;
+            },
+            setStatus(status) {
+              this.status = status;
+            },
+            recordException(error) {
+              this.exceptions.push(error);
+            },
+            end() {
+              this.ended = true;
+            }
+          };
+          spans.push(span);
+          return span;
+        }
+      };
+      const zcapClient = new ZcapClient({
+        SuiteClass, didDocument, keyPairs,
+        hooks: createTracingHooks({tracer})
+      });
+      responses.push({status: 200}, {status: 403});
+
+      const url = `${baseUrl}/items`;
+      await zcapClient.read({url});
+      let err;
+      try {
+        await zcapClient.write({url, json: {}});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+
+      spans.should.have.length(2);
+      const [read, write] = spans;
+      read.name.should.equal('zcap.request');
+      read.ended.should.equal(true);
+      read.status.should.eql({code: 1});
+      read.attributes.should.include({
+        'zcap.capability.id': 'urn:zcap:root:' + encodeURIComponent(url),
+        'zcap.action': 'read',
+        'zcap.invocation_target': url,
+        'http.request.method': 'GET',
+        'url.full': url,
+        'http.response.status_code': 200,
+        'zcap.attempts': 1
+      });
+      read.attributes['zcap.latency_ms'].should.be.a('number');
+      read.attributes['zcap.signing_time_ms'].should.be.a('number');
+      write.ended.should.equal(true);
+      write.status.code.should.equal(2);
+      write.attributes['zcap.action'].should.equal('write');
+      write.attributes['http.response.status_code'].should.equal(403);
+      write.exceptions.should.eql([err]);
+    });
+  });
+});
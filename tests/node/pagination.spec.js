@@ -0,0 +1,211 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {MockZcapServer} from '../../lib/testing.js';
+import {ZcapClient} from '../../lib/index.js';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+// the items of the paginated collection served by the mock server
+const ITEMS = ['a', 'b', 'c', 'd', 'e'];
+const PAGE_SIZE = 2;
+
+describe('ZcapClient.paginate()', () => {
+  let server;
+  let baseUrl;
+  let rootClient;
+  let delegateClient;
+  let delegateDid;
+  // how each page links to the next: `link`, `next`, `cursor`, `loop`, or
+  // `{next}` for a fixed next page URL
+  let style;
+  before(async () => {
+    let rootDid;
+    ({client: rootClient, did: rootDid} = await _createClient());
+    ({client: delegateClient, did: delegateDid} = await _createClient());
+    server = new MockZcapServer({
+      rootController: rootDid,
+      SuiteClass,
+      documentLoader: createDocumentLoader({SuiteClass}),
+      respond: async ({invocation}) => _respond({invocation, style})
+    });
+    baseUrl = await server.start();
+  });
+  after(async () => {
+    await server.close();
+  });
+  beforeEach(() => {
+    server.reset();
+  });
+
+  it('should follow "Link" headers', async () => {
+    style = 'link';
+    const capability = await rootClient.delegate({
+      invocationTarget: `${baseUrl}/items`, controller: delegateDid,
+      allowedActions: ['read']
+    });
+
+    const pages = [];
+    for await (const response of delegateClient.paginate(
+      {url: `${baseUrl}/items`, capability})) {
+      pages.push(response.data.items);
+    }
+    pages.should.eql([['a', 'b'], ['c', 'd'], ['e']]);
+
+    server.invocations.map(({url}) => url).should.eql([
+      `${baseUrl}/items`,
+      `${baseUrl}/items?page=2`,
+      `${baseUrl}/items?page=3`
+    ]);
+    for(const invocation of server.invocations) {
+      invocation.verified.should.equal(true);
+      invocation.capability.id.should.equal(capability.id);
+    }
+    // each page is a separate invocation
+    new Set(server.invocations.map(({headers}) => headers.authorization))
+      .size.should.equal(3);
+  });
+  it('should follow JSON next page URLs', async () => {
+    style = 'next';
+    const pages = [];
+    for await (const response of rootClient.paginate(
+      {url: `${baseUrl}/items`})) {
+      pages.push(response.data.items);
+    }
+    pages.should.eql([['a', 'b'], ['c', 'd'], ['e']]);
+    server.invocations.every(({verified}) => verified).should.equal(true);
+  });
+  it('should follow configured JSON cursor fields', async () => {
+    style = 'cursor';
+    const pages = [];
+    for await (const response of rootClient.paginate({
+      url: `${baseUrl}/items`, cursorFields: ['meta.after'],
+      cursorParam: 'after'
+    })) {
+      pages.push(response.data.items);
+    }
+    pages.should.eql([['a', 'b'], ['c', 'd'], ['e']]);
+    server.invocations.map(({url}) => url).should.eql([
+      `${baseUrl}/items`,
+      `${baseUrl}/items?after=2`,
+      `${baseUrl}/items?after=4`
+    ]);
+
+    // the default cursor fields do not include `meta.after`
+    server.reset();
+    const responses = [];
+    for await (const response of rootClient.paginate(
+      {url: `${baseUrl}/items`})) {
+      responses.push(response);
+    }
+    responses.should.have.length(1);
+  });
+  it('should stop early', async () => {
+    style = 'link';
+    for await (const response of rootClient.paginate(
+      {url: `${baseUrl}/items`})) {
+      response.data.items.should.eql(['a', 'b']);
+      break;
+    }
+    server.invocations.should.have.length(1);
+
+    server.reset();
+    let count = 0;
+    for await (const response of rootClient.paginate(
+      {url: `${baseUrl}/items`, maxPages: 2})) {
+      response.status.should.equal(200);
+      count++;
+    }
+    count.should.equal(2);
+    server.invocations.should.have.length(2);
+  });
+  it('should stop if a page links to a page that was read', async () => {
+    style = 'loop';
+    const responses = [];
+    for await (const response of rootClient.paginate(
+      {url: `${baseUrl}/items`})) {
+      responses.push(response);
+    }
+    responses.should.have.length(2);
+  });
+  it('should not follow next page URLs outside the collection', async () => {
+    for(const next of [
+      'https://attacker.example/items?page=2', '/other?page=2', '/items2'
+    ]) {
+      style = {next};
+      server.reset();
+      const responses = [];
+      let err;
+      try {
+        for await (const response of rootClient.paginate(
+          {url: `${baseUrl}/items`})) {
+          responses.push(response);
+        }
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotAllowedError');
+      responses.should.have.length(1);
+      server.invocations.should.have.length(1);
+    }
+
+    // pages below the collection's path may be followed
+    style = {next: '/items/page/2'};
+    server.reset();
+    const responses = [];
+    for await (const response of rootClient.paginate(
+      {url: `${baseUrl}/items`, maxPages: 2})) {
+      responses.push(response);
+    }
+    responses.should.have.length(2);
+  });
+  it('should throw if "maxPages" is invalid', async () => {
+    let err;
+    try {
+      await rootClient.paginate({url: `${baseUrl}/items`, maxPages: 0}).next();
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.be.an.instanceOf(TypeError);
+    server.invocations.should.have.length(0);
+  });
+});
+
+function _respond({invocation, style}) {
+  const {searchParams} = new URL(invocation.url);
+  const page = Number(searchParams.get('page') ?? 1);
+  let offset = Number(searchParams.get('after') ?? 0);
+  if(style !== 'cursor') {
+    offset = (page - 1) * PAGE_SIZE;
+  }
+  const items = ITEMS.slice(offset, offset + PAGE_SIZE);
+  const hasNext = offset + PAGE_SIZE < ITEMS.length;
+  const json = {items};
+  const headers = {};
+  if(style === 'link' && hasNext) {
+    headers.link = `</items?page=${page + 1}>; rel="next", ` +
+      '</items>; rel="first"';
+  } else if(style === 'next' && hasNext) {
+    json.next = `${invocation.url.split('?')[0]}?page=${page + 1}`;
+  } else if(style === 'cursor' && hasNext) {
+    json.meta = {after: offset + PAGE_SIZE};
+  } else if(style?.next) {
+    json.next = style.next;
+  } else if(style === 'loop') {
+    json.links = {next: page === 1 ? '?page=2' : '/items'};
+  }
+  return {status: 200, headers, json};
+}
+
+async function _createClient() {
+  const {didDocument, keyPairs} = await didKeyDriver.generate();
+  const client = new ZcapClient({SuiteClass, didDocument, keyPairs});
+  return {client, did: didDocument.id};
+}
@@ -0,0 +1,136 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import {ZcapClient, ZcapVerifier} from '../../lib/index.js';
+import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import http from 'node:http';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+describe('ZcapClient retries', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+  let zcapClient;
+  let did;
+  before(async () => {
+    server = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      requests.push({
+        method: req.method, headers: req.headers,
+        body: new Uint8Array(Buffer.concat(chunks))
+      });
+      const {status, headers = {}} = responses.shift() || {status: 200};
+      res.writeHead(status, {'content-type': 'application/json', ...headers});
+      res.end(JSON.stringify({status}));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    did = didDocument.id;
+    zcapClient = new ZcapClient({
+      SuiteClass, didDocument, keyPairs, retry: {minDelay: 10}
+    });
+  });
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+  });
+
+  it('should re-sign a retried request after "Retry-After"', async () => {
+    responses.push({status: 503, headers: {'retry-after': '1'}});
+
+    const response = await zcapClient.read({url: `${baseUrl}/items`});
+    response.status.should.equal(200);
+    requests.should.have.length(2);
+    requests[0].headers.authorization.should.not.equal(
+      requests[1].headers.authorization);
+  });
+  it('should retry with the same signed idempotency key', async () => {
+    responses.push({status: 429}, {status: 502});
+    const {invocationSigner} = zcapClient;
+    let signatures = 0;
+    zcapClient.invocationSigner = {
+      ...invocationSigner,
+      id: invocationSigner.id,
+      async sign(options) {
+        signatures++;
+        return invocationSigner.sign(options);
+      }
+    };
+
+    const url = `${baseUrl}/items`;
+    let response;
+    try {
+      response = await zcapClient.write({
+        url, json: {label: 'Widget'},
+        retry: {methods: ['post']}
+      });
+    } finally {
+      zcapClient.invocationSigner = invocationSigner;
+    }
+    response.status.should.equal(200);
+    requests.should.have.length(3);
+    // each attempt is signed once
+    signatures.should.equal(3);
+    const [key] = requests.map(({headers}) => headers['idempotency-key']);
+    expect(key).to.be.a('string');
+    for(const {headers} of requests) {
+      headers['idempotency-key'].should.equal(key);
+      headers.authorization.should.include('idempotency-key');
+    }
+
+    // the re-signed invocation must still be verifiable
+    const verifier = new ZcapVerifier({
+      SuiteClass,
+      documentLoader: createDocumentLoader({SuiteClass}),
+      getRootController: async () => did
+    });
+    const {headers, body} = requests[2];
+    const result = await verifier.verify(
+      {url, method: 'post', headers, body});
+    result.invoker.should.equal(did);
+  });
+  it('should not retry a non-idempotent request by default', async () => {
+    responses.push({status: 503});
+
+    let err;
+    try {
+      await zcapClient.write({url: `${baseUrl}/items`, json: {}});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.status.should.equal(503);
+    requests.should.have.length(1);
+    expect(requests[0].headers['idempotency-key']).to.not.exist;
+  });
+  it('should stop after "maxAttempts"', async () => {
+    responses.push({status: 500}, {status: 500}, {status: 500});
+
+    let err;
+    try {
+      await zcapClient.read({
+        url: `${baseUrl}/items`, retry: {maxAttempts: 2}
+      });
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.status.should.equal(500);
+    requests.should.have.length(2);
+  });
+});
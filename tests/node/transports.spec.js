@@ -0,0 +1,206 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import {
+  createUnixSocketTransport, createWebSocketTransport, ZcapClient,
+  ZcapVerifier
+} from '../../lib/index.js';
+import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+describe('ZcapClient transports', () => {
+  let didDocument;
+  let keyPairs;
+  let verifier;
+  before(async () => {
+    ({didDocument, keyPairs} = await didKeyDriver.generate());
+    verifier = new ZcapVerifier({
+      SuiteClass,
+      documentLoader: createDocumentLoader({SuiteClass}),
+      getRootController: async () => didDocument.id
+    });
+  });
+
+  describe('createWebSocketTransport', () => {
+    let received;
+    let sockets;
+    // an in-memory WebSocket connected to a service that verifies and
+    // echoes invocations
+    class MockWebSocket extends EventTarget {
+      constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = 0;
+        sockets.push(this);
+        setTimeout(() => {
+          this.readyState = 1;
+          this.dispatchEvent(new Event('open'));
+        });
+      }
+      send(text) {
+        const message = JSON.parse(text);
+        received.push(message);
+        _respond({socket: this, message});
+      }
+      close() {
+        this.readyState = 3;
+        this.dispatchEvent(new Event('close'));
+      }
+    }
+    async function _respond({socket, message}) {
+      const {id, url, method, headers, json} = message;
+      let response;
+      try {
+        const {invoker} = await verifier.verify(
+          {url, method, headers, body: json});
+        response = url.endsWith('/missing') ?
+          {status: 404, data: {message: 'Not found.'}} :
+          {status: 200, headers: {date: new Date().toUTCString()},
+            data: {invoker, json}};
+      } catch(e) {
+        response = {status: 403, data: {message: e.message}};
+      }
+      const data = JSON.stringify({type: 'response', id, ...response});
+      socket.dispatchEvent(new MessageEvent('message', {data}));
+    }
+    beforeEach(() => {
+      received = [];
+      sockets = [];
+    });
+
+    it('should invoke zcaps over a WebSocket', async () => {
+      const transport = createWebSocketTransport(
+        {url: 'wss://zcap.example/socket', WebSocket: MockWebSocket});
+      const zcapClient = new ZcapClient(
+        {SuiteClass, didDocument, keyPairs, transport});
+      zcapClient.transport.should.equal(transport);
+
+      const url = 'https://zcap.example/items';
+      let response = await zcapClient.write({url, json: {label: 'Widget'}});
+      response.status.should.equal(200);
+      response.data.should.eql(
+        {invoker: didDocument.id, json: {label: 'Widget'}});
+      response = await zcapClient.read({url});
+      response.data.invoker.should.equal(didDocument.id);
+
+      // one connection is shared by all invocations
+      sockets.should.have.length(1);
+      received.map(({method}) => method).should.eql(['POST', 'GET']);
+      received[0].headers.should.have.property('capability-invocation');
+
+      const err = await _getError(
+        () => zcapClient.read({url: `${url}/missing`}));
+      err.status.should.equal(404);
+      err.message.should.equal('Not found.');
+    });
+    it('should reconnect after the connection closes', async () => {
+      const transport = createWebSocketTransport(
+        {url: 'wss://zcap.example/socket', WebSocket: MockWebSocket});
+      const zcapClient = new ZcapClient(
+        {SuiteClass, didDocument, keyPairs, transport});
+      const url = 'https://zcap.example/items';
+      await zcapClient.read({url});
+      transport.close();
+      await zcapClient.read({url});
+      sockets.should.have.length(2);
+
+      expect(() => createWebSocketTransport(
+        {url: 'https://zcap.example/socket', WebSocket: MockWebSocket}))
+        .to.throw(TypeError);
+    });
+  });
+
+  describe('createUnixSocketTransport', () => {
+    let server;
+    let socketPath;
+    before(async () => {
+      socketPath = path.join(os.tmpdir(), `ezcap-test-${process.pid}.sock`);
+      server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) {
+          chunks.push(chunk);
+        }
+        const body = new Uint8Array(Buffer.concat(chunks));
+        let status = 200;
+        let data;
+        try {
+          const url = `http://${req.headers.host}${req.url}`;
+          ({invoker: data} = await verifier.verify({
+            url, method: req.method, headers: req.headers,
+            body: body.length > 0 ? body : undefined
+          }));
+        } catch(e) {
+          status = 403;
+          data = e.message;
+        }
+        res.writeHead(status, {'content-type': 'application/json'});
+        res.end(JSON.stringify({data}));
+      });
+      await new Promise(resolve => server.listen(socketPath, resolve));
+    });
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should invoke zcaps over a Unix socket', async () => {
+      const zcapClient = new ZcapClient({
+        SuiteClass, didDocument, keyPairs, allowInsecureLocalhost: true,
+        transport: createUnixSocketTransport({socketPath})
+      });
+      const url = 'http://localhost/items';
+      let response = await zcapClient.write({url, json: {label: 'Widget'}});
+      response.status.should.equal(200);
+      response.data.should.eql({data: didDocument.id});
+      // a root zcap with an `http://localhost` target
+      response = await zcapClient.read(
+        {capability: `urn:zcap:root:${encodeURIComponent(url)}`});
+      response.data.should.eql({data: didDocument.id});
+    });
+  });
+
+  describe('allowInsecureLocalhost', () => {
+    it('should only allow "http://localhost" targets when set', async () => {
+      const transport = {send: async () => ({status: 200})};
+      const capability =
+        `urn:zcap:root:${encodeURIComponent('http://localhost:8080/items')}`;
+
+      let zcapClient = new ZcapClient(
+        {SuiteClass, didDocument, keyPairs, transport});
+      let err = await _getError(() => zcapClient.read({capability}));
+      err.message.should.include('HTTPS invocation target');
+
+      zcapClient = new ZcapClient({
+        SuiteClass, didDocument, keyPairs, transport,
+        allowInsecureLocalhost: true
+      });
+      (await zcapClient.read({capability})).status.should.equal(200);
+      err = await _getError(() => zcapClient.read({
+        capability:
+          `urn:zcap:root:${encodeURIComponent('http://zcap.example/items')}`
+      }));
+      err.message.should.include('HTTPS invocation target');
+
+      expect(() => new ZcapClient(
+        {SuiteClass, didDocument, keyPairs, transport: {}}))
+        .to.throw(TypeError);
+    });
+  });
+});
+
+async function _getError(fn) {
+  try {
+    await fn();
+  } catch(e) {
+    return e;
+  }
+  throw new Error('Expected an error.');
+}
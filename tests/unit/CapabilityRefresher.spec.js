@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {CapabilityRefresher, ZcapClient} from '../../lib/index.js';
+import chai from 'chai';
+import {didKeyDriver} from '../helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+
+chai.should();
+const {expect} = chai;
+
+describe('CapabilityRefresher', () => {
+  const invocationTarget = 'https://zcap.example/items';
+  const controller =
+    'did:key:z6MkogR2ZPr4ZGvLV2wZ7cWUamNMhpg3bkVeXARDBrKQVn2c';
+  let zcapClient;
+  let refresher;
+  beforeEach(async () => {
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    zcapClient = new ZcapClient({
+      SuiteClass: Ed25519Signature2020,
+      didDocument, keyPairs
+    });
+  });
+  afterEach(() => {
+    refresher?.stop();
+  });
+
+  it('should re-delegate a zcap before it expires', async () => {
+    const now = Date.now();
+    const parentCapability = await zcapClient.delegate({
+      invocationTarget, controller: zcapClient.delegationSigner.controller,
+      expires: new Date(now + 60 * 60 * 1000), now
+    });
+    const capability = await zcapClient.delegate({
+      capability: parentCapability, controller, allowedActions: ['read'],
+      expires: new Date(now + 5000), now
+    });
+    refresher = new CapabilityRefresher({zcapClient, margin: 3500});
+
+    const refreshed = new Promise(resolve => refresher.addEventListener(
+      'refresh', event => resolve(event.detail)));
+    (await refresher.add({capability, parentCapability}))
+      .should.equal(capability);
+
+    const detail = await refreshed;
+    detail.previousCapability.should.equal(capability);
+    detail.capability.id.should.not.equal(capability.id);
+    detail.capability.parentCapability.should.equal(parentCapability.id);
+    detail.capability.controller.should.equal(controller);
+    detail.capability.allowedAction.should.eql(['read']);
+    refresher.getLatest({capability}).should.equal(detail.capability);
+    refresher.getLatest({capability: detail.capability})
+      .should.equal(detail.capability);
+  });
+  it('should not re-delegate past the parent expiration', async () => {
+    const now = Date.now();
+    const parentCapability = await zcapClient.delegate({
+      invocationTarget, controller: zcapClient.delegationSigner.controller,
+      expires: new Date(now + 60 * 1000), now
+    });
+    const capability = await zcapClient.delegate({
+      capability: parentCapability, controller,
+      expires: new Date(now + 30 * 1000), now
+    });
+    refresher = new CapabilityRefresher({zcapClient, margin: 1000});
+    await refresher.add(
+      {capability, parentCapability, ttl: 60 * 60 * 1000});
+
+    const latest = await refresher.refresh({capability});
+    latest.id.should.not.equal(capability.id);
+    latest.expires.should.equal(parentCapability.expires);
+  });
+  it('should stop re-delegating when the parent expires soon', async () => {
+    const now = Date.now();
+    const parentCapability = await zcapClient.delegate({
+      invocationTarget, controller: zcapClient.delegationSigner.controller,
+      expires: new Date(now + 30 * 1000), now
+    });
+    const capability = await zcapClient.delegate({
+      capability: parentCapability, controller,
+      expires: new Date(now + 20 * 1000), now
+    });
+    refresher = new CapabilityRefresher({zcapClient, margin: 60 * 1000});
+
+    let delegations = 0;
+    const {delegate} = zcapClient;
+    zcapClient.delegate = options => {
+      delegations++;
+      return delegate.call(zcapClient, options);
+    };
+    const errors = [];
+    refresher.addEventListener('error', event => errors.push(event.detail));
+
+    // the zcap is re-delegated once, to the parent expiration, and then no
+    // longer re-delegated
+    const latest = await refresher.add(
+      {capability, parentCapability, ttl: 60 * 60 * 1000});
+    latest.expires.should.equal(parentCapability.expires);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    delegations.should.equal(1);
+    errors.should.have.length(1);
+    errors[0].capability.should.equal(latest);
+    errors[0].error.name.should.equal('ConstraintError');
+    refresher.getLatest({capability}).should.equal(latest);
+  });
+  it('should dispatch an error event when re-delegation fails', async () => {
+    // delegate zcaps that have already expired
+    const now = Date.now() - 10 * 60 * 1000;
+    const parentCapability = await zcapClient.delegate({
+      invocationTarget, controller: zcapClient.delegationSigner.controller,
+      now
+    });
+    const capability = await zcapClient.delegate({
+      capability: parentCapability, controller, now
+    });
+    refresher = new CapabilityRefresher({zcapClient});
+
+    let detail;
+    refresher.addEventListener('error', event => {
+      detail = event.detail;
+    });
+    (await refresher.add({capability, parentCapability}))
+      .should.equal(capability);
+    expect(detail).to.exist;
+    detail.capability.should.equal(capability);
+    detail.error.should.be.an('error');
+
+    // the expired zcap is no longer managed
+    refresher.getLatest({capability: capability.id})
+      .should.equal(capability.id);
+    refresher.remove({capability}).should.equal(false);
+  });
+  it('should stop managing a removed zcap', async () => {
+    const now = Date.now();
+    const parentCapability = await zcapClient.delegate({
+      invocationTarget, controller: zcapClient.delegationSigner.controller,
+      now
+    });
+    const capability = await zcapClient.delegate({
+      capability: parentCapability, controller, now
+    });
+    refresher = new CapabilityRefresher({zcapClient});
+    await refresher.add({capability, parentCapability});
+
+    refresher.remove({capability}).should.equal(true);
+    refresher.remove({capability}).should.equal(false);
+    refresher.getLatest({capability: capability.id})
+      .should.equal(capability.id);
+    let err;
+    try {
+      await refresher.refresh({capability});
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.message.should.equal(
+      '"capability" is not managed by this refresher.');
+  });
+});
@@ -0,0 +1,135 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  createDocumentLoader, didKeyDriver, generateEcdsaDid
+} from '../helpers.js';
+import {ZcapClient, ZcapVerifier} from '../../lib/index.js';
+import chai from 'chai';
+import {DataIntegrityProof} from '@digitalbazaar/data-integrity';
+import {
+  cryptosuite as ecdsaRdfc2019Cryptosuite
+} from '@digitalbazaar/ecdsa-rdfc-2019-cryptosuite';
+import {
+  cryptosuite as eddsaRdfc2022Cryptosuite
+} from '@digitalbazaar/eddsa-rdfc-2022-cryptosuite';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
+
+chai.should();
+const {expect} = chai;
+
+const suites = [{
+  name: 'eddsa-rdfc-2022',
+  cryptosuite: eddsaRdfc2022Cryptosuite,
+  generate: () => didKeyDriver.generate()
+}, {
+  name: 'ecdsa-rdfc-2019 (P-256)',
+  cryptosuite: ecdsaRdfc2019Cryptosuite,
+  generate: () => generateEcdsaDid({curve: 'P-256'})
+}, {
+  name: 'ecdsa-rdfc-2019 (P-384)',
+  cryptosuite: ecdsaRdfc2019Cryptosuite,
+  generate: () => generateEcdsaDid({curve: 'P-384'})
+}];
+
+describe('Data Integrity suites', () => {
+  for(const {name, cryptosuite, generate} of suites) {
+    describe(name, () => {
+      let rootClient;
+      let rootDid;
+      let delegateClient;
+      let delegateDid;
+      before(async () => {
+        const documentLoader = createDocumentLoader();
+        let didDocument;
+        let keyPairs;
+        ({didDocument, keyPairs} = await generate());
+        rootDid = didDocument.id;
+        rootClient = new ZcapClient(
+          {cryptosuite, didDocument, keyPairs, documentLoader});
+        ({didDocument, keyPairs} = await generate());
+        delegateDid = didDocument.id;
+        delegateClient = new ZcapClient(
+          {cryptosuite, didDocument, keyPairs, documentLoader});
+      });
+
+      it('should delegate and verify a zcap chain', async () => {
+        const now = Date.now();
+        const invocationTarget = 'https://zcap.example/items';
+        const parent = await rootClient.delegate({
+          invocationTarget, controller: delegateDid, now
+        });
+        parent.proof.type.should.equal('DataIntegrityProof');
+        parent.proof.cryptosuite.should.equal(cryptosuite.name);
+        parent['@context'].should.include(
+          'https://w3id.org/security/data-integrity/v2');
+        const capability = await delegateClient.delegate({
+          capability: parent, invocationTarget: `${invocationTarget}/123`,
+          controller: rootDid, now
+        });
+
+        const report = await rootClient.verifyCapabilityChain(
+          {capability, rootController: rootDid});
+        report.verified.should.equal(true);
+        report.links.should.have.length(2);
+      });
+      it('should verify an invocation of a delegated zcap', async () => {
+        const rootTarget = 'https://zcap.example/items';
+        const capability = await rootClient.delegate({
+          invocationTarget: rootTarget, controller: delegateDid
+        });
+        const url = `${rootTarget}/123`;
+        const headers = await signCapabilityInvocation({
+          url, method: 'get',
+          headers: {date: new Date().toUTCString()},
+          invocationSigner: delegateClient.invocationSigner,
+          capability,
+          capabilityAction: 'read'
+        });
+
+        const verifier = new ZcapVerifier({
+          cryptosuite,
+          documentLoader: createDocumentLoader(),
+          getRootController: async () => rootDid
+        });
+        const result = await verifier.verify({
+          url, method: 'get', headers,
+          expectedRootCapability: capability.parentCapability
+        });
+        result.invoker.should.equal(delegateDid);
+      });
+    });
+  }
+
+  it('should accept a suite factory', async () => {
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    const zcapClient = new ZcapClient({
+      createSuite: ({signer, date} = {}) => new DataIntegrityProof(
+        {signer, date, cryptosuite: eddsaRdfc2022Cryptosuite}),
+      didDocument, keyPairs
+    });
+    const capability = await zcapClient.delegate({
+      invocationTarget: 'https://zcap.example/items',
+      controller: 'did:key:z6MkogR2ZPr4ZGvLV2wZ7cWUamNMhpg3bkVeXARDBrKQVn2c'
+    });
+    capability.proof.cryptosuite.should.equal('eddsa-rdfc-2022');
+  });
+  it('should throw if more than one suite option is given', async () => {
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    let err;
+    try {
+      new ZcapClient({
+        cryptosuite: eddsaRdfc2022Cryptosuite,
+        createSuite: () => {},
+        didDocument, keyPairs
+      });
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.message.should.equal(
+      'Only one of "SuiteClass", "createSuite", or "cryptosuite" may be ' +
+      'provided.');
+  });
+});
@@ -1,14 +1,15 @@
 /*!
- * Copyright (c) 2020-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
-import * as didKey from '@digitalbazaar/did-method-key';
-import {getCapabilitySigners, ZcapClient} from '../../lib/index.js';
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import {
+  getCapabilitySigners, MemoryZcapStore, ZcapClient
+} from '../../lib/index.js';
 import chai from 'chai';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 
 chai.should();
 const {expect} = chai;
-const didKeyDriver = didKey.driver();
 
 describe('ZcapClient', () => {
   describe('constructor', () => {
@@ -141,4 +142,641 @@ describe('ZcapClient', () => {
       }
     });
   });
+  describe('getCapabilitySigners', () => {
+    let didDocument;
+    let keyPairs;
+    let keyIds;
+    beforeEach(async () => {
+      // create a DID document with two keys for each relationship
+      const first = await didKeyDriver.generate();
+      const second = await didKeyDriver.generate();
+      keyIds = [
+        first.didDocument.capabilityInvocation[0],
+        second.didDocument.capabilityInvocation[0]
+      ];
+      didDocument = {
+        id: first.didDocument.id,
+        capabilityInvocation: keyIds,
+        capabilityDelegation: keyIds
+      };
+      keyPairs = new Map([...first.keyPairs, ...second.keyPairs]);
+    });
+
+    it('should select the first key with a key pair by default', async () => {
+      const {invocationSigner, delegationSigner} = getCapabilitySigners(
+        {didDocument, keyPairs});
+      invocationSigner.id.should.equal(keyIds[0]);
+      invocationSigner.controller.should.equal(didDocument.id);
+      delegationSigner.id.should.equal(keyIds[0]);
+
+      // fall back to the next key if the first has no key pair
+      keyPairs.delete(keyIds[0]);
+      getCapabilitySigners({didDocument, keyPairs})
+        .invocationSigner.id.should.equal(keyIds[1]);
+    });
+    it('should select keys by ID or by predicate', async () => {
+      const {invocationSigner, delegationSigner} = getCapabilitySigners({
+        didDocument, keyPairs,
+        invocationKey: keyIds[1],
+        delegationKey: ({id}) => id !== keyIds[0]
+      });
+      invocationSigner.id.should.equal(keyIds[1]);
+      delegationSigner.id.should.equal(keyIds[1]);
+    });
+    it('should throw if no key has a key pair', async () => {
+      let err;
+      try {
+        getCapabilitySigners({didDocument, keyPairs: new Map()});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.include('neither a matching capabilityDelegation');
+    });
+    it('should throw if a key selector matches no key', async () => {
+      let err;
+      try {
+        getCapabilitySigners({
+          didDocument, keyPairs, invocationKey: 'did:example:unknown#key'
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.include(
+        '"invocationKey" does not match any capabilityInvocation key');
+
+      err = undefined;
+      try {
+        getCapabilitySigners(
+          {didDocument, keyPairs, delegationKey: () => false});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.include(
+        '"delegationKey" does not match any capabilityDelegation key');
+    });
+    it('should throw if the DID document has no relationships', async () => {
+      let err;
+      try {
+        getCapabilitySigners({didDocument: {id: didDocument.id}, keyPairs});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        'didDocument must include "capabilityInvocation" or ' +
+        '"capabilityDelegation" properties.');
+    });
+    it('should rotate the signers of a client', async () => {
+      const zcapClient = new ZcapClient({
+        SuiteClass: Ed25519Signature2020, didDocument, keyPairs
+      });
+      zcapClient.invocationSigner.id.should.equal(keyIds[0]);
+
+      const previous = zcapClient.rotateSigners(
+        {didDocument, keyPairs, invocationKey: keyIds[1]});
+      previous.invocationSigner.id.should.equal(keyIds[0]);
+      zcapClient.invocationSigner.id.should.equal(keyIds[1]);
+      zcapClient.delegationSigner.id.should.equal(keyIds[0]);
+
+      // signers for another controller are rejected
+      const other = await didKeyDriver.generate();
+      let err;
+      try {
+        zcapClient.rotateSigners(other);
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.include('must have the same controller');
+      zcapClient.invocationSigner.id.should.equal(keyIds[1]);
+    });
+    it('should keep the signer for a role that is not rotated', async () => {
+      const zcapClient = new ZcapClient({
+        SuiteClass: Ed25519Signature2020, didDocument, keyPairs
+      });
+      const {delegationSigner} = zcapClient;
+      const {invocationSigner} = getCapabilitySigners(
+        {didDocument, keyPairs, invocationKey: keyIds[1]});
+
+      const previous = zcapClient.rotateSigners({invocationSigner});
+      previous.delegationSigner.should.equal(delegationSigner);
+      zcapClient.invocationSigner.should.equal(invocationSigner);
+      zcapClient.delegationSigner.should.equal(delegationSigner);
+      await zcapClient.delegate({
+        invocationTarget: 'https://zcap.example/items',
+        controller: didDocument.id
+      });
+
+      // signers without a controller are accepted, as in the constructor
+      const {id, sign} = invocationSigner;
+      const signer = {id, sign: sign.bind(invocationSigner)};
+      new ZcapClient({
+        SuiteClass: Ed25519Signature2020, invocationSigner: signer
+      });
+      zcapClient.rotateSigners({invocationSigner: signer});
+      zcapClient.invocationSigner.should.equal(signer);
+    });
+  });
+
+  describe('verifyCapabilityChain', () => {
+    let zcapClient;
+    let rootController;
+    beforeEach(async () => {
+      const {didDocument, keyPairs} = await didKeyDriver.generate();
+      rootController = didDocument.id;
+      zcapClient = new ZcapClient({
+        SuiteClass: Ed25519Signature2020,
+        didDocument, keyPairs,
+        documentLoader: createDocumentLoader(
+          {SuiteClass: Ed25519Signature2020})
+      });
+    });
+
+    it('should verify a valid zcap chain', async () => {
+      const now = Date.now();
+      const invocationTarget = 'https://zcap.example/items';
+      const parent = await zcapClient.delegate({
+        invocationTarget, controller: rootController,
+        allowedActions: ['read', 'write'], now
+      });
+      const capability = await zcapClient.delegate({
+        capability: parent, controller: rootController,
+        invocationTarget: `${invocationTarget}/123`,
+        allowedActions: ['read'], now
+      });
+
+      const report = await zcapClient.verifyCapabilityChain(
+        {capability, rootController});
+      report.verified.should.equal(true);
+      report.rootCapability.should.equal(parent.parentCapability);
+      report.errors.should.have.length(0);
+      report.links.should.have.length(2);
+      report.links.map(({id}) => id).should.eql([parent.id, capability.id]);
+      for(const link of report.links) {
+        link.verified.should.equal(true);
+        link.checks.should.eql({
+          proof: true,
+          allowedAction: true,
+          expires: true,
+          invocationTarget: true,
+          unexpired: true
+        });
+      }
+    });
+    it('should report a zcap that is wider than its parent', async () => {
+      const now = Date.now();
+      const parent = await zcapClient.delegate({
+        invocationTarget: 'https://zcap.example/items',
+        controller: rootController, allowedActions: ['read'], now
+      });
+      const capability = await zcapClient.delegate({
+        capability: parent, controller: rootController, now
+      });
+      // widen the allowed actions after delegation
+      capability.allowedAction = ['read', 'write'];
+
+      const report = await zcapClient.verifyCapabilityChain(
+        {capability, rootController});
+      report.verified.should.equal(false);
+      report.links[0].verified.should.equal(true);
+      report.links[1].verified.should.equal(false);
+      report.links[1].checks.proof.should.equal(false);
+      report.links[1].checks.allowedAction.should.equal(false);
+      report.links[1].errors.should.not.have.length(0);
+    });
+    it('should report an expired zcap chain', async () => {
+      const capability = await zcapClient.delegate({
+        invocationTarget: 'https://zcap.example/items',
+        controller: rootController
+      });
+
+      const report = await zcapClient.verifyCapabilityChain({
+        capability, rootController, now: Date.now() + 10 * 60 * 1000
+      });
+      report.verified.should.equal(false);
+      report.links[0].checks.unexpired.should.equal(false);
+    });
+    it('should not verify a chain with a different root controller',
+      async () => {
+        const capability = await zcapClient.delegate({
+          invocationTarget: 'https://zcap.example/items',
+          controller: rootController
+        });
+
+        const report = await zcapClient.verifyCapabilityChain({
+          capability,
+          rootController:
+            'did:key:z6MkogR2ZPr4ZGvLV2wZ7cWUamNMhpg3bkVeXARDBrKQVn2c'
+        });
+        report.verified.should.equal(false);
+        report.links[0].checks.proof.should.equal(false);
+      });
+  });
+  describe('delegationPolicy', () => {
+    const invocationTarget = 'https://zcap.example/items';
+    let didDocument;
+    let keyPairs;
+    let controller;
+    let parent;
+    before(async () => {
+      ({didDocument, keyPairs} = await didKeyDriver.generate());
+      controller = didDocument.id;
+      parent = await _createClient().delegate({
+        invocationTarget, controller, allowedActions: ['read', 'write'],
+        expires: new Date(Date.now() + 60 * 1000)
+      });
+    });
+
+    function _createClient({delegationPolicy} = {}) {
+      return new ZcapClient({
+        SuiteClass: Ed25519Signature2020,
+        didDocument, keyPairs, delegationPolicy
+      });
+    }
+
+    it('should throw if a zcap would not attenuate its parent', async () => {
+      const zcapClient = _createClient();
+      const options = [
+        {expires: new Date(Date.now() + 2 * 60 * 1000)},
+        {allowedActions: ['read', 'delete']},
+        {invocationTarget: 'https://zcap.example/itemsX'},
+        {invocationTarget: 'https://other.example/items'}
+      ];
+      for(const option of options) {
+        let err;
+        try {
+          await zcapClient.delegate(
+            {capability: parent, controller, ...option});
+        } catch(e) {
+          err = e;
+        }
+        expect(err).to.exist;
+        err.name.should.equal('ConstraintError');
+      }
+    });
+    it('should throw if a parent ID is not a root zcap ID', async () => {
+      let err;
+      try {
+        await _createClient().delegate({
+          capability: parent.id, controller, invocationTarget
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('TypeError');
+      err.message.should.equal(
+        '"capability" must be a root capability ID ("urn:zcap:root:...") ' +
+        'or a capability object.');
+    });
+    it('should limit the default "expires" to the parent\'s', async () => {
+      const capability = await _createClient().delegate(
+        {capability: parent, controller});
+      capability.expires.should.equal(parent.expires);
+    });
+    it('should clamp "expires" and "allowedActions"', async () => {
+      const zcapClient = _createClient(
+        {delegationPolicy: {attenuation: 'clamp', maxTtl: 30 * 1000}});
+      const now = Date.now();
+      const capability = await zcapClient.delegate({
+        capability: parent, controller, allowedActions: ['read', 'delete'],
+        expires: new Date(now + 2 * 60 * 1000), now
+      });
+      capability.allowedAction.should.eql(['read']);
+      capability.expires.should.equal(
+        new Date(now + 30 * 1000).toISOString().slice(0, -5) + 'Z');
+
+      // an invalid target is never clamped
+      let err;
+      try {
+        await zcapClient.delegate({
+          capability: parent, controller,
+          invocationTarget: 'https://other.example/items'
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('ConstraintError');
+    });
+    it('should allow overriding "attenuation" per delegation', async () => {
+      const capability = await _createClient().delegate({
+        capability: parent, controller, attenuation: 'clamp',
+        expires: new Date(Date.now() + 2 * 60 * 1000)
+      });
+      capability.expires.should.equal(parent.expires);
+    });
+    it('should enforce "maxChainLength"', async () => {
+      const zcapClient = _createClient(
+        {delegationPolicy: {maxChainLength: 2}});
+      const capability = await zcapClient.delegate(
+        {invocationTarget, controller});
+      capability.parentCapability.should.equal(parent.parentCapability);
+
+      let err;
+      try {
+        await zcapClient.delegate({capability, controller});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('ConstraintError');
+      err.message.should.include('chain length (3)');
+    });
+    it('should enforce "allowedControllers"', async () => {
+      const other = 'did:key:z6MkogR2ZPr4ZGvLV2wZ7cWUamNMhpg3bkVeXARDBrKQVn2c';
+      for(const allowedControllers of [
+        [controller], [/^did:key:z6Mkf/, controller],
+        ({controller: c}) => c === controller
+      ]) {
+        const zcapClient = _createClient(
+          {delegationPolicy: {allowedControllers}});
+        await zcapClient.delegate({capability: parent, controller});
+
+        let err;
+        try {
+          await zcapClient.delegate({capability: parent, controller: other});
+        } catch(e) {
+          err = e;
+        }
+        expect(err).to.exist;
+        err.name.should.equal('ConstraintError');
+      }
+    });
+    it('should throw if the policy is invalid', async () => {
+      for(const delegationPolicy of [
+        {attenuation: 'ignore'}, {maxTtl: -1}, {maxChainLength: 1},
+        {allowedControllers: 'did:example:1234'}
+      ]) {
+        let err;
+        try {
+          _createClient({delegationPolicy});
+        } catch(e) {
+          err = e;
+        }
+        expect(err).to.be.an.instanceOf(TypeError);
+      }
+    });
+  });
+  describe('delegateMany', () => {
+    it('should delegate to many controllers', async () => {
+      const {didDocument, keyPairs} = await didKeyDriver.generate();
+      const documentLoader = createDocumentLoader(
+        {SuiteClass: Ed25519Signature2020});
+      const loads = new Map();
+      const zcapClient = new ZcapClient({
+        SuiteClass: Ed25519Signature2020,
+        didDocument, keyPairs,
+        documentLoader: async url => {
+          loads.set(url, (loads.get(url) || 0) + 1);
+          return documentLoader(url);
+        }
+      });
+      const controllers = [];
+      for(let i = 0; i < 3; ++i) {
+        const {didDocument: {id}} = await didKeyDriver.generate();
+        controllers.push(id);
+      }
+      const invocationTarget = 'https://zcap.example/items';
+
+      const results = await zcapClient.delegateMany({
+        invocationTarget, allowedActions: ['read'], concurrency: 2,
+        delegations: [
+          {controller: controllers[0]},
+          {controller: 'not a DID'},
+          {
+            controller: controllers[1],
+            invocationTarget: `${invocationTarget}/1`
+          },
+          {controller: controllers[2], allowedActions: ['write']}
+        ]
+      });
+      results.map(({status}) => status).should.eql(
+        ['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+      results[1].reason.message.should.equal(
+        '"controller" must be a string expressing an absolute URI.');
+      const [first, , second, third] = results.map(({value}) => value);
+      first.controller.should.equal(controllers[0]);
+      first.invocationTarget.should.equal(invocationTarget);
+      first.allowedAction.should.eql(['read']);
+      second.invocationTarget.should.equal(`${invocationTarget}/1`);
+      third.allowedAction.should.eql(['write']);
+      for(const count of loads.values()) {
+        count.should.equal(1);
+      }
+
+      const report = await zcapClient.verifyCapabilityChain(
+        {capability: second, rootController: didDocument.id});
+      report.verified.should.equal(true);
+    });
+    it('should throw if "concurrency" is invalid', async () => {
+      const {didDocument, keyPairs} = await didKeyDriver.generate();
+      const zcapClient = new ZcapClient({
+        SuiteClass: Ed25519Signature2020, didDocument, keyPairs
+      });
+      let err;
+      try {
+        await zcapClient.delegateMany({delegations: [], concurrency: 0});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.be.an.instanceOf(TypeError);
+    });
+  });
+  describe('request', () => {
+    let zcapClient;
+    beforeEach(async () => {
+      const {didDocument, keyPairs} = await didKeyDriver.generate();
+      zcapClient = new ZcapClient({
+        SuiteClass: Ed25519Signature2020,
+        didDocument, keyPairs
+      });
+    });
+
+    it('should throw if "json" and "body" are both given', async () => {
+      let err;
+      try {
+        await zcapClient.write({
+          url: 'https://zcap.example/items', json: {},
+          body: new Uint8Array([1, 2, 3])
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        '"json" and "body" must not be given together.');
+    });
+    it('should throw if "body" is not a supported type', async () => {
+      let err;
+      try {
+        await zcapClient.write({
+          url: 'https://zcap.example/items', body: 'not bytes'
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        '"body" must be a Uint8Array, Blob, or ReadableStream.');
+    });
+    it('should throw if the zcap does not allow the action', async () => {
+      const capability = await zcapClient.delegate({
+        invocationTarget: 'https://zcap.example/items',
+        controller: zcapClient.invocationSigner.controller,
+        allowedActions: ['read']
+      });
+
+      let err;
+      try {
+        await zcapClient.delete({
+          url: 'https://zcap.example/items/123', capability
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal(
+        `Capability "${capability.id}" does not allow the "write" action.`);
+    });
+  });
+
+  describe('convenience methods', () => {
+    it('should map HTTP methods to zcap actions', async () => {
+      const {didDocument, keyPairs} = await didKeyDriver.generate();
+      const zcapClient = new ZcapClient({
+        SuiteClass: Ed25519Signature2020,
+        didDocument, keyPairs,
+        methodActions: {delete: 'remove'}
+      });
+      // capture requests instead of sending them
+      const requests = [];
+      zcapClient.request = async options => requests.push(options);
+
+      const url = 'https://zcap.example/items';
+      await zcapClient.read({url});
+      await zcapClient.list({url});
+      await zcapClient.write({url, json: {}});
+      await zcapClient.update({url, json: {}});
+      await zcapClient.patch({url, json: {}});
+      await zcapClient.delete({url});
+      requests.map(({method, action}) => [method, action]).should.eql([
+        ['get', 'read'],
+        ['get', 'read'],
+        ['post', 'write'],
+        ['put', 'write'],
+        ['patch', 'write'],
+        ['delete', 'remove']
+      ]);
+    });
+  });
+
+  describe('revoke', () => {
+    let zcapClient;
+    let requests;
+    beforeEach(async () => {
+      const {didDocument, keyPairs} = await didKeyDriver.generate();
+      zcapClient = new ZcapClient({
+        SuiteClass: Ed25519Signature2020,
+        didDocument, keyPairs
+      });
+      // capture requests instead of sending them
+      requests = [];
+      zcapClient.write = async options => requests.push(options);
+    });
+
+    it('should revoke a zcap at the default revocation URL', async () => {
+      const now = Date.now();
+      const invocationTarget = 'https://zcap.example/items';
+      const parent = await zcapClient.delegate({
+        invocationTarget, controller: zcapClient.invocationSigner.controller,
+        now
+      });
+      const capability = await zcapClient.delegate({
+        capability: parent,
+        invocationTarget: `${invocationTarget}/123`,
+        controller: 'did:key:z6MkogR2ZPr4ZGvLV2wZ7cWUamNMhpg3bkVeXARDBrKQVn2c',
+        now
+      });
+
+      await zcapClient.revoke({capability});
+      requests.should.have.length(1);
+      const [request] = requests;
+      request.url.should.equal(
+        `${invocationTarget}/zcaps/revocations/` +
+        encodeURIComponent(capability.id));
+      request.capability.should.equal(
+        `urn:zcap:root:${encodeURIComponent(request.url)}`);
+      request.json.should.equal(capability);
+    });
+    it('should revoke a zcap at a given revocation URL', async () => {
+      const capability = await zcapClient.delegate({
+        invocationTarget: 'https://zcap.example/items',
+        controller: 'did:key:z6MkogR2ZPr4ZGvLV2wZ7cWUamNMhpg3bkVeXARDBrKQVn2c'
+      });
+      const revocationUrl = 'https://zcap.example/revocations/1';
+
+      await zcapClient.revoke({capability, revocationUrl});
+      requests[0].url.should.equal(revocationUrl);
+    });
+    it('should send the revocation with the request options', async () => {
+      const {didDocument, keyPairs} = await didKeyDriver.generate();
+      const invocationTarget = 'https://zcap.example/items';
+      const capability = await zcapClient.delegate({
+        invocationTarget, controller: didDocument.id
+      });
+      const sent = [];
+      const invoked = [];
+      const client = new ZcapClient({
+        SuiteClass: Ed25519Signature2020,
+        didDocument, keyPairs,
+        // a stored zcap that could be invoked at the revocation URL must not
+        // be selected
+        zcapStore: new MemoryZcapStore({capabilities: [capability]}),
+        hooks: {beforeSign: ({capability}) => invoked.push(capability)},
+        transport: {
+          async send(options) {
+            sent.push(options);
+            if(sent.length === 1) {
+              throw new TypeError('Network error.');
+            }
+            return {status: 204, headers: new Headers()};
+          }
+        }
+      });
+
+      const {signal} = new AbortController();
+      const response = await client.revoke({
+        capability, signal, timeout: 5000,
+        retry: {methods: ['post'], minDelay: 1}
+      });
+      response.status.should.equal(204);
+      sent.should.have.length(2);
+      sent[1].method.should.equal('post');
+      sent[1].timeout.should.equal(5000);
+      sent[1].signal.should.be.an.instanceOf(AbortSignal);
+      sent[1].json.should.equal(capability);
+      invoked[0].should.equal(
+        `urn:zcap:root:${encodeURIComponent(sent[1].url)}`);
+    });
+    it('should throw if "capability" is a root zcap', async () => {
+      let err;
+      try {
+        await zcapClient.revoke({
+          capability: 'urn:zcap:root:' +
+            encodeURIComponent('https://zcap.example/items')
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        '"capability" must be a delegated authorization capability object.');
+      requests.should.have.length(0);
+    });
+  });
 });
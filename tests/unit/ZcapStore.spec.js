@@ -0,0 +1,157 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {MemoryZcapStore, ZcapClient} from '../../lib/index.js';
+import chai from 'chai';
+import {didKeyDriver} from '../helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+
+chai.should();
+const {expect} = chai;
+
+describe('MemoryZcapStore', () => {
+  const now = Date.now();
+  const expires = new Date(now + 60 * 1000).toISOString();
+  const zcaps = [{
+    id: 'urn:uuid:1',
+    invocationTarget: 'https://zcap.example/items',
+    allowedAction: ['read'],
+    expires
+  }, {
+    id: 'urn:uuid:2',
+    invocationTarget: 'https://zcap.example/items/123',
+    expires
+  }, {
+    id: 'urn:uuid:3',
+    invocationTarget: 'https://zcap.example/items',
+    allowedAction: 'write',
+    expires: new Date(now - 60 * 1000).toISOString()
+  }];
+
+  let store;
+  beforeEach(() => {
+    store = new MemoryZcapStore({capabilities: zcaps});
+  });
+
+  it('should get, save, and delete zcaps', async () => {
+    (await store.get({id: 'urn:uuid:1'})).should.equal(zcaps[0]);
+    (await store.getAll()).should.have.length(3);
+
+    const zcap = {id: 'urn:uuid:4', invocationTarget: 'https://zcap.example'};
+    await store.save({capability: zcap});
+    (await store.get({id: 'urn:uuid:4'})).should.equal(zcap);
+
+    (await store.delete({id: 'urn:uuid:4'})).should.equal(true);
+    (await store.delete({id: 'urn:uuid:4'})).should.equal(false);
+    expect(await store.get({id: 'urn:uuid:4'})).to.equal(null);
+  });
+  it('should find the most specific matching zcap', async () => {
+    const zcap = await store.find({
+      url: 'https://zcap.example/items/123?q=1', action: 'read', now
+    });
+    zcap.id.should.equal('urn:uuid:2');
+  });
+  it('should only find zcaps that allow the action', async () => {
+    const zcap = await store.find({
+      url: 'https://zcap.example/items/456', action: 'read', now
+    });
+    zcap.id.should.equal('urn:uuid:1');
+    expect(await store.find({
+      url: 'https://zcap.example/items/456', action: 'write', now
+    })).to.equal(null);
+  });
+  it('should only find zcaps for the given controller', async () => {
+    const controller = 'did:example:alice';
+    await store.save({capability: {
+      id: 'urn:uuid:4',
+      invocationTarget: 'https://zcap.example/items',
+      controller: ['did:example:bob', controller],
+      expires
+    }});
+    (await store.find({
+      url: 'https://zcap.example/items', action: 'write', controller, now
+    })).id.should.equal('urn:uuid:4');
+    expect(await store.find({
+      url: 'https://zcap.example/items/123', action: 'read',
+      controller: 'did:example:carol', now
+    })).to.equal(null);
+  });
+  it('should not find zcaps for a different target', async () => {
+    expect(await store.find({
+      url: 'https://zcap.example/items-other', action: 'read', now
+    })).to.equal(null);
+  });
+});
+
+describe('ZcapClient with a ZcapStore', () => {
+  it('should save zcaps delegated to its own controller', async () => {
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    const zcapStore = new MemoryZcapStore();
+    const zcapClient = new ZcapClient({
+      SuiteClass: Ed25519Signature2020,
+      didDocument, keyPairs, zcapStore
+    });
+
+    const invocationTarget = 'https://zcap.example/items';
+    const own = await zcapClient.delegate(
+      {invocationTarget, controller: didDocument.id});
+    await zcapClient.delegate({
+      invocationTarget,
+      controller: 'did:key:z6MkogR2ZPr4ZGvLV2wZ7cWUamNMhpg3bkVeXARDBrKQVn2c'
+    });
+
+    const stored = await zcapStore.getAll();
+    stored.should.have.length(1);
+    stored[0].id.should.equal(own.id);
+    (await zcapStore.find({url: `${invocationTarget}/1`, action: 'read'}))
+      .id.should.equal(own.id);
+  });
+  it('should only invoke stored zcaps it can invoke now', async () => {
+    const SuiteClass = Ed25519Signature2020;
+    const root = await didKeyDriver.generate();
+    const rootClient = new ZcapClient({SuiteClass, ...root});
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    const now = Date.now();
+    const invocationTarget = 'https://zcap.example/items';
+    const zcapStore = new MemoryZcapStore({capabilities: [
+      await rootClient.delegate({
+        invocationTarget, controller: 'did:example:other',
+        expires: new Date(now + 60 * 60 * 1000)
+      }),
+      await rootClient.delegate({
+        invocationTarget, controller: didDocument.id,
+        expires: new Date(now + 60 * 1000)
+      })
+    ]});
+    const [, own] = await zcapStore.getAll();
+    const invoked = [];
+    const zcapClient = new ZcapClient({
+      SuiteClass, didDocument, keyPairs, zcapStore,
+      hooks: {beforeSign: ({capability}) => invoked.push(capability)},
+      transport: {send: async () => ({status: 200, headers: new Headers()})}
+    });
+    await zcapClient.read({url: invocationTarget});
+    invoked[0].id.should.equal(own.id);
+
+    // the client's clock is two minutes ahead, so its own zcap has expired
+    // and a root zcap is invoked instead
+    zcapClient.clockOffset = 2 * 60 * 1000;
+    await zcapClient.read({url: invocationTarget});
+    invoked[1].should.equal(
+      `urn:zcap:root:${encodeURIComponent(invocationTarget)}`);
+  });
+  it('should throw if "zcapStore" is not a ZcapStore', async () => {
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    let err;
+    try {
+      new ZcapClient({
+        SuiteClass: Ed25519Signature2020,
+        didDocument, keyPairs, zcapStore: new Map()
+      });
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.message.should.equal('"zcapStore" must be a ZcapStore instance.');
+  });
+});
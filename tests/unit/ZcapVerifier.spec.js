@@ -0,0 +1,444 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import {
+  createZcapMiddleware, getCapabilitySigners, ZcapClient, ZcapVerifier
+} from '../../lib/index.js';
+import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+describe('ZcapVerifier', () => {
+  let rootClient;
+  let rootDid;
+  let delegateClient;
+  let delegateDid;
+  let verifier;
+  before(async () => {
+    ({client: rootClient, did: rootDid} = await _createClient());
+    ({client: delegateClient, did: delegateDid} = await _createClient());
+    verifier = new ZcapVerifier({
+      SuiteClass,
+      documentLoader: createDocumentLoader({SuiteClass}),
+      getRootController: async () => rootDid
+    });
+  });
+
+  describe('constructor', () => {
+    it('should throw if no suite is provided', async () => {
+      let err;
+      try {
+        new ZcapVerifier();
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        '"SuiteClass", "createSuite", or "cryptosuite" must be provided.');
+    });
+  });
+
+  describe('verify', () => {
+    it('should verify a root zcap invocation', async () => {
+      const url = 'https://zcap.example/items';
+      const headers = await _sign({client: rootClient, url});
+
+      const result = await verifier.verify({url, method: 'get', headers});
+      result.invoker.should.equal(rootDid);
+      result.action.should.equal('read');
+      result.capability.id.should.equal(
+        'urn:zcap:root:' + encodeURIComponent(url));
+      result.dereferencedChain.should.have.length(1);
+    });
+    it('should verify a delegated zcap invocation with a body', async () => {
+      const rootTarget = 'https://zcap.example/items';
+      const capability = await rootClient.delegate({
+        invocationTarget: rootTarget, controller: delegateDid,
+        allowedActions: ['write']
+      });
+      const url = `${rootTarget}/123`;
+      const json = {label: 'Widget'};
+      const headers = await _sign({
+        client: delegateClient, url, method: 'post', action: 'write',
+        capability, json
+      });
+
+      const result = await verifier.verify({
+        url, method: 'post', headers, body: JSON.stringify(json),
+        expectedRootCapability: capability.parentCapability
+      });
+      result.invoker.should.equal(delegateDid);
+      result.action.should.equal('write');
+      result.capability.id.should.equal(capability.id);
+      result.dereferencedChain.should.have.length(2);
+    });
+    it('should reject an invocation with an unexpected action', async () => {
+      const url = 'https://zcap.example/items';
+      const headers = await _sign({client: rootClient, url});
+
+      let err;
+      try {
+        await verifier.verify({
+          url, method: 'get', headers, expectedAction: 'write'
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotAllowedError');
+      expect(err.cause).to.exist;
+    });
+    it('should reject an invocation with a tampered body', async () => {
+      const url = 'https://zcap.example/items';
+      const headers = await _sign({
+        client: rootClient, url, method: 'post', action: 'write',
+        json: {label: 'Widget'}
+      });
+
+      let err;
+      try {
+        await verifier.verify({
+          url, method: 'post', headers,
+          body: JSON.stringify({label: 'Gadget'})
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal(
+        'Request body does not match the "digest" header.');
+    });
+    it('should reject a body without a digest', async () => {
+      const url = 'https://zcap.example/items';
+      const headers = await _sign({
+        client: rootClient, url, method: 'post', action: 'write'
+      });
+
+      let err;
+      try {
+        await verifier.verify({
+          url, method: 'post', headers,
+          body: JSON.stringify({label: 'Gadget'})
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal(
+        'Request body must be covered by a signed "digest" header.');
+
+      // an empty body does not need a digest
+      const result = await verifier.verify(
+        {url, method: 'post', headers, body: ''});
+      result.action.should.equal('write');
+    });
+    it('should reject an invocation by a non-controller', async () => {
+      const url = 'https://zcap.example/items';
+      const headers = await _sign({client: delegateClient, url});
+
+      let err;
+      try {
+        await verifier.verify({url, method: 'get', headers});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotAllowedError');
+    });
+  });
+
+  describe('verifyDocument', () => {
+    const invocationTarget = 'https://zcap.example/queues/orders';
+    const document = {
+      '@context': [{'@vocab': 'https://zcap.example/vocab#'}],
+      id: 'urn:uuid:9d3e7f0a-1e5c-4d6b-a1f3-7c2b0e5d8a41',
+      order: {sku: 'widget', quantity: 2}
+    };
+
+    it('should verify a document invoking a root zcap', async () => {
+      const signed = await rootClient.invokeDocument(
+        {document, action: 'write', invocationTarget});
+      expect(document.proof).to.not.exist;
+      signed.proof.proofPurpose.should.equal('capabilityInvocation');
+      signed['@context'][0].should.equal('https://w3id.org/zcap/v1');
+
+      const result = await verifier.verifyDocument({
+        document: signed, expectedTarget: invocationTarget,
+        expectedAction: 'write'
+      });
+      result.invoker.should.equal(rootDid);
+      result.action.should.equal('write');
+      result.capability.id.should.equal(
+        'urn:zcap:root:' + encodeURIComponent(invocationTarget));
+    });
+    it('should verify a document invoking a delegated zcap', async () => {
+      const capability = await rootClient.delegate({
+        invocationTarget, controller: delegateDid, allowedActions: ['write']
+      });
+      const signed = await delegateClient.invokeDocument(
+        {document, capability, action: 'write'});
+
+      const result = await verifier.verifyDocument({
+        document: signed, expectedTarget: invocationTarget,
+        expectedAction: 'write'
+      });
+      result.invoker.should.equal(delegateDid);
+      result.capability.id.should.equal(capability.id);
+      result.dereferencedChain.should.have.length(2);
+    });
+    it('should reject an unexpected action or target', async () => {
+      const signed = await rootClient.invokeDocument(
+        {document, action: 'write', invocationTarget});
+      for(const options of [
+        {expectedTarget: invocationTarget, expectedAction: 'read'},
+        {
+          expectedTarget: 'https://zcap.example/queues/refunds',
+          expectedAction: 'write'
+        }
+      ]) {
+        let err;
+        try {
+          await verifier.verifyDocument({document: signed, ...options});
+        } catch(e) {
+          err = e;
+        }
+        expect(err).to.exist;
+        err.name.should.equal('NotAllowedError');
+      }
+    });
+    it('should reject a tampered document', async () => {
+      const signed = await rootClient.invokeDocument(
+        {document, action: 'write', invocationTarget});
+      signed.order = {...signed.order, quantity: 200};
+
+      let err;
+      try {
+        await verifier.verifyDocument({
+          document: signed, expectedTarget: invocationTarget,
+          expectedAction: 'write'
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotAllowedError');
+    });
+    it('should not invoke a zcap that does not allow the action', async () => {
+      const capability = await rootClient.delegate({
+        invocationTarget, controller: delegateDid, allowedActions: ['read']
+      });
+
+      let err;
+      try {
+        await delegateClient.invokeDocument(
+          {document, capability, action: 'write'});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotAllowedError');
+    });
+  });
+
+  describe('createZcapMiddleware', () => {
+    it('should call "next" after verifying a request', async () => {
+      const middleware = createZcapMiddleware({
+        verifier, baseUrl: 'https://zcap.example'
+      });
+      const json = {label: 'Widget'};
+      const headers = await _sign({
+        client: rootClient, url: 'https://zcap.example/items',
+        method: 'post', action: 'write', json
+      });
+      const req = _createRequest({
+        url: '/items', method: 'POST', headers, body: JSON.stringify(json)
+      });
+      const res = _createResponse();
+
+      let called = false;
+      await middleware(req, res, () => {
+        called = true;
+      });
+      called.should.equal(true);
+      req.zcap.invoker.should.equal(rootDid);
+      req.zcap.action.should.equal('write');
+      req.body.should.eql(json);
+    });
+    it('should send a 403 if verification fails', async () => {
+      const middleware = createZcapMiddleware({
+        verifier, baseUrl: 'https://zcap.example'
+      });
+      const headers = await _sign({
+        client: delegateClient, url: 'https://zcap.example/items'
+      });
+      const req = _createRequest({url: '/items', method: 'GET', headers});
+      const res = _createResponse();
+
+      let called = false;
+      await middleware(req, res, () => {
+        called = true;
+      });
+      called.should.equal(false);
+      res.statusCode.should.equal(403);
+      JSON.parse(res.body).name.should.equal('NotAllowedError');
+    });
+    it('should send a 403 if a body has no digest', async () => {
+      const middleware = createZcapMiddleware({
+        verifier, baseUrl: 'https://zcap.example'
+      });
+      const headers = await _sign({
+        client: rootClient, url: 'https://zcap.example/items',
+        method: 'post', action: 'write'
+      });
+      const req = _createRequest({
+        url: '/items', method: 'POST', headers,
+        body: JSON.stringify({label: 'Gadget'})
+      });
+      const res = _createResponse();
+
+      let called = false;
+      await middleware(req, res, () => {
+        called = true;
+      });
+      called.should.equal(false);
+      res.statusCode.should.equal(403);
+      const body = JSON.parse(res.body);
+      body.name.should.equal('NotAllowedError');
+      body.message.should.equal(
+        'Request body must be covered by a signed "digest" header.');
+    });
+    it('should send a 400 if the JSON body is malformed', async () => {
+      const middleware = createZcapMiddleware({
+        verifier, baseUrl: 'https://zcap.example'
+      });
+      const headers = await _sign({
+        client: rootClient, url: 'https://zcap.example/items',
+        method: 'post', action: 'write', json: {}
+      });
+      const req = _createRequest(
+        {url: '/items', method: 'POST', headers, body: '{"label":'});
+      const res = _createResponse();
+
+      await middleware(req, res, () => {});
+      res.statusCode.should.equal(400);
+      JSON.parse(res.body).name.should.equal('DataError');
+    });
+    it('should send a 500 if a document cannot be loaded', async () => {
+      const middleware = createZcapMiddleware({
+        verifier: new ZcapVerifier({
+          SuiteClass,
+          documentLoader: async () => {
+            throw new Error('Database unavailable.');
+          },
+          getRootController: async () => rootDid
+        }),
+        baseUrl: 'https://zcap.example'
+      });
+      const headers = await _sign(
+        {client: rootClient, url: 'https://zcap.example/items'});
+      const req = _createRequest({url: '/items', method: 'GET', headers});
+      const res = _createResponse();
+
+      let called = false;
+      await middleware(req, res, () => {
+        called = true;
+      });
+      called.should.equal(false);
+      res.statusCode.should.equal(500);
+      const body = JSON.parse(res.body);
+      body.name.should.equal('OperationError');
+      body.message.should.not.include('Database');
+    });
+    it('should verify a body that was already parsed', async () => {
+      const middleware = createZcapMiddleware({
+        verifier, baseUrl: 'https://zcap.example'
+      });
+      const json = {label: 'Widget'};
+      const headers = await _sign({
+        client: rootClient, url: 'https://zcap.example/items',
+        method: 'post', action: 'write', json
+      });
+
+      // e.g., parsed by `express.json()`
+      let req = _createRequest({
+        url: '/items', method: 'POST', headers, body: JSON.stringify(json)
+      });
+      req.body = {...json};
+      let called = false;
+      await middleware(req, _createResponse(), () => {
+        called = true;
+      });
+      called.should.equal(true);
+      req.zcap.action.should.equal('write');
+
+      // a parsed body that does not match the signed digest is rejected
+      req = _createRequest({
+        url: '/items', method: 'POST', headers, body: JSON.stringify(json)
+      });
+      req.body = {label: 'Gadget'};
+      const res = _createResponse();
+      await middleware(req, res, () => {});
+      res.statusCode.should.equal(403);
+    });
+  });
+});
+
+async function _createClient() {
+  const {didDocument, keyPairs} = await didKeyDriver.generate();
+  const {invocationSigner, delegationSigner} = getCapabilitySigners({
+    didDocument, keyPairs});
+  const client = new ZcapClient({
+    SuiteClass, invocationSigner, delegationSigner
+  });
+  return {client, did: didDocument.id};
+}
+
+async function _sign({
+  client, url, method = 'get', action = 'read', capability, json
+}) {
+  const headers = await signCapabilityInvocation({
+    url, method,
+    headers: {date: new Date().toUTCString()},
+    json,
+    invocationSigner: client.invocationSigner,
+    capability: capability || 'urn:zcap:root:' + encodeURIComponent(url),
+    capabilityAction: action
+  });
+  return headers;
+}
+
+function _createRequest({url, method, headers, body}) {
+  const chunks = body === undefined ? [] : [new TextEncoder().encode(body)];
+  headers = {...headers};
+  if(body !== undefined) {
+    headers['content-length'] = String(chunks[0].length);
+  }
+  return {
+    url, method, headers,
+    async *[Symbol.asyncIterator]() {
+      yield* chunks;
+    }
+  };
+}
+
+function _createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    end(body) {
+      this.body = body;
+    }
+  };
+}
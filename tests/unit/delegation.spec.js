@@ -0,0 +1,132 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  createDocumentLoader, createRootCapability, ZcapClient
+} from '../../lib/index.js';
+import chai from 'chai';
+import {didKeyDriver} from '../helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+
+chai.should();
+const {expect} = chai;
+
+const SuiteClass = Ed25519Signature2020;
+
+describe('ZcapClient delegation extensions', () => {
+  const invocationTarget = 'https://zcap.example/items';
+  const vocabContextUrl = 'https://zcap.example/contexts/caveats/v1';
+  const documentLoader = createDocumentLoader({
+    documents: {
+      [vocabContextUrl]: {
+        '@context': {
+          '@protected': true,
+          maxUses: 'https://zcap.example/vocab#maxUses'
+        }
+      }
+    }
+  });
+  let alice;
+  let bob;
+  beforeEach(async () => {
+    alice = await _createClient();
+    bob = await _createClient();
+  });
+
+  it('should delegate to many controllers', async () => {
+    const controller = [alice.controller, bob.controller];
+    const capability = await alice.client.delegate(
+      {invocationTarget, controller});
+    capability.controller.should.eql(controller);
+
+    // any of the controllers may delegate the zcap further
+    const delegated = await bob.client.delegate(
+      {capability, controller: 'did:example:carol'});
+    const report = await bob.client.verifyCapabilityChain(
+      {capability: delegated, rootController: alice.controller});
+    report.verified.should.equal(true);
+
+    for(const controller of [[], ['did:example:carol', 'not a DID'], 42]) {
+      const err = await _getError(() => alice.client.delegate(
+        {invocationTarget, controller}));
+      err.message.should.include('"controller" must be');
+    }
+  });
+  it('should check every controller against the policy', async () => {
+    const {client} = await _createClient({
+      delegationPolicy: {allowedControllers: [/^did:key:/]}
+    });
+    await client.delegate(
+      {invocationTarget, controller: [alice.controller, bob.controller]});
+    const err = await _getError(() => client.delegate({
+      invocationTarget, controller: [alice.controller, 'did:example:carol']
+    }));
+    err.name.should.equal('ConstraintError');
+    err.message.should.include('did:example:carol');
+  });
+  it('should delegate from a root zcap object', async () => {
+    const rootController = [alice.controller, bob.controller];
+    const rootCapability = createRootCapability(
+      {invocationTarget, controller: rootController});
+    rootCapability.should.eql({
+      '@context': 'https://w3id.org/zcap/v1',
+      id: `urn:zcap:root:${encodeURIComponent(invocationTarget)}`,
+      controller: rootController,
+      invocationTarget
+    });
+
+    const capability = await bob.client.delegate(
+      {capability: rootCapability, controller: 'did:example:carol'});
+    capability.parentCapability.should.equal(rootCapability.id);
+    capability.invocationTarget.should.equal(invocationTarget);
+    const report = await bob.client.verifyCapabilityChain(
+      {capability, rootController});
+    report.verified.should.equal(true);
+
+    expect(() => createRootCapability({invocationTarget})).to.throw(
+      /"controller" must be/);
+    expect(() => createRootCapability(
+      {invocationTarget: 'items', controller: alice.controller}))
+      .to.throw(/"invocationTarget" must be/);
+  });
+  it('should add contexts and fields to delegated zcaps', async () => {
+    const capability = await alice.client.delegate({
+      invocationTarget, controller: bob.controller,
+      contexts: [vocabContextUrl], fields: {maxUses: 3}
+    });
+    capability['@context'].should.eql([
+      'https://w3id.org/zcap/v1', vocabContextUrl,
+      'https://w3id.org/security/suites/ed25519-2020/v1'
+    ]);
+    capability.maxUses.should.equal(3);
+    const report = await alice.client.verifyCapabilityChain(
+      {capability, rootController: alice.controller});
+    report.verified.should.equal(true);
+
+    // a field may not replace a field that `delegate()` sets
+    const err = await _getError(() => alice.client.delegate({
+      invocationTarget, controller: bob.controller,
+      fields: {expires: '2100-01-01T00:00:00Z'}
+    }));
+    err.should.be.instanceof(TypeError);
+    err.message.should.include('"expires"');
+  });
+
+  async function _createClient(options) {
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    return {
+      controller: didDocument.id,
+      client: new ZcapClient(
+        {SuiteClass, didDocument, keyPairs, documentLoader, ...options})
+    };
+  }
+});
+
+async function _getError(fn) {
+  try {
+    await fn();
+  } catch(e) {
+    return e;
+  }
+  throw new Error('Expected an error.');
+}
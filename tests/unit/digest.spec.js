@@ -0,0 +1,32 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  createHeaderValue, verifyHeaderValue
+} from '@digitalbazaar/http-digest-header';
+import chai from 'chai';
+import {digestStream} from '../../lib/digest.js';
+
+chai.should();
+
+describe('digestStream', () => {
+  it('should compute the digest of a stream', async () => {
+    const chunks = [
+      new Uint8Array([1, 2, 3]), new Uint8Array([4, 5]), new Uint8Array([6])
+    ];
+    const stream = new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(chunk));
+        controller.close();
+      }
+    });
+
+    const {digest, body} = await digestStream({stream});
+    const data = new Uint8Array([1, 2, 3, 4, 5, 6]);
+    digest.should.equal(await createHeaderValue({data, useMultihash: true}));
+    body.should.be.an.instanceOf(Uint8Array);
+    [...body].should.eql([...data]);
+    (await verifyHeaderValue({data: body, headerValue: digest}))
+      .verified.should.equal(true);
+  });
+});
@@ -0,0 +1,119 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, ZcapClient} from '../../lib/index.js';
+import chai from 'chai';
+import {didKeyDriver} from '../helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+
+chai.should();
+const {expect} = chai;
+
+describe('createDocumentLoader', () => {
+  it('should load bundled contexts and given documents', async () => {
+    const documentLoader = createDocumentLoader({
+      documents: {'https://example.com/context/v1': {'@context': {}}}
+    });
+    for(const url of [
+      'https://w3id.org/zcap/v1',
+      'https://w3id.org/security/v2',
+      'https://w3id.org/security/data-integrity/v2',
+      'https://w3id.org/security/suites/ed25519-2020/v1',
+      'https://example.com/context/v1'
+    ]) {
+      const {document, documentUrl} = await documentLoader(url);
+      documentUrl.should.equal(url);
+      document.should.have.property('@context');
+    }
+  });
+  it('should resolve "did:key" DIDs offline', async () => {
+    const {didDocument} = await didKeyDriver.generate();
+    const documentLoader = createDocumentLoader();
+
+    const {document} = await documentLoader(didDocument.id);
+    document.should.eql(didDocument);
+    const [verificationMethod] = didDocument.capabilityDelegation;
+    const {document: key} = await documentLoader(verificationMethod);
+    key.id.should.equal(verificationMethod);
+    key.controller.should.equal(didDocument.id);
+  });
+  it('should resolve DIDs via resolver plugins', async () => {
+    const calls = [];
+    const resolver = {
+      method: 'example',
+      async get({url}) {
+        calls.push(url);
+        return url === 'did:example:missing' ? null : {id: url};
+      }
+    };
+    const documentLoader = createDocumentLoader(
+      {resolvers: [resolver], cacheSize: 2});
+
+    (await documentLoader('did:example:1')).document.should.eql(
+      {id: 'did:example:1'});
+    await Promise.all([
+      documentLoader('did:example:1'), documentLoader('did:example:2')
+    ]);
+    calls.should.eql(['did:example:1', 'did:example:2']);
+
+    // the least recently used document is evicted
+    await documentLoader('did:example:3');
+    await documentLoader('did:example:2');
+    await documentLoader('did:example:1');
+    calls.should.eql(
+      ['did:example:1', 'did:example:2', 'did:example:3', 'did:example:1']);
+
+    // failures are not cached
+    for(let i = 0; i < 2; ++i) {
+      let err;
+      try {
+        await documentLoader('did:example:missing');
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('NotFoundError');
+    }
+    calls.filter(url => url === 'did:example:missing').should.have.length(2);
+  });
+  it('should expire cached documents', async () => {
+    let count = 0;
+    const documentLoader = createDocumentLoader({
+      documentLoader: async url => {
+        count++;
+        return {contextUrl: null, document: {}, documentUrl: url};
+      },
+      cacheTtl: 100
+    });
+    await documentLoader('https://example.com/1');
+    await documentLoader('https://example.com/1');
+    count.should.equal(1);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await documentLoader('https://example.com/1');
+    count.should.equal(2);
+  });
+  it('should not load other URLs by default', async () => {
+    const documentLoader = createDocumentLoader();
+    for(const url of ['https://example.com/1', 'did:web:example.com']) {
+      let err;
+      try {
+        await documentLoader(url);
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+    }
+  });
+  it('should be used to delegate and verify offline by default', async () => {
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    const zcapClient = new ZcapClient(
+      {SuiteClass: Ed25519Signature2020, didDocument, keyPairs});
+    const capability = await zcapClient.delegate({
+      invocationTarget: 'https://zcap.example/items',
+      controller: didDocument.id
+    });
+    const report = await zcapClient.verifyCapabilityChain(
+      {capability, rootController: didDocument.id});
+    report.verified.should.equal(true);
+  });
+});
@@ -0,0 +1,121 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDocumentLoader, didKeyDriver} from '../helpers.js';
+import {
+  decodeCapability, encodeCapability, ZcapClient
+} from '../../lib/index.js';
+import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+
+chai.should();
+const {expect} = chai;
+
+describe('encodeCapability', () => {
+  let zcapClient;
+  let controller;
+  let parent;
+  let capability;
+  before(async () => {
+    const {didDocument, keyPairs} = await didKeyDriver.generate();
+    controller = didDocument.id;
+    zcapClient = new ZcapClient({
+      SuiteClass: Ed25519Signature2020,
+      didDocument, keyPairs,
+      documentLoader: createDocumentLoader({SuiteClass: Ed25519Signature2020})
+    });
+    const invocationTarget = 'https://zcap.example/items';
+    parent = await zcapClient.delegate({
+      invocationTarget, controller, allowedActions: ['read']
+    });
+    capability = await zcapClient.delegate({
+      capability: parent, controller,
+      invocationTarget: `${invocationTarget}/123`
+    });
+  });
+
+  it('should encode a zcap as a compact URL-safe string', async () => {
+    const encodedCapability = await encodeCapability({capability});
+    encodedCapability.should.match(/^zcap1\.[A-Za-z0-9_-]+$/);
+    encodedCapability.length.should.be.below(
+      JSON.stringify(capability).length);
+
+    const decoded = await decodeCapability({encodedCapability});
+    decoded.should.eql(capability);
+  });
+  it('should losslessly encode unusual values', async () => {
+    const value = {
+      id: 'urn:uuid:1234', note: '"id":\\"id\\":\u0001 ✓',
+      nested: [{type: 'DataIntegrityProof'}, null, 1.5, true]
+    };
+    const encodedCapability = await encodeCapability({capability: value});
+    (await decodeCapability({encodedCapability})).should.eql(value);
+  });
+  it('should throw if an encoded zcap is invalid', async () => {
+    for(const [encodedCapability, message] of [
+      ['urn:zcap:root:https%3A%2F%2Fzcap.example', 'must be a string'],
+      ['zcap2.abcd', 'Unsupported encoded capability version "2".'],
+      ['zcap1.abcd', 'could not be decoded']
+    ]) {
+      let err;
+      try {
+        await decodeCapability({encodedCapability});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.include(message);
+    }
+  });
+  it('should throw if a decoded zcap is too large', async () => {
+    // a small encoded value that inflates to more than 1 MiB
+    const bomb = await encodeCapability(
+      {capability: {note: 'a'.repeat(2 * 1024 * 1024)}});
+    bomb.length.should.be.below(10000);
+    // a value that is small until its dictionary terms are restored
+    const terms = await encodeCapability(
+      {capability: {note: 'https://w3id.org/zcap/v1'.repeat(1000)}});
+    for(const [encodedCapability, maxSize] of [
+      [bomb, undefined], [terms, 10000]
+    ]) {
+      let err;
+      try {
+        await decodeCapability({encodedCapability, maxSize});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('DataError');
+    }
+    (await decodeCapability({encodedCapability: terms, maxSize: 30000}))
+      .note.should.have.length(24000);
+  });
+  it('should delegate and verify an encoded zcap', async () => {
+    const encodedParent = await encodeCapability({capability: parent});
+    const child = await zcapClient.delegate(
+      {capability: encodedParent, controller});
+    child.parentCapability.should.equal(parent.id);
+
+    const report = await zcapClient.verifyCapabilityChain({
+      capability: await encodeCapability({capability: child}),
+      rootController: controller
+    });
+    report.verified.should.equal(true);
+  });
+  it('should request with an encoded zcap', async () => {
+    let err;
+    try {
+      await zcapClient.write({
+        url: 'https://zcap.example/items/123',
+        capability: await encodeCapability({capability}),
+        json: {}
+      });
+    } catch(e) {
+      err = e;
+    }
+    expect(err).to.exist;
+    err.name.should.equal('NotAllowedError');
+    err.message.should.equal(
+      `Capability "${capability.id}" does not allow the "write" action.`);
+  });
+});
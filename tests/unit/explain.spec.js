@@ -0,0 +1,118 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  encodeCapability, explainCapability, ZcapClient
+} from '../../lib/index.js';
+import chai from 'chai';
+import {didKeyDriver} from '../helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+
+chai.should();
+
+describe('explainCapability', () => {
+  const invocationTarget = 'https://zcap.example/items';
+  const rootId = `urn:zcap:root:${encodeURIComponent(invocationTarget)}`;
+  let rootClient;
+  let delegateClient;
+  let now;
+  let parentCapability;
+  let capability;
+  before(async () => {
+    rootClient = await _createClient();
+    delegateClient = await _createClient();
+    now = Date.now();
+    parentCapability = await rootClient.delegate({
+      invocationTarget, controller: delegateClient.delegationSigner.controller,
+      allowedActions: ['read', 'write'], expires: new Date(now + 60000), now
+    });
+    capability = await delegateClient.delegate({
+      capability: parentCapability,
+      invocationTarget: `${invocationTarget}/123`,
+      controller: 'did:example:alice', allowedActions: ['read'],
+      expires: new Date(now + 30000), now
+    });
+  });
+
+  it('should explain a delegated capability chain', async () => {
+    const explanation = await explainCapability({capability, now});
+    explanation.id.should.equal(capability.id);
+    explanation.problems.should.eql([]);
+    explanation.links.map(({id}) => id).should.eql(
+      [rootId, parentCapability.id, capability.id]);
+
+    const [root, parent, link] = explanation.links;
+    root.root.should.equal(true);
+    root.invocationTarget.should.equal(invocationTarget);
+    parent.delegator.should.equal(rootClient.delegationSigner.controller);
+    parent.controller.should.equal(delegateClient.delegationSigner.controller);
+    parent.allowedActions.should.eql(['read', 'write']);
+    link.delegator.should.equal(delegateClient.delegationSigner.controller);
+    link.controller.should.equal('did:example:alice');
+    link.invocationTarget.should.equal(`${invocationTarget}/123`);
+    link.created.should.be.a('string');
+    link.expires.should.equal(capability.expires);
+    link.expired.should.equal(false);
+    link.widerThanParent.should.equal(false);
+
+    explanation.text.should.include(
+      `${delegateClient.delegationSigner.controller} delegated ` +
+      `${capability.id} to did:example:alice`);
+    explanation.text.should.include(`Target: ${invocationTarget}/123`);
+    explanation.text.should.include('Actions: read, write');
+    explanation.text.should.include('No problems found.');
+  });
+  it('should flag expired links', async () => {
+    const explanation = await explainCapability(
+      {capability, now: now + 45000});
+    explanation.links.map(({expired}) => expired).should.eql(
+      [false, false, true]);
+    explanation.problems.should.have.length(1);
+    explanation.problems[0].should.include('expired');
+    explanation.text.should.include('(EXPIRED)');
+    explanation.text.should.include('1 problem found:');
+  });
+  it('should flag links that are wider than their parent', async () => {
+    // an altered (and therefore unverifiable) delegation
+    const wider = {
+      ...capability,
+      invocationTarget: 'https://other.example/items',
+      allowedAction: ['read', 'delete'],
+      expires: new Date(now + 120000).toISOString()
+    };
+    const explanation = await explainCapability({capability: wider, now});
+    const link = explanation.links[2];
+    link.widerThanParent.should.equal(true);
+    link.problems.should.have.length(3);
+    explanation.problems.should.eql(link.problems);
+    explanation.text.should.include('WIDER THAN ITS PARENT');
+    explanation.text.should.include('3 problems found:');
+  });
+  it('should flag malformed links', async () => {
+    const malformed = {...capability};
+    delete malformed['@context'];
+    const explanation = await explainCapability(
+      {capability: malformed, now});
+    explanation.problems.some(p => p.includes('is malformed')).should.equal(
+      true);
+  });
+  it('should explain encoded capabilities and root IDs', async () => {
+    const encodedCapability = await encodeCapability({capability});
+    const explanation = await explainCapability(
+      {capability: encodedCapability, now});
+    explanation.id.should.equal(capability.id);
+    explanation.links.should.have.length(3);
+
+    const rootExplanation = await explainCapability({capability: rootId});
+    rootExplanation.links.should.have.length(1);
+    rootExplanation.links[0].invocationTarget.should.equal(invocationTarget);
+    rootExplanation.text.should.include(`Root capability ${rootId}`);
+    rootExplanation.text.should.include('Actions: all actions');
+  });
+});
+
+async function _createClient() {
+  const {didDocument, keyPairs} = await didKeyDriver.generate();
+  return new ZcapClient(
+    {SuiteClass: Ed25519Signature2020, didDocument, keyPairs});
+}